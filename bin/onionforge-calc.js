@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * ONIONFORGE CALCULATOR - COMMAND LINE
+ * ============================================================================
+ * The page's calculation engine without the page:
+ *
+ *   onionforge-calc                    interactive REPL
+ *   onionforge-calc -e "2*(3+4)"       calculate one expression
+ *   onionforge-calc < answers.txt      calculate each line of stdin
+ *
+ * Results are printed one per line. Errors are printed as JSON objects
+ * ({"error": {type, message, position, ...}}) on the same line, and make
+ * the exit status 1. Variables and `ans` carry from one line to the next.
+ *
+ * @license MIT
+ */
+
+'use strict';
+
+const path = require('path');
+const os = require('os');
+const readline = require('readline');
+const repl = require('repl');
+
+const {
+    version,
+    CONFIG,
+    CalculationEngine,
+    CalculatorError,
+    VariableStore
+} = require('../src/assets/js/calculator.js');
+
+const EXIT_CODES = {
+    OK: 0,
+    CALCULATION_ERROR: 1,
+    USAGE_ERROR: 2
+};
+
+const HISTORY_FILE = path.join(os.homedir(), '.onionforge_calc_history');
+
+const USAGE = `Usage: onionforge-calc [options]
+
+With no expression and a terminal on stdin, start an interactive REPL;
+otherwise calculate each line read from stdin.
+
+Options:
+  -e, --eval <expression>  Calculate an expression (may be repeated)
+  -m, --mode <mode>        Number mode: ${Object.values(CONFIG.NUMBER_MODES).join(', ')}
+      --strict             Turn implicit multiplication off
+  -h, --help               Show this help
+  -v, --version            Show the version
+
+In the REPL an unfinished line (open parenthesis, trailing operator)
+continues on the next one. History is kept in ${HISTORY_FILE}
+(set ONIONFORGE_CALC_HISTORY to change it, or to "" to turn it off).`;
+
+/**
+ * One engine and variable store shared by every line, so assignments and
+ * `ans` carry over as they do on the page
+ */
+class CalculatorSession {
+    constructor(options = {}) {
+        this.variables = new VariableStore();
+        this.engine = new CalculationEngine({ ...options, variables: this.variables });
+    }
+
+    /**
+     * @returns {string} - The result, with its unit after a conversion
+     * @throws {CalculatorError}
+     */
+    calculate(expression) {
+        try {
+            const { value, unit } = this.engine.calculateWithUnit(expression);
+            this.variables.setAnswer(value);
+            return unit ? `${String(value)} ${unit}` : String(value);
+        } catch (error) {
+            throw error instanceof CalculatorError
+                ? error
+                : new CalculatorError(`Calculation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * @returns {{output: string, failed: boolean}} - A result or JSON error line
+     */
+    run(expression) {
+        try {
+            return { output: this.calculate(expression), failed: false };
+        } catch (error) {
+            return { output: JSON.stringify({ error }), failed: true };
+        }
+    }
+}
+
+/**
+ * @returns {Object} - { expressions, engineOptions, help, version }
+ * @throws {Error} - For unknown options or missing values
+ */
+function parseArguments(args) {
+    const settings = { expressions: [], engineOptions: {}, help: false, version: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) {
+                throw new Error(`${arg} needs a value`);
+            }
+            return args[++i];
+        };
+
+        switch (arg) {
+            case '-e':
+            case '--eval':
+                settings.expressions.push(value());
+                break;
+            case '-m':
+            case '--mode':
+                settings.engineOptions.numberMode = value();
+                break;
+            case '--strict':
+                settings.engineOptions.syntaxMode = CONFIG.SYNTAX_MODES.STRICT;
+                break;
+            case '-h':
+            case '--help':
+                settings.help = true;
+                break;
+            case '-v':
+            case '--version':
+                settings.version = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return settings;
+}
+
+/**
+ * Whether a failed line may just be unfinished: parentheses still open or
+ * a trailing operator, assignment or argument separator
+ */
+function isIncomplete(input, error) {
+    if (error.type !== CalculatorError.ERROR_TYPES.SYNTAX_ERROR) {
+        return false;
+    }
+    const opened = (input.match(/\(/g) || []).length;
+    const closed = (input.match(/\)/g) || []).length;
+    const trailing = input.trimEnd().slice(-1);
+    return opened > closed ||
+        (trailing !== CONFIG.OPERATORS.PERCENT &&
+            (CONFIG.OPERATOR_SYMBOL_CHARACTERS + CONFIG.ASSIGNMENT_OPERATOR + CONFIG.ARGUMENT_SEPARATOR)
+                .includes(trailing));
+}
+
+/**
+ * Print one line per expression
+ * @returns {number} - Exit code
+ */
+function runExpressions(session, expressions) {
+    let failed = false;
+    for (const expression of expressions) {
+        const result = session.run(expression);
+        console.log(result.output);
+        failed = failed || result.failed;
+    }
+    return failed ? EXIT_CODES.CALCULATION_ERROR : EXIT_CODES.OK;
+}
+
+/**
+ * Calculate each line of stdin; blank lines give blank output lines so
+ * results stay level with their input
+ * @returns {Promise<number>} - Exit code
+ */
+async function runBatch(session, input) {
+    let failed = false;
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (line.trim() === '') {
+            console.log('');
+            continue;
+        }
+        const result = session.run(line);
+        console.log(result.output);
+        failed = failed || result.failed;
+    }
+    return failed ? EXIT_CODES.CALCULATION_ERROR : EXIT_CODES.OK;
+}
+
+/**
+ * Interactive REPL; errors are shown with a caret under their position
+ */
+function startRepl(session) {
+    const server = repl.start({
+        prompt: 'calc> ',
+        ignoreUndefined: true,
+        writer: (output) => output,
+        eval: (input, context, filename, callback) => {
+            const expression = input.trim();
+            if (expression === '') {
+                callback(null);
+                return;
+            }
+            try {
+                callback(null, session.calculate(expression));
+            } catch (error) {
+                if (isIncomplete(expression, error)) {
+                    callback(new repl.Recoverable(error));
+                    return;
+                }
+                callback(null, `Error: ${error.describeLocation()}`);
+            }
+        }
+    });
+
+    server.defineCommand('vars', {
+        help: 'List variables and ans',
+        action() {
+            for (const [name, value] of session.variables.entries()) {
+                this.output.write(`${name} = ${String(value)}\n`);
+            }
+            this.displayPrompt();
+        }
+    });
+
+    const historyFile = process.env.ONIONFORGE_CALC_HISTORY ?? HISTORY_FILE;
+    if (historyFile) {
+        server.setupHistory(historyFile, (error) => {
+            if (error) {
+                console.error(`History is not saved: ${error.message}`);
+            }
+        });
+    }
+    return server;
+}
+
+async function main(args) {
+    let settings;
+    let session;
+    try {
+        settings = parseArguments(args);
+        if (settings.help || settings.version) {
+            console.log(settings.help ? USAGE : version);
+            return EXIT_CODES.OK;
+        }
+        session = new CalculatorSession(settings.engineOptions);
+    } catch (error) {
+        console.error(`onionforge-calc: ${error.message}`);
+        console.error('Try onionforge-calc --help');
+        return EXIT_CODES.USAGE_ERROR;
+    }
+
+    if (settings.expressions.length > 0) {
+        return runExpressions(session, settings.expressions);
+    }
+    if (!process.stdin.isTTY) {
+        return runBatch(session, process.stdin);
+    }
+    startRepl(session);
+    return null;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => {
+        if (code !== null) {
+            process.exitCode = code;
+        }
+    });
+}
+
+module.exports = { CalculatorSession, parseArguments, isIncomplete, main };
@@ -24,6 +24,7 @@
     const CONFIG = {
         MAX_DISPLAY_LENGTH: 16,
         MAX_DECIMAL_PLACES: 10,
+        FLOAT_SIGNIFICANT_DIGITS: 15,
         DEFAULT_DISPLAY_VALUE: '0',
         ERROR_MESSAGE: 'Error',
         OPERATORS: {
@@ -31,13 +32,220 @@
             SUBTRACT: '-',
             MULTIPLY: '*',
             DIVIDE: '/',
-            MODULO: '%'
+            // '%' is the desk-calculator percent key, so remainder is a word
+            MODULO: 'mod',
+            PERCENT: '%',
+            POWER: '^',
+            BITWISE_AND: '&',
+            BITWISE_OR: '|',
+            // '^' is already power, so XOR is spelled as a word
+            BITWISE_XOR: 'xor',
+            BITWISE_NOT: '~',
+            SHIFT_LEFT: '<<',
+            SHIFT_RIGHT: '>>'
         },
+        OPERATOR_ALIASES: {
+            '**': '^'
+        },
+        ASSOCIATIVITY: {
+            LEFT: 'left',
+            RIGHT: 'right'
+        },
+        UNARY_OPERATORS: {
+            NEGATE: 'neg',
+            POSITIVE: 'pos'
+        },
+        ARGUMENT_SEPARATOR: ',',
+        // Characters a registered operator symbol may use: everything else
+        // is read by the tokenizer as part of a number, name or group
+        OPERATOR_SYMBOL_CHARACTERS: '+-*/%^&|~!@#$<>?:;',
+        MAX_OPERATOR_SYMBOL_LENGTH: 3,
+        // Multiplication written by juxtaposition, "2(3+4)" or "3pi". It is
+        // never typed, so it has a symbol of its own, and it binds tighter
+        // than an explicit "*" or "/" (see ImplicitMultiplicationOperation)
+        IMPLICIT_MULTIPLY: '⋅',
+        SYNTAX_MODES: {
+            IMPLICIT: 'implicit',
+            STRICT: 'strict'
+        },
+        // Read-only names every expression can use
+        CONSTANTS: {
+            pi: Math.PI
+        },
+        TOKEN_TYPES: {
+            NUMBER: 'number',
+            OPERATOR: 'operator',
+            UNARY_OPERATOR: 'unaryOperator',
+            POSTFIX_OPERATOR: 'postfixOperator',
+            FUNCTION: 'function',
+            LEFT_PAREN: 'leftParen',
+            RIGHT_PAREN: 'rightParen',
+            SEPARATOR: 'separator',
+            IDENTIFIER: 'identifier',
+            ASSIGN: 'assign'
+        },
+        ASSIGNMENT_OPERATOR: '=',
+        ANSWER_VARIABLE: 'ans',
+        // "5 km to mi", "1.5 GiB in MB"
+        CONVERSION_KEYWORDS: ['to', 'in'],
+        // Syntax tree node types (CalculationEngine.parse) and the forms
+        // ExpressionPrinter writes a tree in
+        NODE_TYPES: {
+            NUMBER: 'number',
+            VARIABLE: 'variable',
+            UNARY: 'unary',
+            BINARY: 'binary',
+            CALL: 'call',
+            ASSIGNMENT: 'assignment',
+            CONVERSION: 'conversion'
+        },
+        EXPRESSION_FORMATS: {
+            INFIX: 'infix',
+            LATEX: 'latex',
+            MATHML: 'mathml'
+        },
+        MATHML_NAMESPACE: 'http://www.w3.org/1998/Math/MathML',
+        // Explain mode: the stages a calculation trace records, and the
+        // delay between steps when the trace plays
+        TRACE_PHASES: {
+            TOKENIZE: 'tokenize',
+            PARSE: 'parse',
+            EVALUATE: 'evaluate'
+        },
+        EXPLAIN_STEP_DELAY: 800,
+        // Background evaluation (see EngineWorkerClient): where "=" runs,
+        // the messages the worker understands and how long a calculation
+        // may take there before it is stopped, in milliseconds
+        EVALUATION_MODES: {
+            MAIN: 'main',
+            WORKER: 'worker'
+        },
+        WORKER_MESSAGES: {
+            CALCULATE: 'calculate',
+            RESULT: 'result',
+            ERROR: 'error'
+        },
+        EVALUATION_TIMEOUT: 3000,
+        // What integrations can subscribe to (OnionForgeCalculator.on)
+        CALCULATOR_EVENTS: {
+            INPUT: 'input',
+            OPERATOR: 'operator',
+            RESULT: 'result',
+            ERROR: 'error',
+            CLEAR: 'clear'
+        },
+        // Compiled expressions kept for reuse (see CalculationEngine.compile)
+        COMPILE_CACHE_SIZE: 256,
+        // Resource limits on every expression: characters, parenthesis
+        // depth, tokens and the power of ten, above or below one, that any
+        // intermediate value may reach. An engine can be given its own
+        // (see resolveLimits).
+        LIMITS: {
+            maxLength: 10000,
+            maxDepth: 100,
+            maxTokens: 2000,
+            maxMagnitude: 1000
+        },
+        // Benchmark suite (see CalculatorBenchmark): timed runs per case,
+        // untimed warm-up runs before them and how far from the baseline
+        // a median may drift and still count as similar
+        BENCHMARK: {
+            ITERATIONS: 1000,
+            WARMUP: 100,
+            TOLERANCE: 0.2
+        },
+        // Median milliseconds per call of each benchmark case, recorded
+        // with the defaults above in Node 20
+        BENCHMARK_BASELINE: {
+            recorded: '2026-10-19',
+            cases: {
+                'simple': 0.021,
+                'deep nesting': 0.19,
+                'long chain': 0.35,
+                'decimals': 0.032,
+                'functions': 0.054,
+                'percent and mod': 0.034,
+                'compiled function': 0.0034,
+                'division by zero': 0.035,
+                'syntax error': 0.039
+            }
+        },
+        MODES: {
+            BASIC: 'basic',
+            EXPRESSION: 'expression',
+            RPN: 'rpn'
+        },
+        MAX_EXPRESSION_LENGTH: 100,
+        RPN_VISIBLE_LEVELS: 4,
+        HISTORY_LIMIT: 100,
+        UNDO_LIMIT: 100,
+        // PreferenceManager keys (main.js); history is only stored on the
+        // device after the user opts in
+        HISTORY_PREFERENCES: {
+            ENTRIES: 'calculatorHistory',
+            PERSIST: 'calculatorHistoryPersist'
+        },
+        NUMBER_MODES: {
+            FLOAT: 'float',
+            DECIMAL: 'decimal',
+            RATIONAL: 'rational',
+            PROGRAMMER: 'programmer'
+        },
+        // Programmer mode integer widths in bits; 64-bit values need BigInt
+        WORD_SIZES: [8, 16, 32, 64],
+        DEFAULT_WORD_SIZE: 32,
+        // Bases shown side by side in programmer mode, with their labels
+        INTEGER_BASES: {
+            HEX: 16,
+            DEC: 10,
+            OCT: 8,
+            BIN: 2
+        },
+        // Largest shift count outside programmer mode, where numbers have
+        // no width to shift out of
+        MAX_SHIFT: 1024,
+        FRACTION_DISPLAYS: {
+            FRACTION: 'fraction',
+            MIXED: 'mixed',
+            DECIMAL: 'decimal'
+        },
+        DISPLAY_FORMATS: {
+            AUTO: 'auto',
+            FIXED: 'fixed',
+            SCIENTIFIC: 'scientific',
+            ENGINEERING: 'engineering'
+        },
+        EXPONENT_MARKER: 'e',
+        RATIONAL_MAX_DIGITS: 10000,
+        DECIMAL_PRECISION: 34,
+        DECIMAL_MAX_PRECISION: 1000,
+        DECIMAL_MAX_EXPONENT: 9999,
         ACTIONS: {
             CLEAR: 'clear',
             BACKSPACE: 'backspace',
             EQUALS: '=',
-            DECIMAL: '.'
+            DECIMAL: '.',
+            MODE: 'mode',
+            OPEN_PAREN: '(',
+            CLOSE_PAREN: ')',
+            FUNCTION: 'function',
+            EXPONENT: 'exp',
+            MEMORY_CLEAR: 'mc',
+            MEMORY_RECALL: 'mr',
+            MEMORY_ADD: 'm+',
+            MEMORY_SUBTRACT: 'm-',
+            ANSWER: 'ans',
+            VARIABLE: 'variable',
+            BASE_PREFIX: 'prefix',
+            HEX_DIGIT: 'hex',
+            CONVERT: 'convert',
+            UNDO: 'undo',
+            REDO: 'redo',
+            ENTER: 'enter',
+            SWAP: 'swap',
+            ROLL: 'roll',
+            DROP: 'drop',
+            DUPLICATE: 'dup'
         }
     };
     
@@ -47,11 +255,84 @@
      * =========================================================================
      */
     class CalculatorError extends Error {
-        constructor(message, type = 'CALCULATION_ERROR') {
+        /**
+         * @param {string} message - Human-readable description
+         * @param {string} type - One of CalculatorError.ERROR_TYPES
+         * @param {Object|null} location - { start, end, text }: the [start, end)
+         *   offsets of the offending token in the expression and its text
+         */
+        constructor(message, type = 'CALCULATION_ERROR', location = null) {
             super(message);
             this.name = 'CalculatorError';
             this.type = type;
             this.timestamp = new Date().toISOString();
+            this.span = null;
+            this.token = null;
+            this.expression = null;  // Set by the engine for expression errors
+            this.locate(location);
+        }
+        
+        /**
+         * Create an error pointing at a token
+         */
+        static at(token, message, type) {
+            return new CalculatorError(message, type, token);
+        }
+        
+        /**
+         * Attach a location unless the error already has a more precise one
+         */
+        locate(location) {
+            if (!this.span && location && location.start !== null && location.start !== undefined) {
+                this.span = { start: location.start, end: location.end };
+                this.token = location.text !== undefined ? location.text : null;
+            }
+            return this;
+        }
+        
+        hasLocation() {
+            return this.span !== null;
+        }
+        
+        /**
+         * 1-based column of the error, for messages read by people
+         */
+        getPosition() {
+            return this.hasLocation() ? this.span.start + 1 : null;
+        }
+        
+        /**
+         * Multi-line description with a caret under the offending part:
+         *
+         *   Division by zero is not allowed at position 2
+         *   5/0
+         *    ^^
+         */
+        describeLocation() {
+            if (!this.hasLocation() || this.expression === null) {
+                return this.message;
+            }
+            
+            const width = Math.max(1, this.span.end - this.span.start);
+            return [
+                `${this.message} at position ${this.getPosition()}`,
+                this.expression,
+                ' '.repeat(this.span.start) + '^'.repeat(width)
+            ].join('\n');
+        }
+        
+        /**
+         * Plain data for JSON output, e.g. the command line's error lines
+         */
+        toJSON() {
+            return {
+                type: this.type,
+                message: this.message,
+                position: this.getPosition(),
+                span: this.span,
+                token: this.token,
+                expression: this.expression
+            };
         }
         
         static get ERROR_TYPES() {
@@ -60,674 +341,6967 @@
                 INVALID_INPUT: 'INVALID_INPUT',
                 OVERFLOW: 'OVERFLOW',
                 UNDERFLOW: 'UNDERFLOW',
-                SYNTAX_ERROR: 'SYNTAX_ERROR'
+                SYNTAX_ERROR: 'SYNTAX_ERROR',
+                DOMAIN_ERROR: 'DOMAIN_ERROR',
+                INCOMPATIBLE_UNITS: 'INCOMPATIBLE_UNITS',
+                TIMEOUT: 'TIMEOUT',
+                CANCELLED: 'CANCELLED',
+                LENGTH_LIMIT: 'LENGTH_LIMIT',
+                NESTING_LIMIT: 'NESTING_LIMIT',
+                TOKEN_LIMIT: 'TOKEN_LIMIT',
+                MAGNITUDE_LIMIT: 'MAGNITUDE_LIMIT'
             };
         }
     }
     
     /**
      * =========================================================================
-     * 3. OPERATION INTERFACE (SOLID: Interface Segregation)
+     * 3. NUMBER TYPES & ARITHMETIC (SOLID: Liskov Substitution)
      * =========================================================================
+     * Operations never touch numbers directly; they call an arithmetic
+     * strategy (add, subtract, multiply, divide, modulo, negate, power,
+     * isZero). Every strategy also knows how to parse literals, convert to
+     * and from plain numbers and BigInt integers (for bitwise operations),
+     * check intermediate results and finalize the answer, so the engine can
+     * swap them without changing any operation.
      */
-    class Operation {
-        constructor(symbol, precedence) {
-            if (this.constructor === Operation) {
+    
+    const BASE_PREFIX_PATTERN = /^0[xob]/i;
+    
+    /**
+     * Parse an integer literal with a base prefix: "0x1F" (hex), "0o17"
+     * (octal) or "0b1011" (binary)
+     * @returns {bigint}
+     */
+    function parsePrefixedInteger(literal) {
+        if (!/^0(?:x[0-9a-f]+|o[0-7]+|b[01]+)$/i.test(literal)) {
+            throw new CalculatorError(
+                `Invalid number: ${literal}`,
+                CalculatorError.ERROR_TYPES.INVALID_INPUT
+            );
+        }
+        return BigInt(literal);
+    }
+    
+    class FloatArithmetic {
+        get name() {
+            return CONFIG.NUMBER_MODES.FLOAT;
+        }
+        
+        isValue(value) {
+            return typeof value === 'number';
+        }
+        
+        /**
+         * @throws {CalculatorError} - MAGNITUDE_LIMIT for literals beyond
+         *   the floating point range (1e400, or 1e-400 that would read as 0)
+         */
+        parse(literal) {
+            // Number() rather than parseFloat() so "1.2.3" is rejected, not read as 1.2
+            const text = String(literal).trim();
+            const value = text === '' ? NaN : Number(text);
+            const mantissa = text.split(/e/i)[0];
+            if (Number.isNaN(value) || (!Number.isFinite(value) && !/[0-9]/.test(text))) {
                 throw new CalculatorError(
-                    'Operation is an abstract class and cannot be instantiated directly',
-                    CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                    `Invalid number: ${literal}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
                 );
             }
-            this.symbol = symbol;
-            this.precedence = precedence;
+            if (!Number.isFinite(value) || (value === 0 && /[1-9]/.test(mantissa))) {
+                throw new CalculatorError(
+                    value === 0
+                        ? `Number is too small for floating point: ${literal}`
+                        : `Number exceeds the floating point range: ${literal}`,
+                    CalculatorError.ERROR_TYPES.MAGNITUDE_LIMIT
+                );
+            }
+            return value;
         }
         
-        execute(a, b) {
-            throw new CalculatorError(
-                'execute() must be implemented by subclass',
-                CalculatorError.ERROR_TYPES.SYNTAX_ERROR
-            );
+        fromNumber(number) {
+            return number;
         }
-    }
-    
-    /**
-     * =========================================================================
-     * 4. CONCRETE OPERATIONS (SOLID: Single Responsibility)
-     * =========================================================================
-     */
-    class AdditionOperation extends Operation {
-        constructor() {
-            super(CONFIG.OPERATORS.ADD, 1);
+        
+        toNumber(value) {
+            return value;
         }
         
-        execute(a, b) {
+        add(a, b) {
             return a + b;
         }
-    }
-    
-    class SubtractionOperation extends Operation {
-        constructor() {
-            super(CONFIG.OPERATORS.SUBTRACT, 1);
-        }
         
-        execute(a, b) {
+        subtract(a, b) {
             return a - b;
         }
-    }
-    
-    class MultiplicationOperation extends Operation {
-        constructor() {
-            super(CONFIG.OPERATORS.MULTIPLY, 2);
-        }
         
-        execute(a, b) {
+        multiply(a, b) {
             return a * b;
         }
-    }
-    
-    class DivisionOperation extends Operation {
-        constructor() {
-            super(CONFIG.OPERATORS.DIVIDE, 2);
-        }
         
-        execute(a, b) {
-            if (b === 0) {
-                throw new CalculatorError(
-                    'Division by zero is not allowed',
-                    CalculatorError.ERROR_TYPES.DIVISION_BY_ZERO
-                );
-            }
+        divide(a, b) {
             return a / b;
         }
-    }
-    
-    class ModuloOperation extends Operation {
-        constructor() {
-            super(CONFIG.OPERATORS.MODULO, 2);
-        }
         
-        execute(a, b) {
-            if (b === 0) {
-                throw new CalculatorError(
-                    'Modulo by zero is not allowed',
-                    CalculatorError.ERROR_TYPES.DIVISION_BY_ZERO
-                );
-            }
+        modulo(a, b) {
             return a % b;
         }
-    }
-    
-    /**
-     * =========================================================================
-     * 5. OPERATION FACTORY (SOLID: Open/Closed Principle)
-     * =========================================================================
-     */
-    class OperationFactory {
-        static createOperation(symbol) {
-            const operations = {
-                [CONFIG.OPERATORS.ADD]: AdditionOperation,
-                [CONFIG.OPERATORS.SUBTRACT]: SubtractionOperation,
-                [CONFIG.OPERATORS.MULTIPLY]: MultiplicationOperation,
-                [CONFIG.OPERATORS.DIVIDE]: DivisionOperation,
-                [CONFIG.OPERATORS.MODULO]: ModuloOperation
-            };
-            
-            const OperationClass = operations[symbol];
-            if (!OperationClass) {
-                throw new CalculatorError(
-                    `Invalid operator: ${symbol}`,
-                    CalculatorError.ERROR_TYPES.INVALID_INPUT
-                );
-            }
-            
-            return new OperationClass();
+        
+        negate(a) {
+            return -a;
         }
         
-        static isOperator(symbol) {
-            return Object.values(CONFIG.OPERATORS).includes(symbol);
+        power(a, b) {
+            return Math.pow(a, b);
         }
-    }
-    
-    /**
-     * =========================================================================
-     * 6. CALCULATION ENGINE (SOLID: Dependency Inversion)
-     * =========================================================================
-     */
-    class CalculationEngine {
-        constructor() {
-            this.operationFactory = OperationFactory;
+        
+        toInteger(value) {
+            assertDomain(Number.isInteger(value), 'Bitwise operations need whole numbers');
+            return BigInt(value);
+        }
+        
+        fromInteger(integer) {
+            return this.check(Number(integer));
+        }
+        
+        isZero(value) {
+            return value === 0;
         }
         
         /**
-         * Parse and calculate expression using Shunting Yard algorithm
-         * @param {string} expression - Mathematical expression
-         * @returns {number} - Calculation result
+         * Power of ten of the leading digit, for the engine's magnitude
+         * limit. Infinity and NaN are left for check() to report.
          */
-        calculate(expression) {
-            try {
-                // Validate input
-                this._validateExpression(expression);
-                
-                // Convert to Reverse Polish Notation
-                const rpn = this._toReversePolishNotation(expression);
-                
-                // Evaluate RPN
-                return this._evaluateRPN(rpn);
-            } catch (error) {
-                if (error instanceof CalculatorError) {
-                    throw error;
+        magnitude(value) {
+            return Number.isFinite(value) && value !== 0 ? Math.floor(Math.log10(Math.abs(value))) : 0;
+        }
+        
+        /**
+         * Reject infinite and NaN intermediate results
+         */
+        check(value) {
+            if (!Number.isFinite(value)) {
+                if (value === Infinity || value === -Infinity) {
+                    throw new CalculatorError(
+                        'Numerical overflow',
+                        CalculatorError.ERROR_TYPES.OVERFLOW
+                    );
                 }
                 throw new CalculatorError(
-                    `Calculation failed: ${error.message}`,
+                    'Invalid numerical result',
                     CalculatorError.ERROR_TYPES.SYNTAX_ERROR
                 );
             }
+            return value;
         }
         
         /**
-         * Validate mathematical expression
-         * @private
+         * Remove binary floating point noise from a result
          */
-        _validateExpression(expression) {
-            if (typeof expression !== 'string') {
-                throw new CalculatorError(
-                    'Expression must be a string',
-                    CalculatorError.ERROR_TYPES.INVALID_INPUT
-                );
-            }
-            
-            if (expression.length === 0) {
-                throw new CalculatorError(
-                    'Expression cannot be empty',
-                    CalculatorError.ERROR_TYPES.INVALID_INPUT
-                );
+        finalize(number) {
+            // Whole numbers are exact already (2^53, 123456789012); only
+            // normalize -0 to 0
+            if (Number.isInteger(number)) {
+                return number === 0 ? 0 : number;
             }
             
-            // Security: Prevent potentially dangerous patterns
-            const dangerousPatterns = [
-                /eval\(/i,
-                /function\(/i,
-                /new\s+Function/i,
-                /\.constructor/i,
-                /__proto__/i,
-                /process\./i,
-                /require\(/i,
-                /import\(/i
-            ];
+            // Drop the binary noise past FLOAT_SIGNIFICANT_DIGITS, so 0.1+0.2
+            // is 0.3. How many digits are shown is DisplayFormatter's job.
+            const tidied = Number(number.toPrecision(CONFIG.FLOAT_SIGNIFICANT_DIGITS));
+            return tidied === 0 ? 0 : tidied;
+        }
+    }
+    
+    /**
+     * Immutable base-10 number: coefficient × 10^exponent, with a BigInt
+     * coefficient so that digits are never lost to binary conversion.
+     */
+    class DecimalNumber {
+        constructor(coefficient, exponent = 0) {
+            let normalized = BigInt(coefficient);
+            let scale = exponent;
             
-            for (const pattern of dangerousPatterns) {
-                if (pattern.test(expression)) {
-                    throw new CalculatorError(
-                        'Invalid expression pattern detected',
-                        CalculatorError.ERROR_TYPES.INVALID_INPUT
-                    );
+            // Strip trailing zeros so equal values share one representation
+            if (normalized === 0n) {
+                scale = 0;
+            } else {
+                while (normalized % 10n === 0n) {
+                    normalized /= 10n;
+                    scale++;
                 }
             }
             
-            // Validate characters
-            const validChars = /^[0-9+\-*\/%.()\s]+$/;
-            if (!validChars.test(expression)) {
-                throw new CalculatorError(
-                    'Expression contains invalid characters',
-                    CalculatorError.ERROR_TYPES.INVALID_INPUT
-                );
+            this.coefficient = normalized;
+            this.exponent = scale;
+        }
+        
+        /**
+         * Parse a decimal literal such as "12", "-0.5", ".25" or "6.02e23",
+         * or a prefixed integer such as "0xFF"
+         */
+        static parse(literal) {
+            if (BASE_PREFIX_PATTERN.test(String(literal).trim())) {
+                return new DecimalNumber(parsePrefixedInteger(String(literal).trim()));
             }
             
-            // Validate parentheses balance
-            let balance = 0;
-            for (const char of expression) {
-                if (char === '(') balance++;
-                if (char === ')') balance--;
-                if (balance < 0) break;
-            }
+            const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(String(literal).trim());
+            const fraction = match ? match[3] || '' : '';
             
-            if (balance !== 0) {
+            if (!match || match[2] + fraction === '') {
                 throw new CalculatorError(
-                    'Mismatched parentheses',
-                    CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                    `Invalid number: ${literal}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
                 );
             }
+            
+            const digits = BigInt(match[2] + fraction);
+            const exponent = (match[4] ? parseInt(match[4], 10) : 0) - fraction.length;
+            return new DecimalNumber(match[1] === '-' ? -digits : digits, exponent);
+        }
+        
+        static _digitCount(value) {
+            return (value < 0n ? -value : value).toString().length;
+        }
+        
+        static _pow10(exponent) {
+            return 10n ** BigInt(exponent);
         }
         
         /**
-         * Convert infix to Reverse Polish Notation (Shunting Yard Algorithm)
-         * @private
+         * Bring both operands to the smaller exponent
          */
-        _toReversePolishNotation(expression) {
-            const output = [];
-            const operators = [];
-            
-            const tokens = this._tokenizeExpression(expression);
-            
-            for (const token of tokens) {
-                if (this._isNumber(token)) {
-                    output.push(parseFloat(token));
-                } else if (OperationFactory.isOperator(token)) {
-                    const op1 = this.operationFactory.createOperation(token);
-                    
-                    while (operators.length > 0) {
-                        const top = operators[operators.length - 1];
-                        if (top === '(' || !OperationFactory.isOperator(top)) break;
-                        
-                        const op2 = this.operationFactory.createOperation(top);
-                        if (op2.precedence > op1.precedence) {
-                            output.push(operators.pop());
-                        } else {
-                            break;
-                        }
-                    }
-                    
-                    operators.push(token);
-                } else if (token === '(') {
-                    operators.push(token);
-                } else if (token === ')') {
-                    while (operators.length > 0 && operators[operators.length - 1] !== '(') {
-                        output.push(operators.pop());
-                    }
-                    operators.pop(); // Remove '('
-                }
-            }
-            
-            // Add remaining operators
-            while (operators.length > 0) {
-                output.push(operators.pop());
-            }
-            
-            return output;
+        static _align(a, b) {
+            const exponent = Math.min(a.exponent, b.exponent);
+            return [
+                a.coefficient * DecimalNumber._pow10(a.exponent - exponent),
+                b.coefficient * DecimalNumber._pow10(b.exponent - exponent),
+                exponent
+            ];
         }
         
         /**
-         * Tokenize expression into numbers and operators
-         * @private
+         * Exponent of the leading digit (scientific notation exponent)
          */
-        _tokenizeExpression(expression) {
-            const tokens = [];
-            let currentNumber = '';
-            
-            for (let i = 0; i < expression.length; i++) {
-                const char = expression[i];
-                
-                if (this._isDigit(char) || char === '.') {
-                    currentNumber += char;
-                } else {
-                    if (currentNumber) {
-                        tokens.push(currentNumber);
-                        currentNumber = '';
-                    }
-                    
-                    if (char !== ' ') {
-                        tokens.push(char);
-                    }
-                }
-            }
-            
-            if (currentNumber) {
-                tokens.push(currentNumber);
+        adjustedExponent() {
+            if (this.isZero()) return 0;
+            return this.exponent + DecimalNumber._digitCount(this.coefficient) - 1;
+        }
+        
+        isZero() {
+            return this.coefficient === 0n;
+        }
+        
+        isNegative() {
+            return this.coefficient < 0n;
+        }
+        
+        isInteger() {
+            return this.exponent >= 0;
+        }
+        
+        toBigInt() {
+            if (this.exponent >= 0) {
+                return this.coefficient * DecimalNumber._pow10(this.exponent);
             }
-            
-            return tokens;
+            return this.coefficient / DecimalNumber._pow10(-this.exponent);
         }
         
         /**
-         * Evaluate Reverse Polish Notation expression
-         * @private
+         * Round half away from zero to a number of significant digits
          */
-        _evaluateRPN(rpn) {
-            const stack = [];
-            
-            for (const token of rpn) {
-                if (typeof token === 'number') {
-                    stack.push(token);
-                } else if (OperationFactory.isOperator(token)) {
-                    if (stack.length < 2) {
-                        throw new CalculatorError(
-                            'Insufficient operands',
-                            CalculatorError.ERROR_TYPES.SYNTAX_ERROR
-                        );
-                    }
-                    
-                    const b = stack.pop();
-                    const a = stack.pop();
-                    const operation = this.operationFactory.createOperation(token);
-                    
-                    const result = operation.execute(a, b);
-                    
-                    // Check for overflow/underflow
-                    if (!Number.isFinite(result)) {
-                        if (result === Infinity || result === -Infinity) {
-                            throw new CalculatorError(
-                                'Numerical overflow',
-                                CalculatorError.ERROR_TYPES.OVERFLOW
-                            );
-                        }
-                        throw new CalculatorError(
-                            'Invalid numerical result',
-                            CalculatorError.ERROR_TYPES.SYNTAX_ERROR
-                        );
-                    }
-                    
-                    stack.push(result);
-                }
+        round(precision) {
+            const digits = DecimalNumber._digitCount(this.coefficient);
+            if (digits <= precision) {
+                return this;
             }
             
-            if (stack.length !== 1) {
-                throw new CalculatorError(
-                    'Invalid expression format',
-                    CalculatorError.ERROR_TYPES.SYNTAX_ERROR
-                );
-            }
+            const dropped = digits - precision;
+            const divisor = DecimalNumber._pow10(dropped);
+            let quotient = this.coefficient / divisor;
+            const remainder = this.coefficient % divisor;
+            const magnitude = remainder < 0n ? -remainder : remainder;
             
-            const result = stack[0];
+            if (magnitude * 2n >= divisor) {
+                quotient += this.isNegative() ? -1n : 1n;
+            }
             
-            // Round to prevent floating point precision issues
-            return this._roundResult(result);
+            return new DecimalNumber(quotient, this.exponent + dropped);
+        }
+        
+        add(other) {
+            const [a, b, exponent] = DecimalNumber._align(this, other);
+            return new DecimalNumber(a + b, exponent);
+        }
+        
+        subtract(other) {
+            return this.add(other.negate());
+        }
+        
+        multiply(other) {
+            return new DecimalNumber(this.coefficient * other.coefficient, this.exponent + other.exponent);
         }
         
         /**
-         * Round result to prevent floating point issues
-         * @private
+         * Divide, keeping `precision` significant digits plus guard digits
+         * for the final rounding
          */
-        _roundResult(number) {
-            // Handle very small numbers
-            if (Math.abs(number) < 1e-10) return 0;
-            
-            // Round to avoid floating point precision errors
-            const multiplier = Math.pow(10, CONFIG.MAX_DECIMAL_PLACES);
-            const rounded = Math.round(number * multiplier) / multiplier;
-            
-            // Return as integer if it's a whole number
-            return rounded % 1 === 0 ? parseInt(rounded) : rounded;
+        divide(other, precision) {
+            const shift = Math.max(0, precision + 2 +
+                DecimalNumber._digitCount(other.coefficient) -
+                DecimalNumber._digitCount(this.coefficient));
+            const quotient = (this.coefficient * DecimalNumber._pow10(shift)) / other.coefficient;
+            return new DecimalNumber(quotient, this.exponent - other.exponent - shift).round(precision);
         }
         
         /**
-         * Check if character is a digit
-         * @private
+         * Remainder with the sign of the dividend, like JavaScript's %
          */
-        _isDigit(char) {
-            return /[0-9]/.test(char);
+        modulo(other) {
+            const [a, b, exponent] = DecimalNumber._align(this, other);
+            return new DecimalNumber(a % b, exponent);
+        }
+        
+        negate() {
+            return new DecimalNumber(-this.coefficient, this.exponent);
+        }
+        
+        compare(other) {
+            const [a, b] = DecimalNumber._align(this, other);
+            return a === b ? 0 : (a < b ? -1 : 1);
+        }
+        
+        toNumber() {
+            return Number(this.toString());
         }
         
         /**
-         * Check if token is a number
-         * @private
+         * Plain positional notation, never exponent notation
          */
-        _isNumber(token) {
-            return !isNaN(token) && isFinite(token);
+        toString() {
+            const sign = this.isNegative() ? '-' : '';
+            const digits = (this.isNegative() ? -this.coefficient : this.coefficient).toString();
+            
+            if (this.exponent >= 0) {
+                return sign + digits + (this.isZero() ? '' : '0'.repeat(this.exponent));
+            }
+            
+            const point = digits.length + this.exponent;
+            if (point > 0) {
+                return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+            }
+            return `${sign}0.${'0'.repeat(-point)}${digits}`;
         }
     }
     
     /**
-     * =========================================================================
-     * 7. CALCULATOR STATE MANAGER
-     * =========================================================================
+     * Exact base-10 arithmetic. Addition, subtraction, multiplication and
+     * modulo are exact up to `precision` significant digits; division and
+     * fractional powers round to that precision. Named functions (sqrt, sin,
+     * ...) have no exact decimal form and are evaluated in floating point.
      */
-    class CalculatorState {
-        constructor() {
-            this.reset();
+    class DecimalArithmetic {
+        constructor(precision = CONFIG.DECIMAL_PRECISION) {
+            if (!Number.isInteger(precision) || precision < 1 || precision > CONFIG.DECIMAL_MAX_PRECISION) {
+                throw new CalculatorError(
+                    `Decimal precision must be a whole number from 1 to ${CONFIG.DECIMAL_MAX_PRECISION}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            this.precision = precision;
         }
         
-        reset() {
-            this.currentInput = CONFIG.DEFAULT_DISPLAY_VALUE;
-            this.previousInput = '';
-            this.operator = null;
-            this.shouldResetDisplay = false;
-            this.history = [];
-            this.lastCalculation = null;
+        get name() {
+            return CONFIG.NUMBER_MODES.DECIMAL;
         }
         
-        updateInput(value) {
-            // Handle decimal point
-            if (value === CONFIG.ACTIONS.DECIMAL) {
-                if (this.currentInput.includes('.')) {
-                    return; // Already has decimal point
+        isValue(value) {
+            return value instanceof DecimalNumber;
+        }
+        
+        parse(literal) {
+            return DecimalNumber.parse(literal).round(this.precision);
+        }
+        
+        fromNumber(number) {
+            FLOAT_ARITHMETIC.check(number);
+            return DecimalNumber.parse(String(number)).round(this.precision);
+        }
+        
+        toNumber(value) {
+            return value.toNumber();
+        }
+        
+        add(a, b) {
+            return a.add(b).round(this.precision);
+        }
+        
+        subtract(a, b) {
+            return a.subtract(b).round(this.precision);
+        }
+        
+        multiply(a, b) {
+            return a.multiply(b).round(this.precision);
+        }
+        
+        divide(a, b) {
+            return a.divide(b, this.precision);
+        }
+        
+        modulo(a, b) {
+            return a.modulo(b).round(this.precision);
+        }
+        
+        negate(a) {
+            return a.negate();
+        }
+        
+        /**
+         * Integer powers by repeated squaring; other exponents go through
+         * floating point
+         */
+        power(a, b) {
+            if (!b.isInteger()) {
+                return this.fromNumber(Math.pow(a.toNumber(), b.toNumber()));
+            }
+            
+            let exponent = b.toBigInt();
+            const invert = exponent < 0n;
+            if (invert) {
+                if (a.isZero()) {
+                    throw new CalculatorError(
+                        'Division by zero is not allowed',
+                        CalculatorError.ERROR_TYPES.DIVISION_BY_ZERO
+                    );
                 }
-                this.currentInput += '.';
-                return;
+                exponent = -exponent;
             }
             
-            // Handle number input
-            if (this.currentInput === CONFIG.DEFAULT_DISPLAY_VALUE || this.shouldResetDisplay) {
-                this.currentInput = value;
-                this.shouldResetDisplay = false;
-            } else if (this.currentInput.length < CONFIG.MAX_DISPLAY_LENGTH) {
-                this.currentInput += value;
+            let result = new DecimalNumber(1n);
+            let base = a;
+            while (exponent > 0n) {
+                if (exponent & 1n) {
+                    result = this._checkMagnitude(result.multiply(base).round(this.precision), invert);
+                }
+                exponent >>= 1n;
+                if (exponent > 0n) {
+                    base = this._checkMagnitude(base.multiply(base).round(this.precision), invert);
+                }
             }
+            
+            return invert ? new DecimalNumber(1n).divide(result, this.precision) : result;
         }
         
-        applyOperator(op) {
-            if (this.operator && !this.shouldResetDisplay) {
-                // Calculate existing operation first
-                this.calculate();
+        toInteger(value) {
+            assertDomain(value.isInteger(), 'Bitwise operations need whole numbers');
+            return value.toBigInt();
+        }
+        
+        fromInteger(integer) {
+            return this.check(new DecimalNumber(integer).round(this.precision));
+        }
+        
+        isZero(value) {
+            return value.isZero();
+        }
+        
+        magnitude(value) {
+            return value.adjustedExponent();
+        }
+        
+        check(value) {
+            return this._checkMagnitude(value, false);
+        }
+        
+        finalize(value) {
+            return value;
+        }
+        
+        /**
+         * Keep values inside the supported exponent range. When a power is
+         * about to be inverted, a huge intermediate means a tiny result.
+         * @private
+         */
+        _checkMagnitude(value, inverted) {
+            const exponent = value.adjustedExponent();
+            if (Math.abs(exponent) <= CONFIG.DECIMAL_MAX_EXPONENT) {
+                return value;
             }
             
-            this.previousInput = this.currentInput;
-            this.operator = op;
-            this.shouldResetDisplay = true;
+            const tooLarge = (exponent > 0) !== inverted;
+            throw new CalculatorError(
+                tooLarge ? 'Numerical overflow' : 'Numerical underflow',
+                tooLarge ? CalculatorError.ERROR_TYPES.OVERFLOW : CalculatorError.ERROR_TYPES.UNDERFLOW
+            );
         }
-        
-        calculate() {
-            if (!this.operator || !this.previousInput) {
-                return;
+    }
+    
+    /**
+     * Immutable exact rational number with BigInt numerator and denominator,
+     * always reduced by their GCD and with the sign on the numerator.
+     */
+    class Fraction {
+        constructor(numerator, denominator = 1n) {
+            let top = BigInt(numerator);
+            let bottom = BigInt(denominator);
+            
+            if (bottom === 0n) {
+                throw new CalculatorError(
+                    'Division by zero is not allowed',
+                    CalculatorError.ERROR_TYPES.DIVISION_BY_ZERO
+                );
             }
             
-            try {
-                const expression = `${this.previousInput}${this.operator}${this.currentInput}`;
-                const engine = new CalculationEngine();
-                const result = engine.calculate(expression);
-                
-                // Record history
-                this.history.push({
-                    expression,
-                    result,
-                    timestamp: new Date().toISOString()
-                });
-                
-                // Keep last 10 calculations
-                if (this.history.length > 10) {
-                    this.history.shift();
-                }
-                
-                this.lastCalculation = {
-                    expression,
-                    result
-                };
-                
-                this.currentInput = result.toString();
-                this.operator = null;
-                this.previousInput = '';
-                this.shouldResetDisplay = true;
-                
-            } catch (error) {
-                this.currentInput = CONFIG.ERROR_MESSAGE;
-                this.operator = null;
-                this.previousInput = '';
-                this.shouldResetDisplay = true;
-                throw error;
+            if (bottom < 0n) {
+                top = -top;
+                bottom = -bottom;
             }
+            
+            const divisor = Fraction.gcd(top, bottom);
+            this.numerator = top / divisor;
+            this.denominator = bottom / divisor;
         }
         
-        backspace() {
-            if (this.currentInput.length > 1) {
-                this.currentInput = this.currentInput.slice(0, -1);
-            } else {
-                this.currentInput = CONFIG.DEFAULT_DISPLAY_VALUE;
+        static gcd(a, b) {
+            let x = a < 0n ? -a : a;
+            let y = b < 0n ? -b : b;
+            while (y !== 0n) {
+                [x, y] = [y, x % y];
             }
+            return x === 0n ? 1n : x;
         }
         
-        clear() {
-            this.reset();
+        static fromDecimal(decimal) {
+            if (decimal.exponent >= 0) {
+                return new Fraction(decimal.toBigInt());
+            }
+            return new Fraction(decimal.coefficient, 10n ** BigInt(-decimal.exponent));
         }
         
-        getDisplayValue() {
-            return this.currentInput;
+        /**
+         * Parse a decimal literal exactly, e.g. "0.75" becomes 3/4
+         */
+        static parse(literal) {
+            return Fraction.fromDecimal(DecimalNumber.parse(literal));
         }
         
-        getHistory() {
-            return [...this.history];
+        isZero() {
+            return this.numerator === 0n;
         }
         
-        getLastCalculation() {
-            return this.lastCalculation ? { ...this.lastCalculation } : null;
+        isInteger() {
+            return this.denominator === 1n;
+        }
+        
+        add(other) {
+            return new Fraction(
+                this.numerator * other.denominator + other.numerator * this.denominator,
+                this.denominator * other.denominator
+            );
+        }
+        
+        subtract(other) {
+            return this.add(other.negate());
+        }
+        
+        multiply(other) {
+            return new Fraction(this.numerator * other.numerator, this.denominator * other.denominator);
+        }
+        
+        divide(other) {
+            return new Fraction(this.numerator * other.denominator, this.denominator * other.numerator);
+        }
+        
+        /**
+         * Remainder with the sign of the dividend, like JavaScript's %
+         */
+        modulo(other) {
+            const quotient = (this.numerator * other.denominator) / (this.denominator * other.numerator);
+            return this.subtract(other.multiply(new Fraction(quotient)));
+        }
+        
+        negate() {
+            return new Fraction(-this.numerator, this.denominator);
+        }
+        
+        /**
+         * Number of digits in the larger of numerator and denominator
+         */
+        digitCount() {
+            const top = this.numerator < 0n ? -this.numerator : this.numerator;
+            return Math.max(top.toString().length, this.denominator.toString().length);
+        }
+        
+        toDecimal(precision) {
+            return new DecimalNumber(this.numerator).divide(new DecimalNumber(this.denominator), precision);
+        }
+        
+        toNumber() {
+            return this.toDecimal(CONFIG.DECIMAL_PRECISION).toNumber();
+        }
+        
+        /**
+         * Improper fraction form, e.g. "7/4" (integers have no denominator)
+         */
+        toString() {
+            return this.isInteger() ? this.numerator.toString() : `${this.numerator}/${this.denominator}`;
+        }
+        
+        /**
+         * Mixed number form, e.g. "1 3/4" or "-1 3/4"
+         */
+        toMixedString() {
+            const whole = this.numerator / this.denominator;
+            if (this.isInteger() || whole === 0n) {
+                return this.toString();
+            }
+            
+            const remainder = this.numerator % this.denominator;
+            const magnitude = remainder < 0n ? -remainder : remainder;
+            return `${whole} ${magnitude}/${this.denominator}`;
         }
     }
     
     /**
-     * =========================================================================
-     * 8. CALCULATOR UI CONTROLLER
-     * =========================================================================
+     * Exact rational arithmetic: every operation except fractional powers
+     * and named functions keeps an exact fraction.
      */
-    class CalculatorUIController {
-        constructor() {
-            this.state = new CalculatorState();
-            this.engine = new CalculationEngine();
-            
-            // DOM Elements
-            this.displayElement = null;
-            this.historyElement = null;
-            this.statusElement = null;
+    class RationalArithmetic {
+        get name() {
+            return CONFIG.NUMBER_MODES.RATIONAL;
+        }
+        
+        isValue(value) {
+            return value instanceof Fraction;
+        }
+        
+        parse(literal) {
+            return this.check(Fraction.parse(literal));
+        }
+        
+        /**
+         * Plain numbers become the fraction of their shortest decimal form
+         */
+        fromNumber(number) {
+            FLOAT_ARITHMETIC.check(number);
+            return this.check(Fraction.parse(String(number)));
+        }
+        
+        toNumber(value) {
+            return value.toNumber();
+        }
+        
+        add(a, b) {
+            return a.add(b);
+        }
+        
+        subtract(a, b) {
+            return a.subtract(b);
+        }
+        
+        multiply(a, b) {
+            return a.multiply(b);
+        }
+        
+        divide(a, b) {
+            return a.divide(b);
+        }
+        
+        modulo(a, b) {
+            return a.modulo(b);
+        }
+        
+        negate(a) {
+            return a.negate();
+        }
+        
+        /**
+         * Integer powers stay exact; other exponents go through floating point
+         */
+        power(a, b) {
+            if (!b.isInteger()) {
+                return this.fromNumber(Math.pow(a.toNumber(), b.toNumber()));
+            }
+            
+            const exponent = b.numerator < 0n ? -b.numerator : b.numerator;
+            if (BigInt(a.digitCount()) * exponent > BigInt(CONFIG.RATIONAL_MAX_DIGITS)) {
+                throw new CalculatorError(
+                    'Numerical overflow',
+                    CalculatorError.ERROR_TYPES.OVERFLOW
+                );
+            }
+            
+            const result = new Fraction(a.numerator ** exponent, a.denominator ** exponent);
+            return b.numerator < 0n ? new Fraction(1n).divide(result) : result;
+        }
+        
+        toInteger(value) {
+            assertDomain(value.isInteger(), 'Bitwise operations need whole numbers');
+            return value.numerator;
+        }
+        
+        fromInteger(integer) {
+            return this.check(new Fraction(integer));
+        }
+        
+        isZero(value) {
+            return value.isZero();
+        }
+        
+        magnitude(value) {
+            const top = value.numerator < 0n ? -value.numerator : value.numerator;
+            return top.toString().length - value.denominator.toString().length;
+        }
+        
+        check(value) {
+            if (value.digitCount() > CONFIG.RATIONAL_MAX_DIGITS) {
+                throw new CalculatorError(
+                    'Numerical overflow',
+                    CalculatorError.ERROR_TYPES.OVERFLOW
+                );
+            }
+            return value;
+        }
+        
+        finalize(value) {
+            return value;
+        }
+    }
+    
+    /**
+     * Programmer mode: whole numbers of a fixed width (CONFIG.WORD_SIZES
+     * bits), signed (two's complement) or unsigned, held as BigInt so that
+     * all 64 bits are exact. Results wrap around like machine integers and
+     * division truncates toward zero.
+     */
+    class IntegerArithmetic {
+        constructor(wordSize = CONFIG.DEFAULT_WORD_SIZE, signed = true) {
+            if (!CONFIG.WORD_SIZES.includes(wordSize)) {
+                throw new CalculatorError(
+                    `Word size must be one of ${CONFIG.WORD_SIZES.join(', ')} bits`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            this.wordSize = wordSize;
+            this.signed = signed !== false;
+        }
+        
+        get name() {
+            return CONFIG.NUMBER_MODES.PROGRAMMER;
+        }
+        
+        isValue(value) {
+            return typeof value === 'bigint';
+        }
+        
+        /**
+         * Parse a whole number, decimal or with a 0x, 0o or 0b prefix
+         */
+        parse(literal) {
+            const text = String(literal).trim();
+            if (BASE_PREFIX_PATTERN.test(text)) {
+                return this.wrap(parsePrefixedInteger(text));
+            }
+            if (!/^[+-]?[0-9]+$/.test(text)) {
+                throw new CalculatorError(
+                    `Programmer mode only takes whole numbers: ${literal}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            return this.wrap(BigInt(text));
+        }
+        
+        /**
+         * Plain numbers (constants, function results) must be whole, as
+         * literals must, so 3pi or sqrt(2) is an error rather than cut short
+         */
+        fromNumber(number) {
+            FLOAT_ARITHMETIC.check(number);
+            if (!Number.isInteger(number)) {
+                throw new CalculatorError(
+                    `Programmer mode only takes whole numbers: ${number}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            return this.wrap(BigInt(number));
+        }
+        
+        toNumber(value) {
+            return Number(value);
+        }
+        
+        add(a, b) {
+            return this.wrap(a + b);
+        }
+        
+        subtract(a, b) {
+            return this.wrap(a - b);
+        }
+        
+        multiply(a, b) {
+            return this.wrap(a * b);
+        }
+        
+        divide(a, b) {
+            return this.wrap(a / b);
+        }
+        
+        modulo(a, b) {
+            return this.wrap(a % b);
+        }
+        
+        negate(a) {
+            return this.wrap(-a);
+        }
+        
+        /**
+         * Square-and-multiply, wrapping at every step so huge exponents
+         * stay cheap
+         */
+        power(a, b) {
+            assertDomain(b >= 0n, 'Negative exponents have no whole-number result');
+            
+            let result = 1n;
+            let base = a;
+            let exponent = b;
+            while (exponent > 0n) {
+                if (exponent & 1n) {
+                    result = this.wrap(result * base);
+                }
+                base = this.wrap(base * base);
+                exponent >>= 1n;
+            }
+            return result;
+        }
+        
+        toInteger(value) {
+            return value;
+        }
+        
+        fromInteger(integer) {
+            return this.wrap(integer);
+        }
+        
+        isZero(value) {
+            return value === 0n;
+        }
+        
+        magnitude(value) {
+            return (value < 0n ? -value : value).toString().length - 1;
+        }
+        
+        check(value) {
+            return value;
+        }
+        
+        finalize(value) {
+            return value;
+        }
+        
+        /**
+         * Reduce an integer to the word size, as the hardware would
+         */
+        wrap(integer) {
+            return this.signed
+                ? BigInt.asIntN(this.wordSize, integer)
+                : BigInt.asUintN(this.wordSize, integer);
+        }
+        
+        /**
+         * Digits in a base; negative values show their two's complement bits
+         * in hex, octal and binary, binary in groups of four
+         * @param {bigint} value
+         * @param {number} base - One of CONFIG.INTEGER_BASES
+         */
+        formatInBase(value, base) {
+            if (base === CONFIG.INTEGER_BASES.DEC) {
+                return value.toString();
+            }
+            
+            const digits = BigInt.asUintN(this.wordSize, value).toString(base);
+            if (base === CONFIG.INTEGER_BASES.HEX) {
+                return digits.toUpperCase();
+            }
+            if (base === CONFIG.INTEGER_BASES.BIN) {
+                return digits
+                    .padStart(Math.ceil(digits.length / 4) * 4, '0')
+                    .replace(/([01]{4})(?=[01])/g, '$1 ');
+            }
+            return digits;
+        }
+    }
+    
+    const FLOAT_ARITHMETIC = new FloatArithmetic();
+    
+    class ArithmeticFactory {
+        /**
+         * @param {string} numberMode - One of CONFIG.NUMBER_MODES
+         * @param {Object} options - { precision } for decimal mode,
+         *   { wordSize, signed } for programmer mode
+         */
+        static create(numberMode = CONFIG.NUMBER_MODES.FLOAT, options = {}) {
+            switch (numberMode) {
+                case CONFIG.NUMBER_MODES.FLOAT:
+                    return FLOAT_ARITHMETIC;
+                case CONFIG.NUMBER_MODES.DECIMAL:
+                    return new DecimalArithmetic(options.precision);
+                case CONFIG.NUMBER_MODES.RATIONAL:
+                    return new RationalArithmetic();
+                case CONFIG.NUMBER_MODES.PROGRAMMER:
+                    return new IntegerArithmetic(options.wordSize, options.signed);
+                default:
+                    throw new CalculatorError(
+                        `Unknown number mode: ${numberMode}`,
+                        CalculatorError.ERROR_TYPES.INVALID_INPUT
+                    );
+            }
+        }
+    }
+    
+    /**
+     * =========================================================================
+     * 4. OPERATION INTERFACE (SOLID: Interface Segregation)
+     * =========================================================================
+     */
+    class Operation {
+        constructor(symbol, precedence, arity = 2, associativity = CONFIG.ASSOCIATIVITY.LEFT) {
+            if (this.constructor === Operation) {
+                throw new CalculatorError(
+                    'Operation is an abstract class and cannot be instantiated directly',
+                    CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                );
+            }
+            this.symbol = symbol;
+            this.precedence = precedence;
+            this.arity = arity;
+            this.associativity = associativity;
+        }
+        
+        isRightAssociative() {
+            return this.associativity === CONFIG.ASSOCIATIVITY.RIGHT;
+        }
+        
+        /**
+         * Whether a one-operand operation is written after its operand
+         */
+        isPostfix() {
+            return false;
+        }
+        
+        /**
+         * Whether a percentage right operand is read as that share of the
+         * left operand, as on a desk calculator: 200 + 10% is 200 + 20
+         */
+        takesPercentOfLeft() {
+            return false;
+        }
+        
+        /**
+         * Apply the operation. Operands come first (one per arity), followed
+         * by the arithmetic strategy that defines the number type.
+         */
+        execute(a, b, math = FLOAT_ARITHMETIC) {
+            throw new CalculatorError(
+                'execute() must be implemented by subclass',
+                CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+            );
+        }
+    }
+    
+    /**
+     * =========================================================================
+     * 5. CONCRETE OPERATIONS (SOLID: Single Responsibility)
+     * =========================================================================
+     */
+    class AdditionOperation extends Operation {
+        constructor() {
+            super(CONFIG.OPERATORS.ADD, 1);
+        }
+        
+        takesPercentOfLeft() {
+            return true;
+        }
+        
+        execute(a, b, math = FLOAT_ARITHMETIC) {
+            return math.add(a, b);
+        }
+    }
+    
+    class SubtractionOperation extends Operation {
+        constructor() {
+            super(CONFIG.OPERATORS.SUBTRACT, 1);
+        }
+        
+        takesPercentOfLeft() {
+            return true;
+        }
+        
+        execute(a, b, math = FLOAT_ARITHMETIC) {
+            return math.subtract(a, b);
+        }
+    }
+    
+    class MultiplicationOperation extends Operation {
+        constructor() {
+            super(CONFIG.OPERATORS.MULTIPLY, 2);
+        }
+        
+        execute(a, b, math = FLOAT_ARITHMETIC) {
+            return math.multiply(a, b);
+        }
+    }
+    
+    /**
+     * Juxtaposition: "2x", "2(3+4)", "(1+2)(3+4)". Its precedence sits
+     * between "*"/"/" and the prefix operators, so 1/2x is 1/(2x) and
+     * 6/2(1+2) is 1, while 2x^2 is still 2(x^2).
+     */
+    class ImplicitMultiplicationOperation extends Operation {
+        constructor() {
+            super(CONFIG.IMPLICIT_MULTIPLY, 2.5);
+        }
+        
+        execute(a, b, math = FLOAT_ARITHMETIC) {
+            return math.multiply(a, b);
+        }
+    }
+    
+    class DivisionOperation extends Operation {
+        constructor() {
+            super(CONFIG.OPERATORS.DIVIDE, 2);
+        }
+        
+        execute(a, b, math = FLOAT_ARITHMETIC) {
+            if (math.isZero(b)) {
+                throw new CalculatorError(
+                    'Division by zero is not allowed',
+                    CalculatorError.ERROR_TYPES.DIVISION_BY_ZERO
+                );
+            }
+            return math.divide(a, b);
+        }
+    }
+    
+    class ModuloOperation extends Operation {
+        constructor() {
+            super(CONFIG.OPERATORS.MODULO, 2);
+        }
+        
+        execute(a, b, math = FLOAT_ARITHMETIC) {
+            if (math.isZero(b)) {
+                throw new CalculatorError(
+                    'Modulo by zero is not allowed',
+                    CalculatorError.ERROR_TYPES.DIVISION_BY_ZERO
+                );
+            }
+            return math.modulo(a, b);
+        }
+    }
+    
+    /**
+     * Power binds tighter than unary minus ("-2^2" is -4) and groups to the
+     * right ("2^3^2" is 2^9).
+     */
+    class PowerOperation extends Operation {
+        constructor() {
+            super(CONFIG.OPERATORS.POWER, 4, 2, CONFIG.ASSOCIATIVITY.RIGHT);
+        }
+        
+        execute(a, b, math = FLOAT_ARITHMETIC) {
+            return math.power(a, b);
+        }
+    }
+    
+    /**
+     * Bitwise operations take whole numbers in every number mode and hand
+     * the result back to the number type (which wraps it to the word size
+     * in programmer mode). As in C, they bind looser than '+' and '-':
+     * shifts first, then '&', 'xor' and '|'.
+     */
+    class BitwiseOperation extends Operation {
+        execute(a, b, math = FLOAT_ARITHMETIC) {
+            return math.fromInteger(this.combine(math.toInteger(a), math.toInteger(b)));
+        }
+        
+        /**
+         * @param {bigint} a
+         * @param {bigint} b
+         * @returns {bigint}
+         */
+        combine(a, b) {
+            throw new CalculatorError(
+                'combine() must be implemented by subclass',
+                CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+            );
+        }
+        
+        /**
+         * @protected
+         */
+        shiftCount(count) {
+            assertDomain(count >= 0n, 'Shift count must not be negative');
+            return count;
+        }
+    }
+    
+    class ShiftLeftOperation extends BitwiseOperation {
+        constructor() {
+            super(CONFIG.OPERATORS.SHIFT_LEFT, 0.8);
+        }
+        
+        combine(a, b) {
+            if (this.shiftCount(b) > BigInt(CONFIG.MAX_SHIFT)) {
+                throw new CalculatorError(
+                    'Numerical overflow',
+                    CalculatorError.ERROR_TYPES.OVERFLOW
+                );
+            }
+            return a << b;
+        }
+    }
+    
+    /**
+     * Arithmetic shift: the sign bit is copied in from the left
+     */
+    class ShiftRightOperation extends BitwiseOperation {
+        constructor() {
+            super(CONFIG.OPERATORS.SHIFT_RIGHT, 0.8);
+        }
+        
+        combine(a, b) {
+            const count = this.shiftCount(b);
+            const maxShift = BigInt(CONFIG.MAX_SHIFT);
+            return a >> (count > maxShift ? maxShift : count);
+        }
+    }
+    
+    class BitwiseAndOperation extends BitwiseOperation {
+        constructor() {
+            super(CONFIG.OPERATORS.BITWISE_AND, 0.6);
+        }
+        
+        combine(a, b) {
+            return a & b;
+        }
+    }
+    
+    class BitwiseXorOperation extends BitwiseOperation {
+        constructor() {
+            super(CONFIG.OPERATORS.BITWISE_XOR, 0.4);
+        }
+        
+        combine(a, b) {
+            return a ^ b;
+        }
+    }
+    
+    class BitwiseOrOperation extends BitwiseOperation {
+        constructor() {
+            super(CONFIG.OPERATORS.BITWISE_OR, 0.2);
+        }
+        
+        combine(a, b) {
+            return a | b;
+        }
+    }
+    
+    /**
+     * Unary operations bind tighter than '*', '/' and 'mod', so "-2*3" is
+     * "(-2)*3" and "2*-4" is "2*(-4)".
+     */
+    class NegationOperation extends Operation {
+        constructor() {
+            super(CONFIG.UNARY_OPERATORS.NEGATE, 3, 1);
+        }
+        
+        execute(a, math = FLOAT_ARITHMETIC) {
+            return math.negate(a);
+        }
+    }
+    
+    class UnaryPlusOperation extends Operation {
+        constructor() {
+            super(CONFIG.UNARY_OPERATORS.POSITIVE, 3, 1);
+        }
+        
+        execute(a, math = FLOAT_ARITHMETIC) {
+            return a;
+        }
+    }
+    
+    /**
+     * Prefix '~': flips every bit, so ~x is -x-1 (within the word size in
+     * programmer mode)
+     */
+    class BitwiseNotOperation extends Operation {
+        constructor() {
+            super(CONFIG.OPERATORS.BITWISE_NOT, 3, 1);
+        }
+        
+        execute(a, math = FLOAT_ARITHMETIC) {
+            return math.fromInteger(~math.toInteger(a));
+        }
+    }
+    
+    /**
+     * Postfix '%': x% is x/100, so 50 * 10% is 5. It binds tighter than
+     * any prefix operator ("-10%" is -(10%)); after '+' or '-' the engine
+     * reads it as a share of the left operand instead (takesPercentOfLeft).
+     */
+    class PercentOperation extends Operation {
+        constructor() {
+            super(CONFIG.OPERATORS.PERCENT, 5, 1);
+        }
+        
+        isPostfix() {
+            return true;
+        }
+        
+        execute(a, math = FLOAT_ARITHMETIC) {
+            return math.divide(a, math.fromNumber(100));
+        }
+    }
+    
+    /**
+     * Operation added at runtime through OnionForgeCalculator.registerOperation.
+     * Like named functions, it works on plain numbers in every number mode.
+     */
+    class CustomOperation extends Operation {
+        constructor({ symbol, precedence, arity, associativity, execute, label }) {
+            super(symbol, precedence, arity, associativity);
+            this.label = label;
+            this.implementation = execute;
+        }
+        
+        execute(...args) {
+            const math = args[this.arity] || FLOAT_ARITHMETIC;
+            const operands = args.slice(0, this.arity).map(value => math.toNumber(value));
+            const result = this.implementation(...operands);
+            
+            if (typeof result !== 'number') {
+                throw new CalculatorError(
+                    `Operator ${this.symbol} must return a number`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            return math.fromNumber(FLOAT_ARITHMETIC.check(result));
+        }
+    }
+    
+    /**
+     * =========================================================================
+     * 6. OPERATION FACTORY (SOLID: Open/Closed Principle)
+     * =========================================================================
+     */
+    
+    // Registered operations by symbol; looked up before the built-in table,
+    // so a registration made with { override: true } replaces a built-in
+    const registeredOperations = new Map();
+    
+    // One shared instance per built-in operation, created on first use.
+    // Operations hold no state, so the engine can look one up for every
+    // comparison without allocating.
+    const builtInOperations = new Map();
+    
+    class OperationFactory {
+        static get BUILT_IN_OPERATIONS() {
+            return {
+                [CONFIG.OPERATORS.ADD]: AdditionOperation,
+                [CONFIG.OPERATORS.SUBTRACT]: SubtractionOperation,
+                [CONFIG.OPERATORS.MULTIPLY]: MultiplicationOperation,
+                [CONFIG.IMPLICIT_MULTIPLY]: ImplicitMultiplicationOperation,
+                [CONFIG.OPERATORS.DIVIDE]: DivisionOperation,
+                [CONFIG.OPERATORS.MODULO]: ModuloOperation,
+                [CONFIG.OPERATORS.PERCENT]: PercentOperation,
+                [CONFIG.OPERATORS.POWER]: PowerOperation,
+                [CONFIG.OPERATORS.BITWISE_AND]: BitwiseAndOperation,
+                [CONFIG.OPERATORS.BITWISE_OR]: BitwiseOrOperation,
+                [CONFIG.OPERATORS.BITWISE_XOR]: BitwiseXorOperation,
+                [CONFIG.OPERATORS.BITWISE_NOT]: BitwiseNotOperation,
+                [CONFIG.OPERATORS.SHIFT_LEFT]: ShiftLeftOperation,
+                [CONFIG.OPERATORS.SHIFT_RIGHT]: ShiftRightOperation,
+                [CONFIG.UNARY_OPERATORS.NEGATE]: NegationOperation,
+                [CONFIG.UNARY_OPERATORS.POSITIVE]: UnaryPlusOperation
+            };
+        }
+        
+        /**
+         * The operation for a symbol. The same instance is returned every
+         * time, so callers must not modify it.
+         */
+        static createOperation(symbol) {
+            if (registeredOperations.has(symbol)) {
+                return registeredOperations.get(symbol);
+            }
+            if (builtInOperations.has(symbol)) {
+                return builtInOperations.get(symbol);
+            }
+            
+            const OperationClass = OperationFactory.isBuiltIn(symbol)
+                ? OperationFactory.BUILT_IN_OPERATIONS[symbol]
+                : null;
+            if (!OperationClass) {
+                throw new CalculatorError(
+                    `Invalid operator: ${symbol}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            const operation = new OperationClass();
+            builtInOperations.set(symbol, operation);
+            return operation;
+        }
+        
+        /**
+         * Add an operator to the engine
+         * @param {Object} definition - { symbol, precedence, associativity,
+         *   arity, execute, label }: arity 2 is infix ("a ⊕ b"), arity 1 is
+         *   prefix ("⊕a"); execute receives plain numbers, so in decimal and
+         *   rational modes its operands and result are only as exact as
+         *   floating point; label names the keypad button for screen readers
+         * @param {Object} options - { override: true } to replace a built-in
+         *   or previously registered operator with the same symbol
+         * @returns {CustomOperation}
+         */
+        static register(definition, options = {}) {
+            const operation = new CustomOperation(OperationFactory._validateDefinition(definition));
+            const { symbol } = operation;
+            
+            const taken = OperationFactory.isOperator(symbol) ||
+                Object.prototype.hasOwnProperty.call(CONFIG.OPERATOR_ALIASES, symbol);
+            if (taken && !options.override) {
+                throw new CalculatorError(
+                    `Operator ${symbol} is already defined; pass { override: true } to replace it`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            registeredOperations.set(symbol, operation);
+            compiledExpressions.clear();
+            return operation;
+        }
+        
+        /**
+         * Remove a registered operator, restoring any built-in it replaced
+         * @returns {boolean} - Whether an operator was removed
+         */
+        static unregister(symbol) {
+            compiledExpressions.clear();
+            return registeredOperations.delete(symbol);
+        }
+        
+        static getRegisteredOperations() {
+            return Array.from(registeredOperations.values());
+        }
+        
+        static isBuiltIn(symbol) {
+            return Object.values(CONFIG.OPERATORS).includes(symbol) ||
+                Object.values(CONFIG.UNARY_OPERATORS).includes(symbol) ||
+                symbol === CONFIG.IMPLICIT_MULTIPLY;
+        }
+        
+        static isRegistered(symbol) {
+            return registeredOperations.has(symbol);
+        }
+        
+        /**
+         * Every spelling the tokenizer reads as an operator, longest first so
+         * that "**" wins over "*"
+         */
+        static getSymbols() {
+            const symbols = new Set([
+                ...Object.values(CONFIG.OPERATORS),
+                ...Object.keys(CONFIG.OPERATOR_ALIASES),
+                ...registeredOperations.keys()
+            ]);
+            return Array.from(symbols).sort((a, b) => b.length - a.length);
+        }
+        
+        static isOperator(symbol) {
+            return OperationFactory.isBuiltIn(symbol) || registeredOperations.has(symbol);
+        }
+        
+        /**
+         * One-operand operators, prefix or postfix
+         */
+        static isUnaryOperator(symbol) {
+            return OperationFactory.isOperator(symbol) &&
+                OperationFactory.createOperation(symbol).arity === 1;
+        }
+        
+        static isPostfixOperator(symbol) {
+            return OperationFactory.isOperator(symbol) &&
+                OperationFactory.createOperation(symbol).isPostfix();
+        }
+        
+        /**
+         * Operators spelled as words ("xor") rather than symbols
+         */
+        static isWordOperator(symbol) {
+            return /^[a-z]+$/.test(symbol) && OperationFactory.isOperator(symbol) &&
+                !Object.values(CONFIG.UNARY_OPERATORS).includes(symbol);
+        }
+        
+        static getWordOperators() {
+            return OperationFactory.getSymbols().filter(symbol => OperationFactory.isWordOperator(symbol));
+        }
+        
+        /**
+         * Check a definition and fill in defaults
+         * @private
+         */
+        static _validateDefinition(definition) {
+            const invalid = (message) => new CalculatorError(
+                `Invalid operation definition: ${message}`,
+                CalculatorError.ERROR_TYPES.INVALID_INPUT
+            );
+            
+            if (!definition || typeof definition !== 'object') {
+                throw invalid('expected an object');
+            }
+            
+            const {
+                symbol,
+                precedence,
+                arity = 2,
+                associativity = CONFIG.ASSOCIATIVITY.LEFT,
+                execute,
+                label = `Operator ${symbol}`
+            } = definition;
+            
+            const symbolPattern = new RegExp(
+                `^[${escapeRegExp(CONFIG.OPERATOR_SYMBOL_CHARACTERS)}]{1,${CONFIG.MAX_OPERATOR_SYMBOL_LENGTH}}$`
+            );
+            if (typeof symbol !== 'string' || !symbolPattern.test(symbol)) {
+                throw invalid(
+                    `symbol must be 1 to ${CONFIG.MAX_OPERATOR_SYMBOL_LENGTH} of the characters ` +
+                    CONFIG.OPERATOR_SYMBOL_CHARACTERS
+                );
+            }
+            // The tokenizer reads the longest symbol, so "*-" would turn
+            // "2*-3" into 2 *- 3: a symbol may not extend a built-in one
+            const extended = [...Object.values(CONFIG.OPERATORS), ...Object.keys(CONFIG.OPERATOR_ALIASES)]
+                .find(builtIn => symbol !== builtIn && symbol.startsWith(builtIn));
+            if (extended) {
+                throw invalid(`symbol must not start with the built-in operator ${extended}`);
+            }
+            if (!Number.isFinite(precedence)) {
+                throw invalid('precedence must be a finite number');
+            }
+            if (arity !== 1 && arity !== 2) {
+                throw invalid('arity must be 1 (prefix) or 2 (infix)');
+            }
+            if (!Object.values(CONFIG.ASSOCIATIVITY).includes(associativity)) {
+                throw invalid(`associativity must be one of ${Object.values(CONFIG.ASSOCIATIVITY).join(', ')}`);
+            }
+            if (typeof execute !== 'function') {
+                throw invalid('execute must be a function');
+            }
+            if (typeof label !== 'string') {
+                throw invalid('label must be a string');
+            }
+            
+            return { symbol, precedence, arity, associativity, execute, label };
+        }
+    }
+    
+    /**
+     * Escape text for use inside a regular expression (including inside a
+     * character class)
+     */
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\\/-]/g, '\\$&');
+    }
+    
+    /**
+     * =========================================================================
+     * 7. FUNCTION & UNIT REGISTRIES (SOLID: Open/Closed Principle)
+     * =========================================================================
+     */
+    class MathFunction {
+        constructor(name, minArity, maxArity, implementation) {
+            this.name = name;
+            this.minArity = minArity;
+            this.maxArity = maxArity;
+            this.implementation = implementation;
+        }
+        
+        acceptsArgumentCount(count) {
+            return count >= this.minArity && count <= this.maxArity;
+        }
+        
+        describeArity() {
+            if (this.minArity === this.maxArity) {
+                return `${this.minArity} argument${this.minArity === 1 ? '' : 's'}`;
+            }
+            return `${this.minArity} to ${this.maxArity} arguments`;
+        }
+        
+        execute(...args) {
+            return this.implementation(...args);
+        }
+    }
+    
+    /**
+     * Throw a domain error unless the argument is inside the function's domain
+     */
+    function assertDomain(condition, message) {
+        if (!condition) {
+            throw new CalculatorError(message, CalculatorError.ERROR_TYPES.DOMAIN_ERROR);
+        }
+    }
+    
+    class FunctionRegistry {
+        static get FUNCTIONS() {
+            return {
+                sqrt: new MathFunction('sqrt', 1, 1, (x) => {
+                    assertDomain(x >= 0, 'Square root of a negative number');
+                    return Math.sqrt(x);
+                }),
+                sin: new MathFunction('sin', 1, 1, (x) => Math.sin(x)),
+                cos: new MathFunction('cos', 1, 1, (x) => Math.cos(x)),
+                tan: new MathFunction('tan', 1, 1, (x) => {
+                    assertDomain(Math.abs(Math.cos(x)) > 1e-15, 'Tangent is undefined at this angle');
+                    return Math.tan(x);
+                }),
+                log: new MathFunction('log', 1, 2, (x, base = 10) => {
+                    assertDomain(x > 0, 'Logarithm of a non-positive number');
+                    assertDomain(base > 0 && base !== 1, 'Invalid logarithm base');
+                    return base === 10 ? Math.log10(x) : Math.log(x) / Math.log(base);
+                }),
+                ln: new MathFunction('ln', 1, 1, (x) => {
+                    assertDomain(x > 0, 'Logarithm of a non-positive number');
+                    return Math.log(x);
+                }),
+                abs: new MathFunction('abs', 1, 1, (x) => Math.abs(x)),
+                round: new MathFunction('round', 1, 2, (x, places = 0) => {
+                    assertDomain(
+                        Number.isInteger(places) && places >= 0 && places <= CONFIG.MAX_DECIMAL_PLACES,
+                        `Decimal places must be a whole number from 0 to ${CONFIG.MAX_DECIMAL_PLACES}`
+                    );
+                    const multiplier = Math.pow(10, places);
+                    return Math.round(x * multiplier) / multiplier;
+                })
+            };
+        }
+        
+        static get(name) {
+            const mathFunction = FunctionRegistry.FUNCTIONS[name];
+            if (!mathFunction) {
+                throw new CalculatorError(
+                    `Unknown function: ${name}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            return mathFunction;
+        }
+        
+        static has(name) {
+            return Object.prototype.hasOwnProperty.call(FunctionRegistry.FUNCTIONS, name);
+        }
+    }
+    
+    /**
+     * Built-in units by dimension. A unit converts to its dimension's base
+     * unit (factor '1') as base = value * factor + offset. Factors are
+     * strings, optionally a ratio 'a/b', so exact number modes stay exact.
+     * Add a row here, or call OnionForgeCalculator.registerUnit, to add a
+     * unit; the engine needs no change.
+     */
+    const UNIT_TABLES = {
+        length: [
+            { symbol: 'mm', name: 'millimetre', factor: '0.001' },
+            { symbol: 'cm', name: 'centimetre', factor: '0.01' },
+            { symbol: 'm', name: 'metre', factor: '1' },
+            { symbol: 'km', name: 'kilometre', factor: '1000' },
+            { symbol: 'in', name: 'inch', factor: '0.0254' },
+            { symbol: 'ft', name: 'foot', factor: '0.3048' },
+            { symbol: 'yd', name: 'yard', factor: '0.9144' },
+            { symbol: 'mi', name: 'mile', factor: '1609.344' },
+            { symbol: 'nmi', name: 'nautical mile', factor: '1852' }
+        ],
+        mass: [
+            { symbol: 'mg', name: 'milligram', factor: '0.000001' },
+            { symbol: 'g', name: 'gram', factor: '0.001' },
+            { symbol: 'kg', name: 'kilogram', factor: '1' },
+            { symbol: 't', name: 'tonne', factor: '1000' },
+            { symbol: 'oz', name: 'ounce', factor: '0.028349523125' },
+            { symbol: 'lb', name: 'pound', factor: '0.45359237' },
+            { symbol: 'st', name: 'stone', factor: '6.35029318' }
+        ],
+        temperature: [
+            { symbol: 'K', name: 'kelvin', factor: '1' },
+            { symbol: 'C', name: 'degree Celsius', factor: '1', offset: '273.15' },
+            { symbol: 'F', name: 'degree Fahrenheit', factor: '5/9', offset: '45967/180' }
+        ],
+        data: [
+            { symbol: 'bit', name: 'bit', factor: '0.125' },
+            { symbol: 'B', name: 'byte', factor: '1' },
+            { symbol: 'kB', name: 'kilobyte', factor: '1000' },
+            { symbol: 'MB', name: 'megabyte', factor: '1000000' },
+            { symbol: 'GB', name: 'gigabyte', factor: '1000000000' },
+            { symbol: 'TB', name: 'terabyte', factor: '1000000000000' },
+            { symbol: 'KiB', name: 'kibibyte', factor: '1024' },
+            { symbol: 'MiB', name: 'mebibyte', factor: '1048576' },
+            { symbol: 'GiB', name: 'gibibyte', factor: '1073741824' },
+            { symbol: 'TiB', name: 'tebibyte', factor: '1099511627776' }
+        ],
+        time: [
+            { symbol: 'ms', name: 'millisecond', factor: '0.001' },
+            { symbol: 's', name: 'second', factor: '1' },
+            { symbol: 'min', name: 'minute', factor: '60' },
+            { symbol: 'h', name: 'hour', factor: '3600' },
+            { symbol: 'd', name: 'day', factor: '86400' },
+            { symbol: 'wk', name: 'week', factor: '604800' },
+            // Julian year of 365.25 days
+            { symbol: 'yr', name: 'year', factor: '31557600' }
+        ],
+        speed: [
+            { symbol: 'm/s', name: 'metre per second', factor: '1' },
+            { symbol: 'km/h', name: 'kilometre per hour', factor: '5/18' },
+            { symbol: 'mph', name: 'mile per hour', factor: '0.44704' },
+            { symbol: 'ft/s', name: 'foot per second', factor: '0.3048' },
+            { symbol: 'kn', name: 'knot', factor: '463/900' }
+        ]
+    };
+    
+    const UNIT_SYMBOL_PATTERN = /^[A-Za-z]+(?:\/[A-Za-z]+)?$/;
+    const UNIT_FACTOR_PATTERN = /^-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?(?:\/(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)?$/i;
+    
+    class Unit {
+        constructor(symbol, name, dimension, factor, offset = '0') {
+            this.symbol = symbol;
+            this.name = name;
+            this.dimension = dimension;
+            this.factor = factor;
+            this.offset = offset;
+        }
+        
+        /**
+         * @param {Object} math - Arithmetic strategy of the engine
+         */
+        toBase(value, math) {
+            return math.add(math.multiply(value, Unit.parseFactor(this.factor, math)), Unit.parseFactor(this.offset, math));
+        }
+        
+        fromBase(value, math) {
+            return math.divide(math.subtract(value, Unit.parseFactor(this.offset, math)), Unit.parseFactor(this.factor, math));
+        }
+        
+        /**
+         * Read a factor such as '0.3048' or '5/18' in the engine's number type
+         */
+        static parseFactor(text, math) {
+            const [numerator, denominator] = text.split('/');
+            return denominator === undefined
+                ? math.parse(numerator)
+                : math.divide(math.parse(numerator), math.parse(denominator));
+        }
+    }
+    
+    const BUILT_IN_UNITS = new Map();
+    for (const [dimension, units] of Object.entries(UNIT_TABLES)) {
+        for (const { symbol, name, factor, offset } of units) {
+            BUILT_IN_UNITS.set(symbol, new Unit(symbol, name, dimension, factor, offset));
+        }
+    }
+    
+    // Units added at runtime; they take precedence over the built-in ones
+    const registeredUnits = new Map();
+    
+    class UnitRegistry {
+        /**
+         * Add a unit, e.g.
+         *   register({ symbol: 'ly', name: 'light year', dimension: 'length', factor: '9460730472580800' })
+         * @param {Object} definition - { symbol, name, dimension, factor, offset }
+         *   where symbol is letters with at most one '/' ("km/h") and factor
+         *   and offset convert to the dimension's base unit
+         * @param {Object} options - { override: true } to replace an existing unit
+         * @returns {Unit}
+         */
+        static register(definition, options = {}) {
+            const invalid = (reason) => new CalculatorError(
+                `Invalid unit definition: ${reason}`,
+                CalculatorError.ERROR_TYPES.INVALID_INPUT
+            );
+            
+            if (!definition || typeof definition !== 'object') {
+                throw invalid('expected an object');
+            }
+            
+            const { symbol, name = symbol, dimension, factor, offset = '0' } = definition;
+            
+            if (typeof symbol !== 'string' || !UNIT_SYMBOL_PATTERN.test(symbol)) {
+                throw invalid('symbol must be letters, optionally split by one "/" (km/h)');
+            }
+            if (typeof name !== 'string' || name.trim() === '') {
+                throw invalid('name must be a non-empty string');
+            }
+            if (typeof dimension !== 'string' || dimension.trim() === '') {
+                throw invalid('dimension must be a non-empty string');
+            }
+            
+            const [factorText, offsetText] = [factor, offset].map(value => String(value).trim());
+            const isRatio = (text) => UNIT_FACTOR_PATTERN.test(text) && Number(text.split('/')[1]) !== 0;
+            if (!isRatio(factorText) || Number(factorText.split('/')[0]) === 0) {
+                throw invalid('factor must be a non-zero number or ratio such as "5/18"');
+            }
+            if (!isRatio(offsetText)) {
+                throw invalid('offset must be a number or ratio');
+            }
+            
+            if (!options.override && UnitRegistry.has(symbol)) {
+                throw new CalculatorError(
+                    `Unit ${symbol} is already defined; pass { override: true } to replace it`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            const unit = new Unit(symbol, name, dimension, factorText, offsetText);
+            registeredUnits.set(symbol, unit);
+            compiledExpressions.clear();
+            return unit;
+        }
+        
+        /**
+         * Remove a registered unit, restoring any built-in it replaced
+         * @returns {boolean} - Whether a unit was removed
+         */
+        static unregister(symbol) {
+            compiledExpressions.clear();
+            return registeredUnits.delete(symbol);
+        }
+        
+        static getRegisteredUnits() {
+            return Array.from(registeredUnits.values());
+        }
+        
+        static has(symbol) {
+            return registeredUnits.has(symbol) || BUILT_IN_UNITS.has(symbol);
+        }
+        
+        /**
+         * Look up a unit by symbol. Letter case only matters where it tells
+         * units apart, so "gib" finds GiB.
+         * @returns {Unit|null}
+         */
+        static find(symbol) {
+            const units = UnitRegistry.getUnits();
+            const exact = units.find(unit => unit.symbol === symbol);
+            if (exact) {
+                return exact;
+            }
+            
+            const matches = units.filter(unit => unit.symbol.toLowerCase() === symbol.toLowerCase());
+            return matches.length === 1 ? matches[0] : null;
+        }
+        
+        /**
+         * All units, or those of one dimension, in table order
+         * @returns {Array<Unit>}
+         */
+        static getUnits(dimension = null) {
+            const units = new Map([...BUILT_IN_UNITS, ...registeredUnits]);
+            return Array.from(units.values())
+                .filter(unit => dimension === null || unit.dimension === dimension);
+        }
+        
+        static getDimensions() {
+            return Array.from(new Set(UnitRegistry.getUnits().map(unit => unit.dimension)));
+        }
+        
+        /**
+         * Throw unless both units measure the same dimension
+         */
+        static assertCompatible(from, to) {
+            if (from.dimension !== to.dimension) {
+                throw new CalculatorError(
+                    `Cannot convert ${from.symbol} (${from.dimension}) to ${to.symbol} (${to.dimension})`,
+                    CalculatorError.ERROR_TYPES.INCOMPATIBLE_UNITS
+                );
+            }
+        }
+        
+        /**
+         * Convert a value between two units of the same dimension. Float and
+         * decimal values are converted on exact fractions and rounded once,
+         * so factors and offsets add no noise: -40 C is exactly -40 F
+         * @param {Object} math - Arithmetic strategy the value belongs to
+         */
+        static convert(value, from, to, math = FLOAT_ARITHMETIC) {
+            UnitRegistry.assertCompatible(from, to);
+            if (math.name === CONFIG.NUMBER_MODES.PROGRAMMER) {
+                throw new CalculatorError(
+                    'Unit conversion is not available in programmer mode',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            if (math.name === CONFIG.NUMBER_MODES.RATIONAL) {
+                return math.finalize(math.check(to.fromBase(from.toBase(value, math), math)));
+            }
+            
+            const exact = ArithmeticFactory.create(CONFIG.NUMBER_MODES.RATIONAL);
+            const converted = to.fromBase(from.toBase(Fraction.parse(String(value)), exact), exact);
+            const result = math.name === CONFIG.NUMBER_MODES.DECIMAL
+                ? converted.toDecimal(math.precision)
+                : converted.toNumber();
+            return math.finalize(math.check(result));
+        }
+    }
+    
+    /**
+     * =========================================================================
+     * 8. CALCULATION ENGINE (SOLID: Dependency Inversion)
+     * =========================================================================
+     */
+    /**
+     * Lexical token with its [start, end) offsets in the source expression.
+     * Tokens built from RPN input have no offsets (start and end are null).
+     */
+    class Token {
+        constructor(type, text, start = null, end = null) {
+            this.type = type;
+            this.text = text;
+            this.start = start;
+            this.end = end;
+            this.value = null;      // Parsed number (NUMBER tokens)
+            this.argCount = null;   // Argument count (FUNCTION tokens in RPN)
+        }
+        
+        hasLocation() {
+            return this.start !== null;
+        }
+    }
+    
+    /**
+     * Step-by-step record of one calculation for explain mode: each token
+     * read, each operator-stack and output-queue change of the shunting-yard
+     * conversion and each evaluation-stack change. Steps hold text only, so
+     * they can be rendered or passed around as plain data.
+     */
+    class CalculationTrace {
+        constructor(expression) {
+            this.expression = expression;
+            this.steps = [];
+            this.value = null;
+            this.unit = null;
+            this.error = null;
+        }
+        
+        /**
+         * How each token type is named in step descriptions
+         */
+        static get TOKEN_LABELS() {
+            const TYPES = CONFIG.TOKEN_TYPES;
+            return {
+                [TYPES.NUMBER]: 'number',
+                [TYPES.OPERATOR]: 'operator',
+                [TYPES.UNARY_OPERATOR]: 'prefix operator',
+                [TYPES.POSTFIX_OPERATOR]: 'postfix operator',
+                [TYPES.FUNCTION]: 'function',
+                [TYPES.LEFT_PAREN]: 'parenthesis',
+                [TYPES.RIGHT_PAREN]: 'parenthesis',
+                [TYPES.SEPARATOR]: 'argument separator',
+                [TYPES.IDENTIFIER]: 'name',
+                [TYPES.ASSIGN]: 'assignment'
+            };
+        }
+        
+        /**
+         * @param {string} phase - One of CONFIG.TRACE_PHASES
+         * @param {string} action - What happened, in words
+         * @param {Token|null} token - The token being handled
+         * @param {Object} state - { operators, output, stack } after the
+         *   step: operator and output tokens, evaluation stack entries
+         */
+        record(phase, action, token = null, { operators = [], output = [], stack = [] } = {}) {
+            this.steps.push({
+                step: this.steps.length + 1,
+                phase,
+                action,
+                token: token ? token.text : null,
+                span: token && token.hasLocation() ? { start: token.start, end: token.end } : null,
+                operators: operators.map(item => item.text),
+                output: output.map(item => item.text),
+                stack: stack.map(entry => String(entry.value))
+            });
+        }
+        
+        complete(value, unit = null) {
+            this.value = value;
+            this.unit = unit;
+        }
+        
+        fail(error) {
+            this.error = error;
+        }
+        
+        /**
+         * Plain-data form, with the result as text
+         */
+        toJSON() {
+            return {
+                expression: this.expression,
+                steps: this.steps.map(step => ({ ...step })),
+                result: this.value === null ? null : String(this.value),
+                unit: this.unit,
+                error: this.error ? {
+                    message: this.error.message,
+                    type: this.error.type,
+                    position: this.error.getPosition ? this.error.getPosition() : null
+                } : null
+            };
+        }
+    }
+    
+    /**
+     * Syntax tree built by CalculationEngine.parse. Every node has a `type`
+     * from CONFIG.NODE_TYPES and the source span it was read from.
+     */
+    class ExpressionNode {
+        constructor(type, start = null, end = null) {
+            this.type = type;
+            this.start = start;
+            this.end = end;
+        }
+    }
+    
+    class NumberNode extends ExpressionNode {
+        /**
+         * @param {string} text - The literal as typed ("0xFF", "6.02e23")
+         * @param {*} value - Its value in the engine's number type
+         */
+        constructor(text, value, start, end) {
+            super(CONFIG.NODE_TYPES.NUMBER, start, end);
+            this.text = text;
+            this.value = value;
+        }
+        
+        /**
+         * BigInt and the exact number types do not serialise, so the value
+         * goes out as text
+         */
+        toJSON() {
+            return { ...this, value: String(this.value) };
+        }
+    }
+    
+    class VariableNode extends ExpressionNode {
+        constructor(name, start, end) {
+            super(CONFIG.NODE_TYPES.VARIABLE, start, end);
+            this.name = name;
+        }
+    }
+    
+    /**
+     * Prefix operator; `operator` is the operation symbol ("neg" for -x)
+     */
+    class UnaryNode extends ExpressionNode {
+        constructor(operator, operand, start, end) {
+            super(CONFIG.NODE_TYPES.UNARY, start, end);
+            this.operator = operator;
+            this.operand = operand;
+        }
+    }
+    
+    class BinaryNode extends ExpressionNode {
+        constructor(operator, left, right, start, end) {
+            super(CONFIG.NODE_TYPES.BINARY, start, end);
+            this.operator = operator;
+            this.left = left;
+            this.right = right;
+        }
+    }
+    
+    class CallNode extends ExpressionNode {
+        constructor(name, args, start, end) {
+            super(CONFIG.NODE_TYPES.CALL, start, end);
+            this.name = name;
+            this.args = args;
+        }
+    }
+    
+    class AssignmentNode extends ExpressionNode {
+        constructor(name, value, start, end) {
+            super(CONFIG.NODE_TYPES.ASSIGNMENT, start, end);
+            this.name = name;
+            this.value = value;
+        }
+    }
+    
+    /**
+     * "<quantity> <from> to <to>": the whole quantity is in `from` units
+     */
+    class ConversionNode extends ExpressionNode {
+        constructor(quantity, from, to, start, end) {
+            super(CONFIG.NODE_TYPES.CONVERSION, start, end);
+            this.quantity = quantity;
+            this.from = from;
+            this.to = to;
+        }
+    }
+    
+    /**
+     * Writes a syntax tree back out: as normalised infix with only the
+     * parentheses precedence and associativity need, as LaTeX, or as
+     * MathML (a string, or an element tree to build DOM nodes from).
+     */
+    class ExpressionPrinter {
+        /**
+         * How operators are written outside plain infix; anything not
+         * listed (registered operators) is written as its symbol
+         */
+        static get SYMBOLS() {
+            const OPS = CONFIG.OPERATORS;
+            const UNARY = CONFIG.UNARY_OPERATORS;
+            return {
+                [OPS.ADD]: { latex: '+', mathml: '+' },
+                [OPS.SUBTRACT]: { latex: '-', mathml: '\u2212' },
+                [OPS.MULTIPLY]: { latex: '\\times', mathml: '\u00D7' },
+                [OPS.DIVIDE]: { latex: '\\div', mathml: '\u00F7' },
+                [OPS.MODULO]: { latex: '\\bmod', mathml: 'mod' },
+                [OPS.PERCENT]: { latex: '\\%', mathml: '%' },
+                [OPS.BITWISE_AND]: { latex: '\\mathbin{\\&}', mathml: '&' },
+                [OPS.BITWISE_OR]: { latex: '\\mathbin{|}', mathml: '|' },
+                [OPS.BITWISE_XOR]: { latex: '\\oplus', mathml: '\u2295' },
+                [OPS.BITWISE_NOT]: { latex: '\\lnot ', mathml: '\u00AC' },
+                [OPS.SHIFT_LEFT]: { latex: '\\ll', mathml: '\u226A' },
+                [OPS.SHIFT_RIGHT]: { latex: '\\gg', mathml: '\u226B' },
+                // U+2062 INVISIBLE TIMES
+                [CONFIG.IMPLICIT_MULTIPLY]: { mathml: '\u2062' },
+                [UNARY.NEGATE]: { infix: '-', latex: '-', mathml: '\u2212' },
+                [UNARY.POSITIVE]: { infix: '+', latex: '+', mathml: '+' }
+            };
+        }
+        
+        /**
+         * Functions LaTeX has a command for; the rest use \operatorname
+         */
+        static get LATEX_FUNCTIONS() {
+            return ['sin', 'cos', 'tan', 'log', 'ln'];
+        }
+        
+        /**
+         * @param {ExpressionNode} node
+         * @param {string} format - One of CONFIG.EXPRESSION_FORMATS
+         * @returns {string}
+         */
+        static format(node, format = CONFIG.EXPRESSION_FORMATS.INFIX) {
+            switch (format) {
+                case CONFIG.EXPRESSION_FORMATS.INFIX:
+                    return ExpressionPrinter.toInfix(node);
+                case CONFIG.EXPRESSION_FORMATS.LATEX:
+                    return ExpressionPrinter.toLatex(node);
+                case CONFIG.EXPRESSION_FORMATS.MATHML:
+                    return ExpressionPrinter.toMathML(node);
+                default:
+                    throw new CalculatorError(
+                        `Unknown expression format: ${format}`,
+                        CalculatorError.ERROR_TYPES.INVALID_INPUT
+                    );
+            }
+        }
+        
+        /**
+         * Whether `child` must be bracketed as the `side` ('left', 'right'
+         * or 'operand') of the operator node `parent`: when it binds
+         * looser, or equally but against the operator's associativity.
+         * A prefix operator inside another unary one is bracketed too, so
+         * "--" never appears and "(-10)%" keeps its meaning, and so is
+         * anything but a name or call written after an implicit
+         * multiplication ("2(3)", not "23").
+         */
+        static needsParentheses(child, parent, side) {
+            const NODES = CONFIG.NODE_TYPES;
+            if (child.type === NODES.UNARY && parent.type === NODES.UNARY &&
+                !OperationFactory.isPostfixOperator(child.operator)) {
+                return true;
+            }
+            if (parent.operator === CONFIG.IMPLICIT_MULTIPLY && side === 'right') {
+                return child.type !== NODES.VARIABLE && child.type !== NODES.CALL;
+            }
+            if (child.type !== NODES.BINARY && child.type !== NODES.UNARY) {
+                return false;
+            }
+            
+            const outer = OperationFactory.createOperation(parent.operator);
+            const inner = OperationFactory.createOperation(child.operator);
+            if (inner.precedence !== outer.precedence) {
+                return inner.precedence < outer.precedence;
+            }
+            if (side === 'operand' || child.type === NODES.UNARY) {
+                return side !== 'right';
+            }
+            return outer.isRightAssociative() ? side === 'left' : side === 'right';
+        }
+        
+        /**
+         * "2 + 3 * 4", "(1 + 2) * 3", "-(2 ^ 2)", "200 + 10%", "sqrt(2)",
+         * "x = 1", "5 km to mi"
+         */
+        static toInfix(node) {
+            const NODES = CONFIG.NODE_TYPES;
+            const print = ExpressionPrinter.toInfix;
+            const wrap = (child, side) => ExpressionPrinter.needsParentheses(child, node, side)
+                ? `(${print(child)})`
+                : print(child);
+            
+            switch (node.type) {
+                case NODES.NUMBER:
+                    return node.text;
+                case NODES.VARIABLE:
+                    return node.name;
+                case NODES.UNARY: {
+                    const symbol = ExpressionPrinter.SYMBOLS[node.operator]?.infix ?? node.operator;
+                    const operand = wrap(node.operand, 'operand');
+                    return OperationFactory.isPostfixOperator(node.operator)
+                        ? `${operand}${symbol}`
+                        : `${symbol}${operand}`;
+                }
+                case NODES.BINARY:
+                    if (node.operator === CONFIG.IMPLICIT_MULTIPLY) {
+                        return ExpressionPrinter.juxtapose(wrap(node.left, 'left'), wrap(node.right, 'right'));
+                    }
+                    return `${wrap(node.left, 'left')} ${node.operator} ${wrap(node.right, 'right')}`;
+                case NODES.CALL:
+                    return `${node.name}(${node.args.map(print).join(', ')})`;
+                case NODES.ASSIGNMENT:
+                    return `${node.name} ${CONFIG.ASSIGNMENT_OPERATOR} ${print(node.value)}`;
+                case NODES.CONVERSION:
+                    return `${print(node.quantity)} ${node.from} ${CONFIG.CONVERSION_KEYWORDS[0]} ${node.to}`;
+                default:
+                    throw new CalculatorError(
+                        `Unknown syntax tree node: ${node.type}`,
+                        CalculatorError.ERROR_TYPES.INVALID_INPUT
+                    );
+            }
+        }
+        
+        /**
+         * Write two implicitly multiplied factors side by side, with a space
+         * only where the tokenizer would otherwise read one longer token:
+         * a name ("x y", not "xy"), an exponent ("2 e") or a hex literal
+         * ("0xA b")
+         */
+        static juxtapose(left, right) {
+            const joined = right.startsWith('(') || left.endsWith(')') ||
+                (/[0-9.]$/.test(left) && !/0x[0-9a-f]*$/i.test(left) && !/^e/i.test(right));
+            return joined ? `${left}${right}` : `${left} ${right}`;
+        }
+        
+        /**
+         * LaTeX math-mode source: division as \frac, powers as superscripts
+         */
+        static toLatex(node) {
+            const NODES = CONFIG.NODE_TYPES;
+            const OPS = CONFIG.OPERATORS;
+            const print = ExpressionPrinter.toLatex;
+            const escape = ExpressionPrinter.escapeLatex;
+            const wrap = (child, side) => ExpressionPrinter._needsMathParentheses(child, node, side)
+                ? `\\left(${print(child)}\\right)`
+                : print(child);
+            const symbol = (operator) => ExpressionPrinter.SYMBOLS[operator]?.latex ?? `\\mathbin{${escape(operator)}}`;
+            const name = (text) => {
+                if (text === 'pi') return '\\pi';
+                return text.length === 1 ? text : `\\mathit{${escape(text)}}`;
+            };
+            
+            switch (node.type) {
+                case NODES.NUMBER: {
+                    const scientific = ExpressionPrinter._splitExponent(node);
+                    if (scientific) {
+                        const sign = scientific.negative ? '-' : '';
+                        return `${scientific.mantissa} \\times 10^{${sign}${scientific.exponent}}`;
+                    }
+                    return /^[0-9.]+$/.test(node.text) ? node.text : `\\mathrm{${escape(node.text)}}`;
+                }
+                case NODES.VARIABLE:
+                    return name(node.name);
+                case NODES.UNARY:
+                    return OperationFactory.isPostfixOperator(node.operator)
+                        ? `${wrap(node.operand, 'operand')}${symbol(node.operator)}`
+                        : `${symbol(node.operator)}${wrap(node.operand, 'operand')}`;
+                case NODES.BINARY:
+                    if (node.operator === OPS.DIVIDE) {
+                        return `\\frac{${print(node.left)}}{${print(node.right)}}`;
+                    }
+                    if (node.operator === OPS.POWER) {
+                        return `{${wrap(node.left, 'left')}}^{${print(node.right)}}`;
+                    }
+                    if (node.operator === CONFIG.IMPLICIT_MULTIPLY) {
+                        return `${wrap(node.left, 'left')} ${wrap(node.right, 'right')}`;
+                    }
+                    return `${wrap(node.left, 'left')} ${symbol(node.operator)} ${wrap(node.right, 'right')}`;
+                case NODES.CALL: {
+                    const args = node.args.map(print).join(', ');
+                    if (node.name === 'sqrt') return `\\sqrt{${args}}`;
+                    if (node.name === 'abs') return `\\left|${args}\\right|`;
+                    const fn = ExpressionPrinter.LATEX_FUNCTIONS.includes(node.name)
+                        ? `\\${node.name}`
+                        : `\\operatorname{${escape(node.name)}}`;
+                    return `${fn}\\left(${args}\\right)`;
+                }
+                case NODES.ASSIGNMENT:
+                    return `${name(node.name)} = ${print(node.value)}`;
+                case NODES.CONVERSION:
+                    return `${print(node.quantity)}\\ \\mathrm{${escape(node.from)}} \\to \\mathrm{${escape(node.to)}}`;
+                default:
+                    return ExpressionPrinter.toInfix(node);
+            }
+        }
+        
+        /**
+         * Mantissa and exponent of a number written in exponent notation
+         * ("1.5e-3"), or null for any other node
+         * @private
+         */
+        static _splitExponent(node) {
+            const match = node.type === CONFIG.NODE_TYPES.NUMBER &&
+                /^([0-9.]+)[eE]([+-]?)0*([0-9]+)$/.exec(node.text);
+            return match ? { mantissa: match[1], negative: match[2] === '-', exponent: match[3] } : null;
+        }
+        
+        /**
+         * needsParentheses for LaTeX and MathML, where a number in exponent
+         * notation is written as a product (1 \times 10^{3}) and so is
+         * bracketed wherever a product would be, except after a sign or in
+         * another product, which read the same either way
+         * @private
+         */
+        static _needsMathParentheses(child, parent, side) {
+            if (!ExpressionPrinter._splitExponent(child)) {
+                return ExpressionPrinter.needsParentheses(child, parent, side);
+            }
+            const UNARY = CONFIG.UNARY_OPERATORS;
+            if ([CONFIG.OPERATORS.MULTIPLY, UNARY.NEGATE, UNARY.POSITIVE].includes(parent.operator)) {
+                return false;
+            }
+            const product = { type: CONFIG.NODE_TYPES.BINARY, operator: CONFIG.OPERATORS.MULTIPLY };
+            return ExpressionPrinter.needsParentheses(product, parent, side);
+        }
+        
+        static escapeLatex(text) {
+            return text.replace(/[\\{}&%$#_^~]/g, (character) => {
+                if (character === '\\') return '\\textbackslash{}';
+                if (character === '^' || character === '~') return `\\${character}{}`;
+                return `\\${character}`;
+            });
+        }
+        
+        /**
+         * MathML as a plain element tree, { tag, attributes, children }
+         * with text children as strings, wrapped in a <math> element. The
+         * UI builds DOM nodes from it; toMathML serialises it.
+         */
+        static toMathMLTree(node) {
+            return ExpressionPrinter._element('math', [ExpressionPrinter._mathml(node)], {
+                xmlns: CONFIG.MATHML_NAMESPACE,
+                display: 'inline'
+            });
+        }
+        
+        /**
+         * MathML markup, e.g. for a <math> island in an HTML page
+         */
+        static toMathML(node) {
+            const escape = (text) => text.replace(/[&<>"]/g, (character) => ({
+                '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'
+            })[character]);
+            const serialise = (element) => {
+                if (typeof element === 'string') return escape(element);
+                const attributes = Object.entries(element.attributes)
+                    .map(([key, value]) => ` ${key}="${escape(value)}"`)
+                    .join('');
+                return `<${element.tag}${attributes}>${element.children.map(serialise).join('')}</${element.tag}>`;
+            };
+            return serialise(ExpressionPrinter.toMathMLTree(node));
+        }
+        
+        /**
+         * @private
+         */
+        static _element(tag, children = [], attributes = {}) {
+            return { tag, attributes, children };
+        }
+        
+        /**
+         * @private
+         */
+        static _mathml(node) {
+            const NODES = CONFIG.NODE_TYPES;
+            const OPS = CONFIG.OPERATORS;
+            const el = ExpressionPrinter._element;
+            const print = ExpressionPrinter._mathml;
+            const operator = (symbol) => el('mo', [ExpressionPrinter.SYMBOLS[symbol]?.mathml ?? symbol]);
+            const fenced = (child) => el('mrow', [el('mo', ['(']), child, el('mo', [')'])]);
+            const wrap = (child, side) => ExpressionPrinter._needsMathParentheses(child, node, side)
+                ? fenced(print(child))
+                : print(child);
+            
+            switch (node.type) {
+                case NODES.NUMBER: {
+                    const scientific = ExpressionPrinter._splitExponent(node);
+                    if (!scientific) {
+                        return el('mn', [node.text]);
+                    }
+                    const exponent = el('mn', [scientific.exponent]);
+                    return el('mrow', [
+                        el('mn', [scientific.mantissa]),
+                        operator(OPS.MULTIPLY),
+                        el('msup', [el('mn', ['10']), scientific.negative
+                            ? el('mrow', [operator(OPS.SUBTRACT), exponent])
+                            : exponent])
+                    ]);
+                }
+                case NODES.VARIABLE:
+                    return el('mi', [node.name === 'pi' ? '\u03C0' : node.name]);
+                case NODES.UNARY:
+                    return el('mrow', OperationFactory.isPostfixOperator(node.operator)
+                        ? [wrap(node.operand, 'operand'), operator(node.operator)]
+                        : [operator(node.operator), wrap(node.operand, 'operand')]);
+                case NODES.BINARY:
+                    if (node.operator === OPS.DIVIDE) {
+                        return el('mfrac', [print(node.left), print(node.right)]);
+                    }
+                    if (node.operator === OPS.POWER) {
+                        return el('msup', [wrap(node.left, 'left'), print(node.right)]);
+                    }
+                    return el('mrow', [wrap(node.left, 'left'), operator(node.operator), wrap(node.right, 'right')]);
+                case NODES.CALL: {
+                    const args = node.args.flatMap((arg, index) =>
+                        index === 0 ? [print(arg)] : [el('mo', [CONFIG.ARGUMENT_SEPARATOR]), print(arg)]
+                    );
+                    if (node.name === 'sqrt') return el('msqrt', args);
+                    if (node.name === 'abs') return el('mrow', [el('mo', ['|']), ...args, el('mo', ['|'])]);
+                    // U+2061 FUNCTION APPLICATION ties the name to its arguments
+                    return el('mrow', [el('mi', [node.name]), el('mo', ['\u2061']), fenced(el('mrow', args))]);
+                }
+                case NODES.ASSIGNMENT:
+                    return el('mrow', [el('mi', [node.name]), el('mo', ['=']), print(node.value)]);
+                case NODES.CONVERSION:
+                    return el('mrow', [
+                        print(node.quantity),
+                        el('mi', [node.from], { mathvariant: 'normal' }),
+                        el('mo', ['\u2192']),
+                        el('mi', [node.to], { mathvariant: 'normal' })
+                    ]);
+                default:
+                    return el('mtext', [ExpressionPrinter.toInfix(node)]);
+            }
+        }
+    }
+    
+    /**
+     * Map that keeps only the `limit` most recently used entries
+     */
+    class LRUCache {
+        constructor(limit) {
+            this.limit = limit;
+            this.entries = new Map();
+        }
+        
+        get size() {
+            return this.entries.size;
+        }
+        
+        get(key) {
+            if (!this.entries.has(key)) {
+                return undefined;
+            }
+            // Re-insert so the Map's order runs from least to most recent
+            const value = this.entries.get(key);
+            this.entries.delete(key);
+            this.entries.set(key, value);
+            return value;
+        }
+        
+        set(key, value) {
+            this.entries.delete(key);
+            this.entries.set(key, value);
+            if (this.entries.size > this.limit) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+        }
+        
+        clear() {
+            this.entries.clear();
+        }
+    }
+    
+    // Programs of compiled expressions (RPN, assignment target and unit
+    // conversion) by engine settings and normalised expression. Cleared
+    // whenever an operator or unit is registered, since either can change
+    // how an expression reads.
+    const compiledExpressions = new LRUCache(CONFIG.COMPILE_CACHE_SIZE);
+    
+    /**
+     * An expression parsed once and evaluated any number of times by the
+     * engine that compiled it (see CalculationEngine.compile)
+     */
+    class CompiledExpression {
+        constructor(engine, source, program) {
+            this.engine = engine;
+            this.source = source;
+            this.program = program;
+        }
+        
+        /**
+         * @param {Object} scope - Variable values for this evaluation only,
+         *   e.g. { x: 2 }; other names are read from the engine's variables
+         * @returns {*} - The result in the engine's number type
+         * @throws {CalculatorError} - INVALID_INPUT for a scope value that is
+         *   not a finite number or in the engine's number type
+         */
+        evaluate(scope = {}) {
+            return this.evaluateWithUnit(scope).value;
+        }
+        
+        /**
+         * @returns {{value: *, unit: string|null}}
+         */
+        evaluateWithUnit(scope = {}) {
+            return this.engine.evaluateCompiled(this, scope);
+        }
+    }
+    
+    class CalculationEngine {
+        /**
+         * @param {Object} options - { numberMode, precision, wordSize,
+         *   signed, variables, syntaxMode, cache }; floating point by default,
+         *   CONFIG.NUMBER_MODES.DECIMAL for exact decimals,
+         *   CONFIG.NUMBER_MODES.RATIONAL for exact fractions or
+         *   CONFIG.NUMBER_MODES.PROGRAMMER for wordSize-bit integers;
+         *   variables is the VariableStore names are read from and assigned
+         *   to (a private one if omitted); CONFIG.SYNTAX_MODES.STRICT turns
+         *   implicit multiplication off; cache: false compiles every
+         *   expression afresh, leaving the shared compile cache alone
+         */
+        constructor(options = {}) {
+            this.operationFactory = OperationFactory;
+            this.functionRegistry = FunctionRegistry;
+            this.arithmetic = ArithmeticFactory.create(options.numberMode, options);
+            this.variables = options.variables || new VariableStore();
+            this.syntaxMode = options.syntaxMode || CONFIG.SYNTAX_MODES.IMPLICIT;
+            if (!Object.values(CONFIG.SYNTAX_MODES).includes(this.syntaxMode)) {
+                throw new CalculatorError(
+                    `Unknown syntax mode: ${this.syntaxMode}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            this.limits = CalculationEngine.resolveLimits(options.limits);
+            this.useCache = options.cache !== false;
+            // CalculationTrace being recorded by explain(), if any
+            this.trace = null;
+            // Variable values given to the compiled expression being evaluated
+            this.scope = null;
+        }
+        
+        /**
+         * CONFIG.LIMITS with any of its values replaced, e.g. { maxDepth: 20 }
+         * @throws {CalculatorError} - For unknown names or values that are
+         *   not positive integers
+         */
+        static resolveLimits(limits = {}) {
+            const resolved = { ...CONFIG.LIMITS };
+            for (const [name, value] of Object.entries(limits)) {
+                if (!Object.prototype.hasOwnProperty.call(CONFIG.LIMITS, name)) {
+                    throw new CalculatorError(
+                        `Unknown limit: ${name}`,
+                        CalculatorError.ERROR_TYPES.INVALID_INPUT
+                    );
+                }
+                if (!Number.isInteger(value) || value < 1) {
+                    throw new CalculatorError(
+                        `Limit ${name} must be a positive integer`,
+                        CalculatorError.ERROR_TYPES.INVALID_INPUT
+                    );
+                }
+                resolved[name] = value;
+            }
+            return resolved;
+        }
+        
+        /**
+         * Parse and calculate expression using Shunting Yard algorithm.
+         * "name = expression" also stores the result as a variable.
+         * @param {string} expression - Mathematical expression
+         * @returns {number|DecimalNumber|Fraction|bigint} - Calculation
+         *   result in the engine's number type
+         * @throws {CalculatorError} - With `expression` set and, where the
+         *   problem can be pinned down, a `span` and offending `token`
+         */
+        calculate(expression) {
+            return this.calculateWithUnit(expression).value;
+        }
+        
+        /**
+         * Like calculate, but also accepts a unit conversion such as
+         * "5 km to mi" (see parseConversion) and reports the result's unit
+         * @returns {{value: *, unit: string|null}} - The result and the
+         *   symbol of the unit it was converted to, if any
+         */
+        calculateWithUnit(expression) {
+            return this.compile(expression).evaluateWithUnit();
+        }
+        
+        /**
+         * Parse an expression once for repeated evaluation, e.g. to tabulate
+         * a function: compile('x^2 + 1').evaluate({ x: 3 }) is 10. Compiled
+         * programs are shared between engines with the same settings
+         * through an LRU cache keyed by the normalised expression.
+         * @returns {CompiledExpression}
+         * @throws {CalculatorError} - For the syntax errors calculate reports
+         */
+        compile(expression) {
+            return this._withExpression(expression, () => {
+                // Explain mode records every step, so it always starts afresh
+                if (this.trace || !this.useCache || typeof expression !== 'string') {
+                    return new CompiledExpression(this, expression, this._compile(expression));
+                }
+                
+                const key = this._cacheKey(CalculationEngine.normalizeExpression(expression));
+                let program = compiledExpressions.get(key);
+                if (!program) {
+                    program = this._compile(expression);
+                    compiledExpressions.set(key, program);
+                }
+                return new CompiledExpression(this, expression, program);
+            });
+        }
+        
+        /**
+         * Evaluate a compiled expression with this engine's variables
+         * @param {CompiledExpression} compiled
+         * @param {Object} scope - Variable values for this evaluation only
+         * @returns {{value: *, unit: string|null}}
+         * @throws {CalculatorError} - INVALID_INPUT naming the first scope
+         *   value that is neither a finite number nor in the engine's
+         *   number type
+         */
+        evaluateCompiled(compiled, scope = {}) {
+            const { source, program } = compiled;
+            return this._withExpression(source, () => {
+                this._validateScope(scope);
+                this.scope = scope;
+                try {
+                    return this._run(program);
+                } catch (error) {
+                    // A cached program may come from the same expression
+                    // spaced differently; compile this spelling so the
+                    // error points at the right place
+                    if (program.source !== source && error instanceof CalculatorError && error.hasLocation()) {
+                        return this._run(this._compile(source));
+                    }
+                    throw error;
+                } finally {
+                    this.scope = null;
+                }
+            });
+        }
+        
+        /**
+         * @private
+         */
+        _validateScope(scope) {
+            if (scope === null || typeof scope !== 'object') {
+                throw new CalculatorError(
+                    'Scope must be an object of variable values',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            for (const [name, value] of Object.entries(scope)) {
+                if (typeof value === 'number' ? !Number.isFinite(value) : !this.arithmetic.isValue(value)) {
+                    throw new CalculatorError(
+                        `Variable ${name} must be a number, got ${typeof value === 'string' ? `'${value}'` : String(value)}`,
+                        CalculatorError.ERROR_TYPES.INVALID_INPUT
+                    );
+                }
+            }
+        }
+        
+        /**
+         * The cache key form of an expression: trimmed, with each run of
+         * whitespace as one space (whether there is a space can matter,
+         * as in "2 3", but not how wide it is)
+         */
+        static normalizeExpression(expression) {
+            return expression.trim().replace(/\s+/g, ' ');
+        }
+        
+        /**
+         * @private
+         */
+        _cacheKey(normalized) {
+            const { name, precision, wordSize, signed } = this.arithmetic;
+            return [name, precision, wordSize, signed, this.syntaxMode,
+                ...Object.values(this.limits), normalized].join('|');
+        }
+        
+        /**
+         * Everything calculate does before evaluating: validate, tokenize
+         * and convert to Reverse Polish Notation
+         * @private
+         */
+        _compile(expression) {
+            this._validateExpression(expression);
+            
+            const conversion = this.parseConversion(expression);
+            const tokens = this._tokenizeExpression(conversion ? conversion.quantity : expression);
+            if (this.trace) {
+                for (const token of tokens) {
+                    const label = CalculationTrace.TOKEN_LABELS[token.type];
+                    this.trace.record(CONFIG.TRACE_PHASES.TOKENIZE, token.implicit
+                        ? `Insert implicit multiplication ${token.text}`
+                        : `Read ${label} ${token.text}`, token);
+                }
+            }
+            const target = this._assignmentTarget(tokens);
+            const rpn = this._toReversePolishNotation(target ? tokens.slice(2) : tokens);
+            
+            return { source: expression, rpn, target, conversion };
+        }
+        
+        /**
+         * Evaluate a compiled program, then convert and store the result
+         * @private
+         */
+        _run({ rpn, target, conversion }) {
+            let result = this._evaluateRPN(rpn);
+            
+            if (conversion) {
+                const { from, to } = conversion;
+                result = this._applyAt(conversion.location, () =>
+                    UnitRegistry.convert(result, from, to, this.arithmetic)
+                );
+                this.trace?.record(CONFIG.TRACE_PHASES.EVALUATE, `Convert from ${from.symbol} to ${to.symbol}`,
+                    null, { stack: [{ value: result }] });
+            }
+            
+            if (target) {
+                this._applyAt(target, () => this.variables.set(target.text, result));
+                this.trace?.record(CONFIG.TRACE_PHASES.EVALUATE, `Store the result in ${target.text}`,
+                    target, { stack: [{ value: result }] });
+            }
+            return { value: result, unit: conversion ? conversion.to.symbol : null };
+        }
+        
+        /**
+         * Parse an expression into a syntax tree without evaluating it, so
+         * variables need not be defined yet
+         * @returns {ExpressionNode}
+         * @throws {CalculatorError} - For the syntax errors calculate reports
+         */
+        parse(expression) {
+            return this._withExpression(expression, () => {
+                this._validateExpression(expression);
+                
+                const conversion = this.parseConversion(expression);
+                const tokens = this._tokenizeExpression(conversion ? conversion.quantity : expression);
+                const target = this._assignmentTarget(tokens);
+                let tree = this._buildTree(this._toReversePolishNotation(target ? tokens.slice(2) : tokens));
+                
+                if (conversion) {
+                    const { location } = conversion;
+                    tree = new ConversionNode(tree, conversion.from.symbol, conversion.to.symbol,
+                        tree.start, location.end);
+                }
+                if (target) {
+                    tree = new AssignmentNode(target.text, tree, target.start, tree.end);
+                }
+                return tree;
+            });
+        }
+        
+        /**
+         * Run `step` for `expression`, making any failure a CalculatorError
+         * that carries the expression
+         * @private
+         */
+        _withExpression(expression, step) {
+            try {
+                return step();
+            } catch (error) {
+                const calculatorError = error instanceof CalculatorError
+                    ? error
+                    : new CalculatorError(
+                        `Calculation failed: ${error.message}`,
+                        CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                    );
+                
+                if (typeof expression === 'string' && calculatorError.expression === null) {
+                    calculatorError.expression = expression;
+                }
+                throw calculatorError;
+            }
+        }
+        
+        /**
+         * Calculate like calculateWithUnit while recording every step
+         * @returns {CalculationTrace} - The steps, and the result (`value`,
+         *   `unit`) or the `error`; never throws for a bad expression
+         */
+        explain(expression) {
+            const trace = new CalculationTrace(expression);
+            this.trace = trace;
+            try {
+                const { value, unit } = this.calculateWithUnit(expression);
+                trace.complete(value, unit);
+            } catch (error) {
+                trace.fail(error);
+            } finally {
+                this.trace = null;
+            }
+            return trace;
+        }
+        
+        /**
+         * Split a unit conversion "<quantity> <unit> to|in <unit>" into its
+         * parts. Only the whole expression can be a conversion, so the
+         * quantity is a prefix of it and keeps its error offsets.
+         * @returns {{quantity: string, from: Unit, to: Unit, location: Object}|null}
+         *   - null when the expression does not end in "to <unit>"
+         * @throws {CalculatorError} - For unknown units, a missing value or
+         *   units of different dimensions (INCOMPATIBLE_UNITS)
+         */
+        parseConversion(expression) {
+            const keywords = CONFIG.CONVERSION_KEYWORDS.join('|');
+            const match = new RegExp(`^(.*\\S)(\\s+(?:${keywords})\\s+)([A-Za-z]+(?:/[A-Za-z]+)?)\\s*$`).exec(expression);
+            if (!match) {
+                return null;
+            }
+            
+            const [, left, keyword, targetText] = match;
+            const targetStart = left.length + keyword.length;
+            const location = { start: targetStart, end: targetStart + targetText.length, text: targetText };
+            const to = this._findUnit(targetText, location);
+            
+            const source = /[A-Za-z]+(?:\/[A-Za-z]+)?$/.exec(left);
+            if (!source) {
+                throw new CalculatorError(
+                    `Give the unit to convert from, e.g. 5 km ${keyword.trim()} ${to.symbol}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT,
+                    { start: left.length, end: targetStart, text: keyword }
+                );
+            }
+            
+            const sourceLocation = this._matchLocation(source);
+            const from = this._findUnit(source[0], sourceLocation);
+            const quantity = left.slice(0, source.index).trimEnd();
+            if (quantity === '') {
+                throw new CalculatorError(
+                    `Type a value before ${from.symbol}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT,
+                    sourceLocation
+                );
+            }
+            
+            try {
+                UnitRegistry.assertCompatible(from, to);
+            } catch (error) {
+                throw error.locate(location);
+            }
+            return { quantity, from, to, location };
+        }
+        
+        /**
+         * @private
+         */
+        _findUnit(symbol, location) {
+            const unit = UnitRegistry.find(symbol);
+            if (!unit) {
+                throw new CalculatorError(
+                    `Unknown unit: ${symbol}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT,
+                    location
+                );
+            }
+            return unit;
+        }
+        
+        /**
+         * Parse a single number literal in the engine's number type
+         * @param {string} literal - Number as typed, e.g. "3.14"
+         */
+        parseNumber(literal) {
+            // An exponent is bounded before an exact number type expands it
+            // into digits (1e-9999999 would be millions of them)
+            const text = String(literal).trim();
+            if (!BASE_PREFIX_PATTERN.test(text) && /e/i.test(text)) {
+                this._checkExponent(DecimalNumber.parse(text).adjustedExponent());
+            }
+            return this._checkMagnitude(this.arithmetic.parse(literal));
+        }
+        
+        /**
+         * Evaluate tokens that are already in Reverse Polish Notation
+         * @param {Array<number|string>} rpn - Numbers (plain or in the
+         *   engine's number type) and operator symbols
+         * @returns {number|DecimalNumber|Fraction} - Calculation result
+         */
+        evaluateRPN(rpn) {
+            try {
+                if (!Array.isArray(rpn) || rpn.length === 0) {
+                    throw new CalculatorError(
+                        'RPN input must be a non-empty array',
+                        CalculatorError.ERROR_TYPES.INVALID_INPUT
+                    );
+                }
+                
+                const tokens = rpn.map(item => {
+                    const isPlainNumber = typeof item === 'number' && Number.isFinite(item);
+                    
+                    if (this.arithmetic.isValue(item) || isPlainNumber) {
+                        const token = new Token(CONFIG.TOKEN_TYPES.NUMBER, String(item));
+                        token.value = isPlainNumber ? this.arithmetic.fromNumber(item) : item;
+                        return token;
+                    }
+                    
+                    if (OperationFactory.isPostfixOperator(item)) {
+                        return new Token(CONFIG.TOKEN_TYPES.POSTFIX_OPERATOR, item);
+                    }
+                    if (OperationFactory.isOperator(item)) {
+                        return new Token(OperationFactory.isUnaryOperator(item)
+                            ? CONFIG.TOKEN_TYPES.UNARY_OPERATOR
+                            : CONFIG.TOKEN_TYPES.OPERATOR, item);
+                    }
+                    
+                    throw new CalculatorError(
+                        `Invalid RPN token: ${item}`,
+                        CalculatorError.ERROR_TYPES.INVALID_INPUT
+                    );
+                });
+                
+                return this._evaluateRPN(tokens);
+            } catch (error) {
+                if (error instanceof CalculatorError) {
+                    throw error;
+                }
+                throw new CalculatorError(
+                    `Calculation failed: ${error.message}`,
+                    CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                );
+            }
+        }
+        
+        /**
+         * Validate mathematical expression
+         * @private
+         */
+        _validateExpression(expression) {
+            if (typeof expression !== 'string') {
+                throw new CalculatorError(
+                    'Expression must be a string',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            if (expression.length === 0) {
+                throw new CalculatorError(
+                    'Expression cannot be empty',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            // Checked before anything else reads the whole string
+            if (expression.length > this.limits.maxLength) {
+                throw new CalculatorError(
+                    `Expression is longer than ${this.limits.maxLength} characters`,
+                    CalculatorError.ERROR_TYPES.LENGTH_LIMIT
+                );
+            }
+            
+            // Security: Prevent potentially dangerous patterns
+            const dangerousPatterns = [
+                /eval\(/i,
+                /function\(/i,
+                /new\s+Function/i,
+                /\.constructor/i,
+                /__proto__/i,
+                /process\./i,
+                /require\(/i,
+                /import\(/i
+            ];
+            
+            for (const pattern of dangerousPatterns) {
+                const match = pattern.exec(expression);
+                if (match) {
+                    throw new CalculatorError(
+                        'Invalid expression pattern detected',
+                        CalculatorError.ERROR_TYPES.INVALID_INPUT,
+                        this._matchLocation(match)
+                    );
+                }
+            }
+            
+            // Validate characters: digits, names, grouping, assignment and
+            // operator symbols
+            const symbolCharacters = Array.from(new Set(OperationFactory.getSymbols().join(''))).join('');
+            const invalidChar = new RegExp(
+                `[^0-9a-zA-Z.,()\\s${escapeRegExp(CONFIG.ASSIGNMENT_OPERATOR + symbolCharacters)}]`
+            ).exec(expression);
+            if (invalidChar) {
+                throw new CalculatorError(
+                    'Expression contains invalid characters',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT,
+                    this._matchLocation(invalidChar)
+                );
+            }
+            
+            // Validate parentheses balance, remembering where each '(' opened
+            const openPositions = [];
+            for (let i = 0; i < expression.length; i++) {
+                if (expression[i] === '(') {
+                    openPositions.push(i);
+                    if (openPositions.length > this.limits.maxDepth) {
+                        throw new CalculatorError(
+                            `Parentheses are nested more than ${this.limits.maxDepth} deep`,
+                            CalculatorError.ERROR_TYPES.NESTING_LIMIT,
+                            { start: i, end: i + 1, text: '(' }
+                        );
+                    }
+                } else if (expression[i] === ')' && openPositions.pop() === undefined) {
+                    throw new CalculatorError(
+                        'Mismatched parentheses',
+                        CalculatorError.ERROR_TYPES.SYNTAX_ERROR,
+                        { start: i, end: i + 1, text: ')' }
+                    );
+                }
+            }
+            
+            if (openPositions.length > 0) {
+                const position = openPositions[openPositions.length - 1];
+                throw new CalculatorError(
+                    'Mismatched parentheses',
+                    CalculatorError.ERROR_TYPES.SYNTAX_ERROR,
+                    { start: position, end: position + 1, text: '(' }
+                );
+            }
+        }
+        
+        /**
+         * Convert infix to Reverse Polish Notation (Shunting Yard Algorithm)
+         * @private
+         */
+        _toReversePolishNotation(tokens) {
+            const TYPES = CONFIG.TOKEN_TYPES;
+            const PARSE = CONFIG.TRACE_PHASES.PARSE;
+            const output = [];
+            const operators = [];
+            // One entry per open '(': the pending call, or null for grouping
+            const calls = [];
+            
+            for (let index = 0; index < tokens.length; index++) {
+                const token = tokens[index];
+                const previous = tokens[index - 1];
+                const next = tokens[index + 1];
+                
+                switch (token.type) {
+                    case TYPES.NUMBER:
+                        token.value = this._parseNumberToken(token);
+                        output.push(token);
+                        this.trace?.record(PARSE, `Number ${token.text} goes to the output queue`, token, { operators, output });
+                        break;
+                    
+                    case TYPES.IDENTIFIER:
+                        output.push(token);
+                        this.trace?.record(PARSE, `Name ${token.text} goes to the output queue`, token, { operators, output });
+                        break;
+                    
+                    case TYPES.ASSIGN:
+                        throw CalculatorError.at(
+                            token,
+                            'Only a variable name can come before "="',
+                            CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                        );
+                    
+                    case TYPES.FUNCTION:
+                        if (!next || next.type !== TYPES.LEFT_PAREN) {
+                            throw CalculatorError.at(
+                                token,
+                                `Function ${token.text} must be followed by "("`,
+                                CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                            );
+                        }
+                        operators.push(token);
+                        this.trace?.record(PARSE, `Function ${token.text} waits on the operator stack`, token, { operators, output });
+                        break;
+                    
+                    case TYPES.UNARY_OPERATOR:
+                        // Prefix operators have no left operand, so nothing pops
+                        operators.push(token);
+                        this.trace?.record(PARSE, `Prefix operator ${token.text} waits on the operator stack`, token, { operators, output });
+                        break;
+                    
+                    case TYPES.POSTFIX_OPERATOR:
+                        // Its operand is already complete and nothing binds
+                        // tighter, so it goes straight to the output
+                        output.push(token);
+                        this.trace?.record(PARSE, `Postfix operator ${token.text} applies to the operand before it and goes to the output queue`, token, { operators, output });
+                        break;
+                    
+                    case TYPES.OPERATOR: {
+                        const op1 = this.operationFactory.createOperation(token.text);
+                        
+                        while (operators.length > 0) {
+                            const top = operators[operators.length - 1];
+                            if (top.type !== TYPES.OPERATOR && top.type !== TYPES.UNARY_OPERATOR) break;
+                            
+                            const op2 = this.operationFactory.createOperation(top.text);
+                            const popsEqual = op2.precedence === op1.precedence &&
+                                !op1.isRightAssociative();
+                            if (op2.precedence > op1.precedence || popsEqual) {
+                                output.push(operators.pop());
+                                this.trace?.record(PARSE, popsEqual
+                                    ? `${top.text} has the same precedence as ${token.text} and groups left first, so it moves to the output queue`
+                                    : `${top.text} binds tighter than ${token.text}, so it moves to the output queue`,
+                                token, { operators, output });
+                            } else {
+                                break;
+                            }
+                        }
+                        
+                        operators.push(token);
+                        this.trace?.record(PARSE, `Push ${token.text} onto the operator stack`, token, { operators, output });
+                        break;
+                    }
+                    
+                    case TYPES.LEFT_PAREN: {
+                        const callee = previous && previous.type === TYPES.FUNCTION ? previous : null;
+                        calls.push(callee ? { argCount: 1 } : null);
+                        operators.push(token);
+                        this.trace?.record(PARSE, callee
+                            ? `( opens the arguments of ${callee.text}`
+                            : 'Push ( onto the operator stack', token, { operators, output });
+                        break;
+                    }
+                    
+                    case TYPES.SEPARATOR: {
+                        const call = calls[calls.length - 1];
+                        const followsGroupStart = previous.type === TYPES.LEFT_PAREN ||
+                            previous.type === TYPES.SEPARATOR;
+                        if (!call || followsGroupStart) {
+                            throw CalculatorError.at(
+                                token,
+                                'Unexpected argument separator',
+                                CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                            );
+                        }
+                        while (operators[operators.length - 1].type !== TYPES.LEFT_PAREN) {
+                            output.push(operators.pop());
+                        }
+                        call.argCount++;
+                        this.trace?.record(PARSE, `Argument ${call.argCount} starts; operators since ( move to the output queue`,
+                            token, { operators, output });
+                        break;
+                    }
+                    
+                    case TYPES.RIGHT_PAREN: {
+                        if (previous && previous.type === TYPES.SEPARATOR) {
+                            throw CalculatorError.at(
+                                previous,
+                                'Unexpected argument separator',
+                                CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                            );
+                        }
+                        while (operators.length > 0 && operators[operators.length - 1].type !== TYPES.LEFT_PAREN) {
+                            output.push(operators.pop());
+                        }
+                        if (operators.length === 0) {
+                            throw CalculatorError.at(
+                                token,
+                                'Mismatched parentheses',
+                                CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                            );
+                        }
+                        operators.pop(); // Remove '('
+                        
+                        const call = calls.pop();
+                        if (call) {
+                            // The call token spans the name through ')'
+                            const name = operators.pop();
+                            const callToken = new Token(TYPES.FUNCTION, name.text, name.start, token.end);
+                            callToken.argCount = previous.type === TYPES.LEFT_PAREN ? 0 : call.argCount;
+                            output.push(callToken);
+                            this.trace?.record(PARSE, `) closes the call: ${name.text} with ${callToken.argCount} ` +
+                                `argument${callToken.argCount === 1 ? '' : 's'} goes to the output queue`, token, { operators, output });
+                        } else {
+                            this.trace?.record(PARSE, ') closes the group: operators since ( move to the output queue',
+                                token, { operators, output });
+                        }
+                        break;
+                    }
+                }
+            }
+            
+            // Add remaining operators
+            while (operators.length > 0) {
+                const token = operators.pop();
+                if (token.type === TYPES.LEFT_PAREN) {
+                    throw CalculatorError.at(
+                        token,
+                        'Mismatched parentheses',
+                        CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                    );
+                }
+                output.push(token);
+                this.trace?.record(PARSE, `End of input: ${token.text} moves to the output queue`, token, { operators, output });
+            }
+            
+            return output;
+        }
+        
+        /**
+         * Tokenize expression into numbers (optionally with an exponent, as
+         * in "6.02e23", or a base prefix, as in "0xFF"), operators,
+         * parentheses and function names, recording where each token starts
+         * and ends.
+         * A '-' or '+' that cannot close a left operand (at the start, after
+         * another operator or after '(') becomes a unary sign token.
+         * @private
+         */
+        _tokenizeExpression(expression) {
+            const TYPES = CONFIG.TOKEN_TYPES;
+            const tokens = [];
+            let i = 0;
+            
+            while (i < expression.length) {
+                const char = expression[i];
+                const previous = tokens[tokens.length - 1];
+                
+                if (/\s/.test(char)) {
+                    i++;
+                    continue;
+                }
+                
+                const prefixed = /^0(?:x[0-9a-f]+|o[0-9]+|b[0-9]+)/i.exec(expression.slice(i));
+                if (prefixed) {
+                    const end = i + prefixed[0].length;
+                    tokens.push(new Token(TYPES.NUMBER, prefixed[0], i, end));
+                    i = end;
+                    continue;
+                }
+                
+                if (this._isDigit(char) || char === '.') {
+                    const mantissaEnd = this._scan(expression, i, c => this._isDigit(c) || c === '.');
+                    const end = this._scanExponent(expression, mantissaEnd);
+                    tokens.push(new Token(TYPES.NUMBER, expression.slice(i, end), i, end));
+                    i = end;
+                    continue;
+                }
+                
+                const word = this._matchWordOperator(expression, i);
+                if (word) {
+                    tokens.push(this._tokenizeOperator(word, i, previous));
+                    i += word.length;
+                    continue;
+                }
+                
+                if (this._isLetter(char)) {
+                    const end = this._scan(expression, i, c => this._isLetter(c) || this._isDigit(c));
+                    tokens.push(this._tokenizeName(expression, i, end));
+                    i = end;
+                    continue;
+                }
+                
+                if (char === CONFIG.ASSIGNMENT_OPERATOR) {
+                    tokens.push(new Token(TYPES.ASSIGN, char, i, i + 1));
+                    i++;
+                    continue;
+                }
+                
+                const symbol = this._matchOperatorSymbol(expression, i);
+                if (symbol) {
+                    tokens.push(this._tokenizeOperator(symbol, i, previous));
+                    i += symbol.length;
+                    continue;
+                }
+                
+                tokens.push(this._tokenizePunctuation(char, i));
+                i++;
+            }
+            
+            const expanded = this._insertImplicitMultiplication(tokens);
+            if (expanded.length > this.limits.maxTokens) {
+                throw CalculatorError.at(
+                    expanded[this.limits.maxTokens],
+                    `Expression has more than ${this.limits.maxTokens} tokens`,
+                    CalculatorError.ERROR_TYPES.TOKEN_LIMIT
+                );
+            }
+            return expanded;
+        }
+        
+        /**
+         * Put a multiplication between an operand and a "(", name or
+         * function that follows it with no operator: "2(3+4)", "2x",
+         * "(1+2)(3+4)", "3pi", "2sqrt(2)", "10%x". Other pairs stay errors
+         * since their meaning is unclear ("2 3" could be a typo for 23;
+         * "x(2)" could be a call). Strict mode reports the missing operator.
+         * @private
+         */
+        _insertImplicitMultiplication(tokens) {
+            const TYPES = CONFIG.TOKEN_TYPES;
+            const operands = [TYPES.NUMBER, TYPES.IDENTIFIER, TYPES.RIGHT_PAREN, TYPES.POSTFIX_OPERATOR];
+            const factors = [TYPES.LEFT_PAREN, TYPES.IDENTIFIER, TYPES.FUNCTION];
+            const result = [];
+            
+            tokens.forEach((token, index) => {
+                const previous = tokens[index - 1];
+                if (previous && operands.includes(previous.type) && factors.includes(token.type)) {
+                    if (this.syntaxMode === CONFIG.SYNTAX_MODES.STRICT) {
+                        throw CalculatorError.at(
+                            token,
+                            `Missing operator before ${token.text} (strict syntax has no implicit multiplication)`,
+                            CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                        );
+                    }
+                    // Located in the gap between the two, which may be empty
+                    const implicit = new Token(TYPES.OPERATOR, CONFIG.IMPLICIT_MULTIPLY, previous.end, token.start);
+                    implicit.implicit = true;
+                    result.push(implicit);
+                }
+                result.push(token);
+            });
+            return result;
+        }
+        
+        /**
+         * Classify a name: a call when "(" follows or it names a function,
+         * otherwise a variable. Names are case-insensitive.
+         * @private
+         */
+        _tokenizeName(expression, start, end) {
+            const TYPES = CONFIG.TOKEN_TYPES;
+            const text = expression.slice(start, end);
+            const name = text.toLowerCase();
+            const isCall = expression.slice(end).trimStart().startsWith('(');
+            
+            if (this.functionRegistry.has(name)) {
+                return new Token(TYPES.FUNCTION, name, start, end);
+            }
+            if (isCall) {
+                throw new CalculatorError(
+                    `Unknown function: ${text}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT,
+                    { start, end, text }
+                );
+            }
+            return new Token(TYPES.IDENTIFIER, name, start, end);
+        }
+        
+        /**
+         * Recognize "name = expression" and return the name token, or null
+         * when the expression is not an assignment
+         * @private
+         */
+        _assignmentTarget(tokens) {
+            const TYPES = CONFIG.TOKEN_TYPES;
+            const [first, second] = tokens;
+            
+            if (!second || second.type !== TYPES.ASSIGN) {
+                return null;
+            }
+            if (first.type !== TYPES.IDENTIFIER) {
+                throw CalculatorError.at(
+                    first.type === TYPES.FUNCTION ? first : second,
+                    first.type === TYPES.FUNCTION
+                        ? `Cannot assign to function ${first.text}`
+                        : 'Only a variable name can come before "="',
+                    CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                );
+            }
+            if (tokens.length === 2) {
+                throw CalculatorError.at(
+                    second,
+                    `Missing value to assign to ${first.text}`,
+                    CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                );
+            }
+            return first;
+        }
+        
+        /**
+         * Classify an operator: a '-' or '+' in sign position is unary, as
+         * are registered prefix operators, which may only appear there.
+         * Postfix operators ('%') must follow an operand.
+         * @private
+         */
+        _tokenizeOperator(symbol, index, previous) {
+            const TYPES = CONFIG.TOKEN_TYPES;
+            const end = index + symbol.length;
+            const name = OperationFactory.isRegistered(symbol)
+                ? symbol
+                : CONFIG.OPERATOR_ALIASES[symbol] || symbol;
+            
+            if (this._isSignPosition(previous)) {
+                if (name === CONFIG.OPERATORS.SUBTRACT) {
+                    return new Token(TYPES.UNARY_OPERATOR, CONFIG.UNARY_OPERATORS.NEGATE, index, end);
+                }
+                if (name === CONFIG.OPERATORS.ADD) {
+                    return new Token(TYPES.UNARY_OPERATOR, CONFIG.UNARY_OPERATORS.POSITIVE, index, end);
+                }
+            }
+            
+            if (OperationFactory.isPostfixOperator(name)) {
+                if (this._isSignPosition(previous)) {
+                    throw new CalculatorError(
+                        `Operator ${symbol} must come after its operand`,
+                        CalculatorError.ERROR_TYPES.SYNTAX_ERROR,
+                        { start: index, end, text: symbol }
+                    );
+                }
+                return new Token(TYPES.POSTFIX_OPERATOR, name, index, end);
+            }
+            
+            if (OperationFactory.isUnaryOperator(name)) {
+                if (!this._isSignPosition(previous)) {
+                    throw new CalculatorError(
+                        `Operator ${symbol} must come before its operand`,
+                        CalculatorError.ERROR_TYPES.SYNTAX_ERROR,
+                        { start: index, end, text: symbol }
+                    );
+                }
+                return new Token(TYPES.UNARY_OPERATOR, name, index, end);
+            }
+            
+            return new Token(TYPES.OPERATOR, name, index, end);
+        }
+        
+        /**
+         * Classify a parenthesis or argument separator
+         * @private
+         */
+        _tokenizePunctuation(char, index) {
+            const TYPES = CONFIG.TOKEN_TYPES;
+            const punctuation = {
+                '(': TYPES.LEFT_PAREN,
+                ')': TYPES.RIGHT_PAREN,
+                [CONFIG.ARGUMENT_SEPARATOR]: TYPES.SEPARATOR
+            };
+            if (punctuation[char]) {
+                return new Token(punctuation[char], char, index, index + 1);
+            }
+            
+            throw new CalculatorError(
+                `Unexpected character: ${char}`,
+                CalculatorError.ERROR_TYPES.INVALID_INPUT,
+                { start: index, end: index + 1, text: char }
+            );
+        }
+        
+        /**
+         * Return the index just past a run of characters matching the test
+         * @private
+         */
+        _scan(expression, index, test) {
+            let end = index;
+            while (end < expression.length && test(expression[end])) {
+                end++;
+            }
+            return end;
+        }
+        
+        /**
+         * Return the index just past an exponent suffix ("e23", "E-7") that
+         * starts at index, or index itself when there is none. An "e" not
+         * followed by digits is left for the identifier scanner.
+         * @private
+         */
+        _scanExponent(expression, index) {
+            const match = /^[eE][+-]?[0-9]+/.exec(expression.slice(index));
+            return match ? index + match[0].length : index;
+        }
+        
+        /**
+         * Find the longest operator spelling starting at index
+         * @private
+         */
+        _matchOperatorSymbol(expression, index) {
+            return OperationFactory.getSymbols()
+                .find(symbol => expression.startsWith(symbol, index)) || null;
+        }
+        
+        /**
+         * Find a word operator ("xor") at the start of a token. A word
+         * followed by more letters is a name instead; one followed by digits
+         * is not ("5xor3").
+         * @private
+         */
+        _matchWordOperator(expression, index) {
+            if (!this._isLetter(expression[index])) {
+                return null;
+            }
+            return OperationFactory.getWordOperators().find(word =>
+                expression.slice(index, index + word.length).toLowerCase() === word &&
+                !this._isLetter(expression[index + word.length] || '')
+            ) || null;
+        }
+        
+        /**
+         * Check whether a sign following this token is unary
+         * @private
+         */
+        _isSignPosition(previousToken) {
+            const TYPES = CONFIG.TOKEN_TYPES;
+            return previousToken === undefined ||
+                previousToken.type === TYPES.LEFT_PAREN ||
+                previousToken.type === TYPES.SEPARATOR ||
+                previousToken.type === TYPES.ASSIGN ||
+                previousToken.type === TYPES.OPERATOR ||
+                previousToken.type === TYPES.UNARY_OPERATOR;
+        }
+        
+        /**
+         * Parse a number literal, pointing at it if it is malformed ("1.2.3")
+         * @private
+         */
+        _parseNumberToken(token) {
+            try {
+                return this.parseNumber(token.text);
+            } catch (error) {
+                throw error instanceof CalculatorError ? error.locate(token) : error;
+            }
+        }
+        
+        /**
+         * Evaluate Reverse Polish Notation expression. Each stack entry
+         * remembers the part of the source it came from, so errors can point
+         * at the operands involved.
+         * @private
+         */
+        _evaluateRPN(rpn) {
+            const TYPES = CONFIG.TOKEN_TYPES;
+            const EVALUATE = CONFIG.TRACE_PHASES.EVALUATE;
+            const stack = [];
+            
+            for (const token of rpn) {
+                if (token.type === TYPES.NUMBER) {
+                    stack.push({ value: token.value, start: token.start, end: token.end });
+                    this.trace?.record(EVALUATE, `Push ${token.text}`, token, { stack });
+                } else if (token.type === TYPES.IDENTIFIER) {
+                    stack.push({ value: this._lookupVariable(token), start: token.start, end: token.end });
+                    this.trace?.record(EVALUATE, `Push the value of ${token.text}`, token, { stack });
+                } else if (this._isOperatorToken(token)) {
+                    const operation = this.operationFactory.createOperation(token.text);
+                    const operands = this._takeOperands(stack, operation.arity, token);
+                    if (operation.takesPercentOfLeft() && operands[1].percent !== undefined) {
+                        operands[1] = this._percentOfLeft(operands, token, stack);
+                    }
+                    const value = this._applyAt(token, () => this._checkMagnitude(
+                        operation.execute(...operands.map(operand => operand.value), this.arithmetic)
+                    ));
+                    const entry = this._spanEntry(value, [...operands, token]);
+                    if (operation instanceof PercentOperation) {
+                        // Kept so '+' or '-' can take this share of its left operand
+                        entry.percent = operands[0].value;
+                    } else if (operands[0].percent !== undefined &&
+                        (operation instanceof NegationOperation || operation instanceof UnaryPlusOperation)) {
+                        // A sign keeps the share, so 200+-10% is 200-10%
+                        entry.percent = operation.execute(operands[0].percent, this.arithmetic);
+                    }
+                    stack.push(entry);
+                    this.trace?.record(EVALUATE, `Pop ${operands.map(operand => String(operand.value)).join(' and ')}, ` +
+                        `apply ${token.text} and push ${String(value)}`, token, { stack });
+                } else if (token.type === TYPES.FUNCTION) {
+                    const mathFunction = this._functionFor(token);
+                    
+                    // Functions are defined on plain numbers in every mode
+                    const args = this._takeOperands(stack, token.argCount, token);
+                    const value = this._applyAt(token, () => {
+                        const result = mathFunction.execute(...args.map(arg => this.arithmetic.toNumber(arg.value)));
+                        return this._checkMagnitude(this.arithmetic.fromNumber(FLOAT_ARITHMETIC.check(result)));
+                    });
+                    stack.push(this._spanEntry(value, [...args, token]));
+                    this.trace?.record(EVALUATE, `Pop ${token.argCount} argument${token.argCount === 1 ? '' : 's'}, ` +
+                        `call ${token.text} and push ${String(value)}`, token, { stack });
+                }
+            }
+            
+            this._checkSingleResult(stack);
+            
+            // Let the number type finish the result (float mode rounds away
+            // binary precision noise; decimal results are already exact)
+            const result = this.arithmetic.finalize(stack[0].value);
+            this.trace?.record(EVALUATE, `The last value on the stack is the result: ${String(result)}`,
+                null, { stack: [{ value: result }] });
+            return result;
+        }
+        
+        /**
+         * Reject values whose leading digit is past the maxMagnitude power
+         * of ten, or as far below one, so 1e1000 is allowed but not 1e1001
+         * @private
+         */
+        _checkMagnitude(value) {
+            this._checkExponent(this.arithmetic.magnitude(value));
+            return value;
+        }
+        
+        /**
+         * @private
+         */
+        _checkExponent(exponent) {
+            const limit = this.limits.maxMagnitude;
+            if (Math.abs(exponent) > limit) {
+                throw new CalculatorError(
+                    exponent > 0 ? `Number exceeds 1e${limit}` : `Number is smaller than 1e-${limit}`,
+                    CalculatorError.ERROR_TYPES.MAGNITUDE_LIMIT
+                );
+            }
+        }
+        
+        /**
+         * Whether an RPN token applies an operation (infix, prefix or postfix)
+         * @private
+         */
+        _isOperatorToken(token) {
+            const TYPES = CONFIG.TOKEN_TYPES;
+            return token.type === TYPES.OPERATOR ||
+                token.type === TYPES.UNARY_OPERATOR ||
+                token.type === TYPES.POSTFIX_OPERATOR;
+        }
+        
+        /**
+         * The right operand of "a + b%" or "a - b%" as b percent of a
+         * @private
+         */
+        _percentOfLeft([left, right], token, stack) {
+            const math = this.arithmetic;
+            const value = this._applyAt(token, () =>
+                math.divide(math.multiply(left.value, right.percent), math.fromNumber(100))
+            );
+            this.trace?.record(CONFIG.TRACE_PHASES.EVALUATE,
+                `${String(right.percent)}% of ${String(left.value)} is ${String(value)}`, token, { stack });
+            return { ...right, value };
+        }
+        
+        /**
+         * Read a variable in the engine's number type
+         * @private
+         */
+        _lookupVariable(token) {
+            if (Object.prototype.hasOwnProperty.call(CONFIG.CONSTANTS, token.text)) {
+                return this._applyAt(token, () => this.arithmetic.fromNumber(CONFIG.CONSTANTS[token.text]));
+            }
+            if (this.scope && Object.prototype.hasOwnProperty.call(this.scope, token.text)) {
+                const value = this.scope[token.text];
+                return this.arithmetic.isValue(value)
+                    ? value
+                    : this._applyAt(token, () => this.arithmetic.fromNumber(value));
+            }
+            if (!this.variables.has(token.text)) {
+                throw CalculatorError.at(
+                    token,
+                    this._unknownNameMessage(token.text),
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            const value = this.variables.get(token.text);
+            return this.arithmetic.isValue(value) ? value : this.arithmetic.fromNumber(Number(value));
+        }
+        
+        /**
+         * Why a name has no value: no result for ans yet, a unit outside a
+         * conversion (or in programmer mode, which has no units) or a
+         * variable that was never set
+         * @private
+         */
+        _unknownNameMessage(name) {
+            if (name === CONFIG.ANSWER_VARIABLE) {
+                return 'No previous result for ans yet';
+            }
+            if (!UnitRegistry.has(name)) {
+                return `Unknown variable: ${name}`;
+            }
+            if (this.arithmetic.name === CONFIG.NUMBER_MODES.PROGRAMMER) {
+                return `Units are not available in programmer mode: ${name}`;
+            }
+            
+            const unit = UnitRegistry.find(name);
+            const other = UnitRegistry.getUnits(unit.dimension).find(candidate => candidate !== unit);
+            return other
+                ? `Unit ${name} can only be used in a conversion, e.g. 5 ${name} ${CONFIG.CONVERSION_KEYWORDS[0]} ${other.symbol}`
+                : `Unit ${name} can only be used in a conversion`;
+        }
+        
+        /**
+         * Run one evaluation step, attributing any error to its token
+         * @private
+         */
+        _applyAt(token, step) {
+            try {
+                return this._checkResult(step());
+            } catch (error) {
+                throw error instanceof CalculatorError ? error.locate(token) : error;
+            }
+        }
+        
+        /**
+         * Build the syntax tree of an RPN token list, checking operand and
+         * argument counts as _evaluateRPN does
+         * @private
+         */
+        _buildTree(rpn) {
+            const TYPES = CONFIG.TOKEN_TYPES;
+            const stack = [];
+            
+            for (const token of rpn) {
+                if (token.type === TYPES.NUMBER) {
+                    stack.push(new NumberNode(token.text, token.value, token.start, token.end));
+                } else if (token.type === TYPES.IDENTIFIER) {
+                    stack.push(new VariableNode(token.text, token.start, token.end));
+                } else if (this._isOperatorToken(token)) {
+                    const operation = this.operationFactory.createOperation(token.text);
+                    const operands = this._takeOperands(stack, operation.arity, token);
+                    const { start, end } = this._spanEntry(null, [...operands, token]);
+                    stack.push(operation.arity === 1
+                        ? new UnaryNode(token.text, operands[0], start, end)
+                        : new BinaryNode(token.text, operands[0], operands[1], start, end));
+                } else if (token.type === TYPES.FUNCTION) {
+                    this._functionFor(token);
+                    const args = this._takeOperands(stack, token.argCount, token);
+                    stack.push(new CallNode(token.text, args, token.start, token.end));
+                }
+            }
+            
+            this._checkSingleResult(stack);
+            return stack[0];
+        }
+        
+        /**
+         * Remove the top `count` entries of an RPN stack for `token`
+         * @private
+         */
+        _takeOperands(stack, count, token) {
+            if (stack.length < count) {
+                throw CalculatorError.at(
+                    token,
+                    'Insufficient operands',
+                    CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                );
+            }
+            return count === 0 ? [] : stack.splice(-count);
+        }
+        
+        /**
+         * The registered function for a call token, checked against the
+         * call's argument count
+         * @private
+         */
+        _functionFor(token) {
+            const mathFunction = this.functionRegistry.get(token.text);
+            if (!mathFunction.acceptsArgumentCount(token.argCount)) {
+                throw CalculatorError.at(
+                    token,
+                    `${token.text}() expects ${mathFunction.describeArity()}, got ${token.argCount}`,
+                    CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                );
+            }
+            return mathFunction;
+        }
+        
+        /**
+         * A finished RPN stack must hold exactly one entry
+         * @private
+         */
+        _checkSingleResult(stack) {
+            if (stack.length !== 1) {
+                // Point at the first operand that has nothing to combine with
+                const stray = stack[1];
+                throw new CalculatorError(
+                    'Invalid expression format',
+                    CalculatorError.ERROR_TYPES.SYNTAX_ERROR,
+                    stray && stray.start !== null ? { start: stray.start, end: stray.end, text: null } : null
+                );
+            }
+        }
+        
+        /**
+         * Build an evaluation stack entry covering all of its parts' source
+         * @private
+         */
+        _spanEntry(value, parts) {
+            const located = parts.filter(part => part.start !== null);
+            if (located.length === 0) {
+                return { value, start: null, end: null };
+            }
+            return {
+                value,
+                start: Math.min(...located.map(part => part.start)),
+                end: Math.max(...located.map(part => part.end))
+            };
+        }
+        
+        /**
+         * Build an error location from a regular expression match
+         * @private
+         */
+        _matchLocation(match) {
+            return { start: match.index, end: match.index + match[0].length, text: match[0] };
+        }
+        
+        /**
+         * Reject intermediate results the number type cannot represent
+         * @private
+         */
+        _checkResult(result) {
+            return this.arithmetic.check(result);
+        }
+        
+        /**
+         * Check if character is a digit
+         * @private
+         */
+        _isDigit(char) {
+            return /[0-9]/.test(char);
+        }
+        
+        /**
+         * Check if character is a letter (function and variable names)
+         * @private
+         */
+        _isLetter(char) {
+            return /[a-zA-Z]/.test(char);
+        }
+    }
+    
+    /**
+     * How values and errors cross to and from the engine worker. Structured
+     * cloning keeps plain numbers and BigInts but drops class prototypes,
+     * so decimals and fractions travel as their parts and errors as data.
+     */
+    class EngineMessageCodec {
+        static encodeValue(value) {
+            if (value instanceof Fraction) {
+                return { numerator: value.numerator, denominator: value.denominator };
+            }
+            if (value instanceof DecimalNumber) {
+                return { coefficient: value.coefficient, exponent: value.exponent };
+            }
+            return value;
+        }
+        
+        static decodeValue(data) {
+            if (data === null || typeof data !== 'object') {
+                return data;
+            }
+            return 'numerator' in data
+                ? new Fraction(data.numerator, data.denominator)
+                : new DecimalNumber(data.coefficient, data.exponent);
+        }
+        
+        static encodeError(error) {
+            const calculatorError = error instanceof CalculatorError
+                ? error
+                : new CalculatorError(`Calculation failed: ${error.message}`);
+            return {
+                message: calculatorError.message,
+                type: calculatorError.type,
+                span: calculatorError.span,
+                token: calculatorError.token,
+                expression: calculatorError.expression
+            };
+        }
+        
+        static decodeError(data) {
+            const error = new CalculatorError(data.message, data.type,
+                data.span && { ...data.span, text: data.token });
+            error.expression = data.expression;
+            return error;
+        }
+    }
+    
+    /**
+     * Answer one calculate message inside the engine worker. The page's
+     * variables and registered units come with the request; assignments
+     * made by the expression go back with the result.
+     * @returns {Object} - A result or error message with the request's id
+     */
+    function runEngineRequest({ id, expression, options, variables, units }) {
+        const MESSAGES = CONFIG.WORKER_MESSAGES;
+        try {
+            UnitRegistry.getRegisteredUnits().forEach(unit => UnitRegistry.unregister(unit.symbol));
+            units.forEach(unit => UnitRegistry.register(unit, { override: true }));
+            
+            const store = new VariableStore();
+            variables.forEach(([name, value]) => store.values.set(name, EngineMessageCodec.decodeValue(value)));
+            const before = new Map(store.values);
+            
+            const engine = new CalculationEngine({ ...options, variables: store });
+            const { value, unit } = engine.calculateWithUnit(expression);
+            const assignments = store.entries()
+                .filter(([name, stored]) => before.get(name) !== stored)
+                .map(([name, stored]) => [name, EngineMessageCodec.encodeValue(stored)]);
+            
+            return { type: MESSAGES.RESULT, id, value: EngineMessageCodec.encodeValue(value), unit, assignments };
+        } catch (error) {
+            return { type: MESSAGES.ERROR, id, error: EngineMessageCodec.encodeError(error) };
+        }
+    }
+    
+    // This script's URL, for starting it again as the engine worker. Only
+    // readable while the script first runs.
+    const SCRIPT_URL = typeof document !== 'undefined' && document.currentScript
+        ? document.currentScript.src
+        : null;
+    
+    /**
+     * Runs calculations in a dedicated Worker so a slow expression cannot
+     * freeze the page. The worker is this same script, so it comes from
+     * the page's origin and passes its script-src 'self' policy.
+     *
+     * Every request has an id. One that is cancelled or runs past the
+     * timeout is rejected; a busy worker cannot be interrupted, so when it
+     * was the one running, the worker is replaced and the requests still
+     * waiting are sent to the new one.
+     */
+    class EngineWorkerClient {
+        /**
+         * @param {string} scriptUrl - Same-origin URL of calculator.js
+         * @param {Object} options - { timeout } in milliseconds
+         */
+        constructor(scriptUrl, { timeout = CONFIG.EVALUATION_TIMEOUT } = {}) {
+            if (typeof Worker === 'undefined' || !scriptUrl) {
+                throw new CalculatorError(
+                    'Background calculation is not available in this browser',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            this.scriptUrl = scriptUrl;
+            this.timeout = EngineWorkerClient.validateTimeout(timeout);
+            this.worker = null;
+            this.nextId = 1;
+            // Requests waiting for an answer by id, in the order sent
+            this.pending = new Map();
+        }
+        
+        static validateTimeout(timeout) {
+            if (!Number.isFinite(timeout) || timeout <= 0) {
+                throw new CalculatorError(
+                    'Timeout must be a positive number of milliseconds',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            return timeout;
+        }
+        
+        /**
+         * Change the timeout of later requests
+         */
+        configure({ timeout = this.timeout } = {}) {
+            this.timeout = EngineWorkerClient.validateTimeout(timeout);
+        }
+        
+        /**
+         * Calculate an expression in the worker
+         * @param {string} expression
+         * @param {Object} engineOptions - { numberMode, wordSize, signed, syntaxMode }
+         * @param {VariableStore} variables
+         * @returns {{id: number, promise: Promise}} - The promise gives
+         *   { value, unit, assignments } or rejects with a CalculatorError
+         *   (TIMEOUT and CANCELLED included)
+         */
+        calculate(expression, engineOptions, variables) {
+            const id = this.nextId++;
+            const message = {
+                type: CONFIG.WORKER_MESSAGES.CALCULATE,
+                id,
+                expression,
+                options: engineOptions,
+                variables: variables.entries().map(([name, value]) => [name, EngineMessageCodec.encodeValue(value)]),
+                units: UnitRegistry.getRegisteredUnits().map(({ symbol, name, dimension, factor, offset }) =>
+                    ({ symbol, name, dimension, factor, offset }))
+            };
+            
+            const promise = new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    const error = new CalculatorError(
+                        `Calculation took longer than ${this.timeout} ms and was stopped`,
+                        CalculatorError.ERROR_TYPES.TIMEOUT
+                    );
+                    error.expression = expression;
+                    this._stop(id, error);
+                }, this.timeout);
+                this.pending.set(id, { message, resolve, reject, timer });
+            });
+            this._getWorker().postMessage(message);
+            return { id, promise };
+        }
+        
+        /**
+         * @returns {boolean} - Whether the request was still waiting
+         */
+        cancel(id) {
+            return this._stop(id, new CalculatorError(
+                'Calculation cancelled',
+                CalculatorError.ERROR_TYPES.CANCELLED
+            ));
+        }
+        
+        /**
+         * Cancel everything and stop the worker
+         */
+        terminate() {
+            Array.from(this.pending.keys()).forEach(id => this.cancel(id));
+            if (this.worker) {
+                this.worker.terminate();
+                this.worker = null;
+            }
+        }
+        
+        isBusy() {
+            return this.pending.size > 0;
+        }
+        
+        /**
+         * @private
+         */
+        _stop(id, error) {
+            const request = this.pending.get(id);
+            if (!request) {
+                return false;
+            }
+            
+            // The worker answers in order, so the first request is running
+            const running = this.pending.keys().next().value === id;
+            this.pending.delete(id);
+            clearTimeout(request.timer);
+            if (running) {
+                this._restartWorker();
+            }
+            request.reject(error);
+            return true;
+        }
+        
+        /**
+         * @private
+         */
+        _restartWorker() {
+            if (this.worker) {
+                this.worker.terminate();
+                this.worker = null;
+            }
+            if (this.pending.size > 0) {
+                const worker = this._getWorker();
+                this.pending.forEach(({ message }) => worker.postMessage(message));
+            }
+        }
+        
+        /**
+         * @private
+         */
+        _getWorker() {
+            if (!this.worker) {
+                this.worker = new Worker(this.scriptUrl);
+                this.worker.addEventListener('message', (event) => this._receive(event.data));
+                this.worker.addEventListener('error', (event) => this._fail(event));
+            }
+            return this.worker;
+        }
+        
+        /**
+         * @private
+         */
+        _receive(message) {
+            const request = this.pending.get(message.id);
+            if (!request) {
+                return; // Cancelled or timed out meanwhile
+            }
+            
+            this.pending.delete(message.id);
+            clearTimeout(request.timer);
+            if (message.type === CONFIG.WORKER_MESSAGES.ERROR) {
+                request.reject(EngineMessageCodec.decodeError(message.error));
+                return;
+            }
+            request.resolve({
+                value: EngineMessageCodec.decodeValue(message.value),
+                unit: message.unit,
+                assignments: message.assignments.map(([name, value]) => [name, EngineMessageCodec.decodeValue(value)])
+            });
+        }
+        
+        /**
+         * The worker script failed to load or threw outside a request
+         * @private
+         */
+        _fail(event) {
+            event.preventDefault();
+            const error = new CalculatorError(`Background calculation failed: ${event.message || 'worker error'}`);
+            this.pending.forEach(request => {
+                clearTimeout(request.timer);
+                request.reject(error);
+            });
+            this.pending.clear();
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+    
+    /**
+     * =========================================================================
+     * 9. CALCULATOR STATE MANAGER
+     * =========================================================================
+     */
+    
+    /**
+     * Named values for expressions ("x = 3", then "2*x"), plus the read-only
+     * `ans` holding the previous result. Names are lowercase and may not
+     * shadow a function. A Map keeps names like "constructor" harmless.
+     */
+    class VariableStore {
+        constructor() {
+            this.values = new Map();
+        }
+        
+        has(name) {
+            return this.values.has(name);
+        }
+        
+        get(name) {
+            return this.values.get(name);
+        }
+        
+        /**
+         * Assign a variable
+         * @returns {*} - The stored value
+         */
+        set(name, value) {
+            if (name === CONFIG.ANSWER_VARIABLE) {
+                throw new CalculatorError(
+                    `${CONFIG.ANSWER_VARIABLE} is read-only; it always holds the previous result`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            VariableStore.validateName(name);
+            this.values.set(name, value);
+            return value;
+        }
+        
+        /**
+         * Remember the latest result as `ans`
+         */
+        setAnswer(value) {
+            this.values.set(CONFIG.ANSWER_VARIABLE, value);
+        }
+        
+        delete(name) {
+            return this.values.delete(name);
+        }
+        
+        clear() {
+            this.values.clear();
+        }
+        
+        /**
+         * Variable names in assignment order, `ans` included
+         */
+        names() {
+            return Array.from(this.values.keys());
+        }
+        
+        entries() {
+            return Array.from(this.values.entries());
+        }
+        
+        static validateName(name) {
+            if (typeof name !== 'string' || !/^[a-z][a-z0-9]*$/.test(name)) {
+                throw new CalculatorError(
+                    `Invalid variable name: ${name}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            if (FunctionRegistry.has(name)) {
+                throw new CalculatorError(
+                    `Cannot assign to function ${name}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            if (Object.prototype.hasOwnProperty.call(CONFIG.CONSTANTS, name)) {
+                throw new CalculatorError(
+                    `${name} is a constant and cannot be assigned`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            // "xor" and "xor2" would be read as the operator
+            if (OperationFactory.getWordOperators().some(word => new RegExp(`^${word}(?![a-z])`).test(name))) {
+                throw new CalculatorError(
+                    `Cannot assign to operator ${name}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            // "km" or "c" would be read as a unit in "x km to mi" or "5 c to f"
+            const unit = UnitRegistry.find(name);
+            if (unit) {
+                throw new CalculatorError(
+                    `Cannot assign to unit ${unit.symbol}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            if (CONFIG.CONVERSION_KEYWORDS.includes(name)) {
+                throw new CalculatorError(
+                    `Cannot assign to keyword ${name}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+        }
+        
+        /**
+         * Replace every value, `ans` included, with transform(value)
+         */
+        transform(transform) {
+            for (const [name, value] of this.values) {
+                this.values.set(name, transform(value));
+            }
+        }
+    }
+    
+    /**
+     * Formats numbers for a display of limited width in one of
+     * CONFIG.DISPLAY_FORMATS:
+     *   fixed        1234567.89   (always positional, may not fit)
+     *   scientific   1.23456789e6
+     *   engineering  1.23456789e6, 12.3e3, 123e-9 (exponent a multiple of 3)
+     *   auto         fixed while the value fits (rounding away fraction
+     *                digits if needed), scientific once it does not
+     * Exponent notation uses the same "e" the tokenizer reads, so a shown
+     * result can be typed back in.
+     */
+    class DisplayFormatter {
+        constructor(format = CONFIG.DISPLAY_FORMATS.AUTO, maxLength = CONFIG.MAX_DISPLAY_LENGTH) {
+            if (!Object.values(CONFIG.DISPLAY_FORMATS).includes(format)) {
+                throw new CalculatorError(
+                    `Unknown display format: ${format}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            this.format = format;
+            this.maxLength = maxLength;
+        }
+        
+        /**
+         * @param {number|DecimalNumber} value - Value to format
+         * @returns {string}
+         */
+        formatValue(value) {
+            const decimal = value instanceof DecimalNumber ? value : DecimalNumber.parse(String(value));
+            
+            switch (this.format) {
+                case CONFIG.DISPLAY_FORMATS.FIXED:
+                    return decimal.toString();
+                case CONFIG.DISPLAY_FORMATS.SCIENTIFIC:
+                    return this._toExponential(decimal, 1);
+                case CONFIG.DISPLAY_FORMATS.ENGINEERING:
+                    return this._toExponential(decimal, 3);
+                default:
+                    return this._toAuto(decimal);
+            }
+        }
+        
+        /**
+         * Fixed notation when it fits, like printf's %g: the leading digit
+         * must be within the display and no more than four places after the
+         * point
+         * @private
+         */
+        _toAuto(decimal) {
+            const plain = decimal.toString();
+            if (plain.length <= this.maxLength) {
+                return plain;
+            }
+            
+            const sign = decimal.isNegative() ? 1 : 0;
+            const exponent = decimal.adjustedExponent();
+            if (exponent >= -4 && exponent < this.maxLength - sign - 1) {
+                // Room left for digits after the sign, "0." and leading zeros
+                const significant = this.maxLength - sign - 1 + Math.min(0, exponent);
+                return decimal.round(significant).toString();
+            }
+            return this._toExponential(decimal, 1);
+        }
+        
+        /**
+         * Mantissa and exponent, with the exponent a multiple of `step` and
+         * as many mantissa digits as fit the display
+         * @private
+         */
+        _toExponential(decimal, step) {
+            if (decimal.isZero()) {
+                return '0';
+            }
+            
+            const exponentFor = value => Math.floor(value.adjustedExponent() / step) * step;
+            const exponent = exponentFor(decimal);
+            const integerDigits = decimal.adjustedExponent() - exponent + 1;
+            const suffixLength = `${CONFIG.EXPONENT_MARKER}${exponent}`.length;
+            const sign = decimal.isNegative() ? 1 : 0;
+            const significant = Math.max(integerDigits, this.maxLength - sign - suffixLength - 1);
+            
+            // Rounding can carry into a new leading digit (9.99e2 -> 1e3)
+            const rounded = decimal.round(significant);
+            const finalExponent = exponentFor(rounded);
+            const mantissa = new DecimalNumber(rounded.coefficient, rounded.exponent - finalExponent);
+            return `${mantissa.toString()}${CONFIG.EXPONENT_MARKER}${finalExponent}`;
+        }
+    }
+    
+    /**
+     * Finished calculations, oldest first, capped at CONFIG.HISTORY_LIMIT.
+     * Entries hold only strings, so they can be searched and stored; a
+     * result is parsed again when it is recalled.
+     *
+     * Keeping history on the device is opt-in: it is written to the
+     * preference store (main.js PreferenceManager) only while persistence
+     * is switched on, and switching it off deletes the stored copy.
+     */
+    class CalculationHistory {
+        constructor(limit = CONFIG.HISTORY_LIMIT) {
+            this.limit = limit;
+            this.entries = [];
+            this.nextId = 1;
+            this.storage = null;
+            this.persistent = false;
+        }
+        
+        get length() {
+            return this.entries.length;
+        }
+        
+        /**
+         * Record a calculation
+         * @param {string} expression - What was evaluated
+         * @param {*} result - Result in any number type
+         * @param {string} mode - Entry mode it was made in
+         * @returns {Object} - The new entry
+         */
+        add(expression, result, mode) {
+            const entry = this._createEntry({
+                expression,
+                result: result.toString(),
+                mode,
+                timestamp: new Date().toISOString()
+            });
+            
+            this.entries.push(entry);
+            if (this.entries.length > this.limit) {
+                this.entries.splice(0, this.entries.length - this.limit);
+            }
+            this._save();
+            return { ...entry };
+        }
+        
+        get(id) {
+            const entry = this.entries.find(candidate => candidate.id === id);
+            return entry ? { ...entry } : null;
+        }
+        
+        getEntries() {
+            return this.entries.map(entry => ({ ...entry }));
+        }
+        
+        /**
+         * Entries whose "expression = result" contains the query, ignoring
+         * case and spaces
+         */
+        search(query) {
+            const normalize = text => String(text).replace(/\s+/g, '').toLowerCase();
+            const needle = normalize(query);
+            return this.getEntries().filter(entry =>
+                normalize(`${entry.expression}=${entry.result}`).includes(needle)
+            );
+        }
+        
+        /**
+         * Delete one entry
+         * @returns {boolean} - Whether the entry existed
+         */
+        remove(id) {
+            const index = this.entries.findIndex(entry => entry.id === id);
+            if (index === -1) {
+                return false;
+            }
+            this.entries.splice(index, 1);
+            this._save();
+            return true;
+        }
+        
+        /**
+         * Delete every entry, including the stored copy
+         */
+        clear() {
+            this.entries = [];
+            this._save();
+        }
+        
+        /**
+         * Use a preference store ({ get, set, remove }) and, if the user
+         * opted in earlier, load the history kept there. Calculations made
+         * before the store was available follow the loaded ones.
+         */
+        attachStorage(storage) {
+            this.storage = storage;
+            this.persistent = storage.get(CONFIG.HISTORY_PREFERENCES.PERSIST, false) === true;
+            
+            if (this.persistent) {
+                const stored = CalculationHistory.restore(storage.get(CONFIG.HISTORY_PREFERENCES.ENTRIES, []));
+                this.entries = [...stored, ...this.entries]
+                    .slice(-this.limit)
+                    .map(entry => this._createEntry(entry));
+                this._save();
+            }
+        }
+        
+        hasStorage() {
+            return this.storage !== null;
+        }
+        
+        /**
+         * Switch keeping history on this device on or off
+         */
+        setPersistent(enabled) {
+            if (!this.storage) {
+                throw new CalculatorError(
+                    'History storage is not available',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            this.persistent = enabled;
+            if (enabled) {
+                this.storage.set(CONFIG.HISTORY_PREFERENCES.PERSIST, true);
+                this._save();
+            } else {
+                this.storage.remove(CONFIG.HISTORY_PREFERENCES.PERSIST);
+                this.storage.remove(CONFIG.HISTORY_PREFERENCES.ENTRIES);
+            }
+        }
+        
+        /**
+         * Keep the well-formed entries of a stored history; localStorage
+         * can be edited by hand
+         */
+        static restore(stored) {
+            if (!Array.isArray(stored)) {
+                return [];
+            }
+            
+            const modes = Object.values(CONFIG.MODES);
+            return stored.filter(entry =>
+                entry !== null && typeof entry === 'object' &&
+                typeof entry.expression === 'string' &&
+                typeof entry.result === 'string' &&
+                typeof entry.timestamp === 'string' &&
+                modes.includes(entry.mode)
+            );
+        }
+        
+        /**
+         * @private
+         */
+        _createEntry({ expression, result, mode, timestamp }) {
+            return { id: this.nextId++, expression, result, mode, timestamp };
+        }
+        
+        /**
+         * Write the entries to the store while persistence is on; ids are
+         * per session and not stored
+         * @private
+         */
+        _save() {
+            if (!this.storage || !this.persistent) {
+                return;
+            }
+            
+            if (this.entries.length === 0) {
+                this.storage.remove(CONFIG.HISTORY_PREFERENCES.ENTRIES);
+            } else {
+                this.storage.set(
+                    CONFIG.HISTORY_PREFERENCES.ENTRIES,
+                    this.entries.map(({ expression, result, mode, timestamp }) => ({ expression, result, mode, timestamp }))
+                );
+            }
+        }
+    }
+    
+    /**
+     * Undo/redo commands for CalculatorState. A command is one public
+     * mutation (a key press, C, a mode switch...) stored as the state
+     * before and after it, so undoing restores exactly what was there.
+     */
+    class UndoStack {
+        constructor(limit = CONFIG.UNDO_LIMIT) {
+            this.limit = limit;
+            this.done = [];
+            this.undone = [];
+        }
+        
+        /**
+         * Record a command; anything that was undone can no longer be redone
+         * @param {Object} command - { label, before, after }
+         */
+        push(command) {
+            this.done.push(command);
+            if (this.done.length > this.limit) {
+                this.done.shift();
+            }
+            this.undone = [];
+        }
+        
+        /**
+         * @returns {Object|null} - The command to reverse
+         */
+        undo() {
+            const command = this.done.pop();
+            if (!command) return null;
+            this.undone.push(command);
+            return command;
+        }
+        
+        /**
+         * @returns {Object|null} - The command to apply again
+         */
+        redo() {
+            const command = this.undone.pop();
+            if (!command) return null;
+            this.done.push(command);
+            return command;
+        }
+        
+        canUndo() {
+            return this.done.length > 0;
+        }
+        
+        canRedo() {
+            return this.undone.length > 0;
+        }
+        
+        /**
+         * Label of the command undo would reverse, or null
+         */
+        nextUndo() {
+            return this.canUndo() ? this.done[this.done.length - 1].label : null;
+        }
+        
+        /**
+         * Label of the command redo would apply, or null
+         */
+        nextRedo() {
+            return this.canRedo() ? this.undone[this.undone.length - 1].label : null;
+        }
+        
+        clear() {
+            this.done = [];
+            this.undone = [];
+        }
+    }
+    
+    class CalculatorState {
+        /**
+         * Public methods that change the state, with the label undo and redo
+         * report for them
+         */
+        static get UNDOABLE_METHODS() {
+            return {
+                setMode: 'mode change',
+                setNumberMode: 'number mode change',
+                setFractionDisplay: 'fraction display change',
+                setDisplayFormat: 'notation change',
+                setSyntaxMode: 'syntax change',
+                setWordSize: 'word size change',
+                setSignedIntegers: 'signedness change',
+                updateInput: 'input',
+                applyOperator: 'operator',
+                calculate: 'calculation',
+                completeCalculation: 'calculation',
+                failCalculation: 'calculation',
+                memoryAdd: 'M+',
+                memorySubtract: 'M−',
+                memoryRecall: 'MR',
+                memoryClear: 'MC',
+                recallValue: 'recall',
+                recallHistoryEntry: 'history recall',
+                recallVariable: 'variable',
+                convertValue: 'unit conversion',
+                appendLetter: 'input',
+                appendSpace: 'input',
+                appendAssignment: 'assignment',
+                appendParenthesis: 'parenthesis',
+                appendFunction: 'function',
+                appendExponent: 'exponent',
+                appendHexDigit: 'input',
+                appendBasePrefix: 'base prefix',
+                enter: 'ENTER',
+                swap: 'swap',
+                roll: 'roll',
+                drop: 'drop',
+                duplicate: 'duplicate',
+                backspace: 'backspace',
+                clear: 'clear'
+            };
+        }
+        
+        constructor() {
+            this.mode = CONFIG.MODES.EXPRESSION;
+            this.numberMode = CONFIG.NUMBER_MODES.FLOAT;
+            this.fractionDisplay = CONFIG.FRACTION_DISPLAYS.FRACTION;
+            this.displayFormat = CONFIG.DISPLAY_FORMATS.AUTO;
+            this.syntaxMode = CONFIG.SYNTAX_MODES.IMPLICIT;
+            // Programmer mode integer width and two's complement sign
+            this.wordSize = CONFIG.DEFAULT_WORD_SIZE;
+            this.signedIntegers = true;
+            
+            // Variables and the memory register outlive clear(), like the
+            // memory of a pocket calculator; so does the history
+            this.variables = new VariableStore();
+            this.memory = null;
+            this.history = new CalculationHistory();
+            
+            // Explain mode: record a CalculationTrace for each calculation;
+            // lastTrace is the most recent one (kept when it failed)
+            this.explainCalculations = false;
+            this.lastTrace = null;
+            
+            this.reset();
+            
+            this.undoStack = new UndoStack();
+            this._mutationDepth = 0;
+            this._recordMutations();
+        }
+        
+        /**
+         * Wrap every method in UNDOABLE_METHODS so a call that changes the
+         * state becomes one undo command, even when it throws half way.
+         * Calls made from inside another (MR recalling a value) are part of
+         * the outer command.
+         * @private
+         */
+        _recordMutations() {
+            for (const [method, label] of Object.entries(CalculatorState.UNDOABLE_METHODS)) {
+                const mutation = this[method];
+                this[method] = (...args) => {
+                    if (this._mutationDepth > 0) {
+                        return mutation.apply(this, args);
+                    }
+                    
+                    const before = this.createSnapshot();
+                    this._mutationDepth++;
+                    try {
+                        return mutation.apply(this, args);
+                    } finally {
+                        this._mutationDepth--;
+                        const after = this.createSnapshot();
+                        if (!CalculatorState.sameSnapshot(before, after)) {
+                            this.undoStack.push({ label, before, after });
+                        }
+                    }
+                };
+            }
+        }
+        
+        /**
+         * Everything undo restores. The saved history is left out on
+         * purpose: a deleted entry must stay deleted on a shared machine.
+         * Number values are immutable, so copying the containers is enough.
+         */
+        createSnapshot() {
+            return {
+                mode: this.mode,
+                numberMode: this.numberMode,
+                fractionDisplay: this.fractionDisplay,
+                displayFormat: this.displayFormat,
+                syntaxMode: this.syntaxMode,
+                wordSize: this.wordSize,
+                signedIntegers: this.signedIntegers,
+                currentInput: this.currentInput,
+                previousInput: this.previousInput,
+                operator: this.operator,
+                shouldResetDisplay: this.shouldResetDisplay,
+                awaitingOperand: this.awaitingOperand,
+                lastCalculation: this.lastCalculation,
+                currentValue: this.currentValue,
+                currentUnit: this.currentUnit,
+                expression: this.expression,
+                stack: [...this.stack],
+                entryActive: this.entryActive,
+                memory: this.memory,
+                variables: new Map(this.variables.values)
+            };
+        }
+        
+        restoreSnapshot(snapshot) {
+            const { stack, variables, ...fields } = snapshot;
+            Object.assign(this, fields);
+            this.stack = [...stack];
+            this.variables.values = new Map(variables);
+        }
+        
+        static sameSnapshot(a, b) {
+            return Object.keys(a).every(key => {
+                if (key === 'stack') {
+                    return a.stack.length === b.stack.length &&
+                        a.stack.every((value, index) => value === b.stack[index]);
+                }
+                if (key === 'variables') {
+                    return a.variables.size === b.variables.size &&
+                        Array.from(a.variables).every(([name, value]) => b.variables.get(name) === value);
+                }
+                return a[key] === b[key];
+            });
+        }
+        
+        /**
+         * Reverse the last command
+         * @returns {string|null} - Its label, or null if there was nothing to undo
+         */
+        undo() {
+            const command = this.undoStack.undo();
+            if (!command) return null;
+            this.restoreSnapshot(command.before);
+            return command.label;
+        }
+        
+        /**
+         * Apply the last undone command again
+         * @returns {string|null} - Its label, or null if there was nothing to redo
+         */
+        redo() {
+            const command = this.undoStack.redo();
+            if (!command) return null;
+            this.restoreSnapshot(command.after);
+            return command.label;
+        }
+        
+        reset() {
+            this.currentInput = CONFIG.DEFAULT_DISPLAY_VALUE;
+            this.previousInput = '';
+            this.operator = null;
+            this.shouldResetDisplay = false;
+            // Basic mode: an operator was pressed and its second operand has
+            // not been typed or recalled yet
+            this.awaitingOperand = false;
+            this.lastCalculation = null;
+            // Result shown on the display, kept in its number type so it can
+            // be re-formatted (e.g. fraction vs. mixed number), and the unit
+            // it was converted to, if any
+            this.currentValue = null;
+            this.currentUnit = null;
+            
+            // Expression mode: the infix expression typed so far
+            this.expression = '';
+            
+            // RPN mode: operand stack (last element is level 1) and whether
+            // currentInput holds a number being typed that is not yet entered
+            this.stack = [];
+            this.entryActive = false;
+        }
+        
+        /**
+         * Switch entry mode; the calculator starts fresh in the new mode
+         */
+        setMode(mode) {
+            if (!Object.values(CONFIG.MODES).includes(mode)) {
+                throw new CalculatorError(
+                    `Unknown calculator mode: ${mode}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            this.mode = mode;
+            this.reset();
+        }
+        
+        isStackMode() {
+            return this.mode === CONFIG.MODES.RPN;
+        }
+        
+        isExpressionMode() {
+            return this.mode === CONFIG.MODES.EXPRESSION;
+        }
+        
+        /**
+         * Switch number type (floating point, exact decimal or fraction);
+         * values of different types cannot be mixed, so the calculator
+         * starts fresh
+         */
+        setNumberMode(numberMode) {
+            ArithmeticFactory.create(numberMode);
+            this.numberMode = numberMode;
+            this.variables.clear();
+            this.memory = null;
+            this.reset();
+        }
+        
+        /**
+         * Choose how fraction results are shown: "7/4", "1 3/4" or "1.75"
+         */
+        setFractionDisplay(display) {
+            if (!Object.values(CONFIG.FRACTION_DISPLAYS).includes(display)) {
+                throw new CalculatorError(
+                    `Unknown fraction display: ${display}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            this.fractionDisplay = display;
+        }
+        
+        /**
+         * Choose the notation for results: auto, fixed, scientific or
+         * engineering (see DisplayFormatter)
+         */
+        setDisplayFormat(format) {
+            new DisplayFormatter(format);
+            this.displayFormat = format;
+        }
+        
+        /**
+         * Allow implicit multiplication ("2(3+4)") or require every
+         * operator to be written (strict)
+         */
+        setSyntaxMode(mode) {
+            if (!Object.values(CONFIG.SYNTAX_MODES).includes(mode)) {
+                throw new CalculatorError(
+                    `Unknown syntax mode: ${mode}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            this.syntaxMode = mode;
+        }
+        
+        /**
+         * Programmer mode: choose the integer width in bits (one of
+         * CONFIG.WORD_SIZES). Values already entered are cut to the new
+         * width rather than cleared.
+         */
+        setWordSize(bits) {
+            new IntegerArithmetic(bits, this.signedIntegers);
+            this.wordSize = bits;
+            this._rewrapIntegers();
+        }
+        
+        /**
+         * Programmer mode: choose signed (two's complement) or unsigned
+         * integers; the bits of values already entered are kept
+         */
+        setSignedIntegers(signed) {
+            this.signedIntegers = signed !== false;
+            this._rewrapIntegers();
+        }
+        
+        isProgrammerMode() {
+            return this.numberMode === CONFIG.NUMBER_MODES.PROGRAMMER;
+        }
+        
+        /**
+         * Reinterpret every stored integer for the current word size and sign
+         * @private
+         */
+        _rewrapIntegers() {
+            if (!this.isProgrammerMode()) {
+                return;
+            }
+            
+            const math = this._createEngine().arithmetic;
+            const rewrap = value => (math.isValue(value) ? math.fromInteger(value) : value);
+            
+            this.stack = this.stack.map(rewrap);
+            this.variables.transform(rewrap);
+            if (this.memory !== null) {
+                this.memory = rewrap(this.memory);
+            }
+            if (this.currentValue !== null) {
+                this.currentValue = rewrap(this.currentValue);
+                this.currentInput = this.currentValue.toString();
+            }
+        }
+        
+        /**
+         * @private
+         */
+        _createEngine() {
+            return new CalculationEngine({ ...this.getEngineOptions(), variables: this.variables });
+        }
+        
+        /**
+         * The engine settings of the current modes
+         * @returns {Object} - { numberMode, wordSize, signed, syntaxMode }
+         */
+        getEngineOptions() {
+            return {
+                numberMode: this.numberMode,
+                wordSize: this.wordSize,
+                signed: this.signedIntegers,
+                syntaxMode: this.syntaxMode
+            };
+        }
+        
+        updateInput(value) {
+            if (this.isExpressionMode()) {
+                this._appendToExpression(value);
+                return;
+            }
+            
+            if (this.isStackMode()) {
+                this.entryActive = true;
+            }
+            this.currentValue = null;
+            this.awaitingOperand = false;
+            
+            // Handle decimal point
+            if (value === CONFIG.ACTIONS.DECIMAL) {
+                if (this.currentInput.includes('.')) {
+                    return; // Already has decimal point
+                }
+                this.currentInput += '.';
+                return;
+            }
+            
+            // Handle number input
+            if (this.currentInput === CONFIG.DEFAULT_DISPLAY_VALUE || this.shouldResetDisplay) {
+                this.currentInput = value;
+                this.shouldResetDisplay = false;
+            } else if (this.currentInput.length < CONFIG.MAX_DISPLAY_LENGTH) {
+                this.currentInput += value;
+            }
+        }
+        
+        applyOperator(op) {
+            if (this.isStackMode()) {
+                this._applyStackOperator(op);
+                return;
+            }
+            
+            if (this.isExpressionMode()) {
+                if (OperationFactory.isPostfixOperator(op)) {
+                    this._appendPostfixOperator(op);
+                } else if (OperationFactory.isUnaryOperator(op)) {
+                    this._appendPrefixOperator(op);
+                } else {
+                    this._appendOperator(op);
+                }
+                return;
+            }
+            
+            if (OperationFactory.isPostfixOperator(op)) {
+                this._applyPostfixOperator(op);
+                return;
+            }
+            
+            if (this.operator && !this.awaitingOperand) {
+                // Calculate existing operation first
+                this.calculate();
+            }
+            
+            if (OperationFactory.isUnaryOperator(op)) {
+                this._applyPrefixOperator(op);
+                return;
+            }
+            
+            this.previousInput = this.currentInput;
+            this.operator = op;
+            this.shouldResetDisplay = true;
+            this.awaitingOperand = true;
+        }
+        
+        calculate() {
+            if (this.isStackMode()) {
+                this.enter();
+                return;
+            }
+            
+            const expression = this.getPendingCalculation();
+            if (expression === null) {
+                return;
+            }
+            
+            try {
+                this.completeCalculation(expression, this._evaluate(expression));
+            } catch (error) {
+                this.failCalculation();
+                throw error;
+            }
+        }
+        
+        /**
+         * The expression "=" would calculate, or null when there is nothing
+         * to calculate (RPN mode works on the stack instead)
+         */
+        getPendingCalculation() {
+            if (this.isStackMode()) {
+                return null;
+            }
+            if (this.isExpressionMode()) {
+                return this.shouldResetDisplay || this.expression === '' ? null : this._closeExpression();
+            }
+            if (!this.operator || !this.previousInput) {
+                return null;
+            }
+            return this._asOperand(this.previousInput) + this._operatorText(this.operator) + this._asOperand(this.currentInput);
+        }
+        
+        /**
+         * Show the result of a calculation and record it, storing any
+         * variables it assigned (calculations run elsewhere, such as in the
+         * engine worker, report them this way)
+         * @param {string} expression
+         * @param {Object} outcome - { value, unit, assignments } where
+         *   assignments is a list of [name, value] pairs
+         */
+        completeCalculation(expression, { value, unit = null, assignments = [] }) {
+            assignments.forEach(([name, stored]) => this.variables.set(name, stored));
+            this._recordCalculation(expression, value);
+            
+            this.currentInput = value.toString();
+            this.currentValue = value;
+            this.currentUnit = unit;
+            this.operator = null;
+            this.previousInput = '';
+            this.shouldResetDisplay = true;
+        }
+        
+        /**
+         * Show a failed calculation as an error
+         */
+        failCalculation() {
+            this.currentInput = CONFIG.ERROR_MESSAGE;
+            this.operator = null;
+            this.previousInput = '';
+            this.shouldResetDisplay = true;
+        }
+        
+        /**
+         * Calculate an expression, recording its trace in explain mode
+         * @private
+         */
+        _evaluate(expression) {
+            const engine = this._createEngine();
+            if (!this.explainCalculations) {
+                return engine.calculateWithUnit(expression);
+            }
+            
+            const trace = engine.explain(expression);
+            this.lastTrace = trace;
+            if (trace.error) {
+                throw trace.error;
+            }
+            return { value: trace.value, unit: trace.unit };
+        }
+        
+        /**
+         * Turn explain mode on or off. Not an undoable change: it only
+         * decides what later calculations record.
+         */
+        setExplainCalculations(enabled) {
+            this.explainCalculations = Boolean(enabled);
+            if (!this.explainCalculations) {
+                this.lastTrace = null;
+            }
+        }
+        
+        /**
+         * @returns {CalculationTrace|null} - The trace of the last explained
+         *   calculation
+         */
+        getLastTrace() {
+            return this.lastTrace;
+        }
+        
+        /**
+         * M+: add the displayed value to memory
+         */
+        memoryAdd() {
+            const value = this._displayedValue();
+            const math = this._createEngine().arithmetic;
+            this.memory = math.check(this.memory === null ? value : math.add(this.memory, value));
+        }
+        
+        /**
+         * M−: subtract the displayed value from memory
+         */
+        memorySubtract() {
+            const value = this._displayedValue();
+            const math = this._createEngine().arithmetic;
+            this.memory = math.check(math.subtract(this.memory === null ? math.fromNumber(0) : this.memory, value));
+        }
+        
+        /**
+         * MR: use the memory value as the next operand
+         */
+        memoryRecall() {
+            if (this.memory === null) {
+                throw new CalculatorError(
+                    'Memory is empty',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            this.recallValue(this.memory.toString(), this.memory);
+        }
+        
+        /**
+         * MC: empty the memory register
+         */
+        memoryClear() {
+            this.memory = null;
+        }
+        
+        hasMemory() {
+            return this.memory !== null;
+        }
+        
+        /**
+         * Use a stored value as the next operand: expression mode inserts
+         * `text` (a number or variable name), basic mode shows the value as
+         * the current entry and RPN mode pushes it onto the stack
+         */
+        recallValue(text, value) {
+            if (this.isExpressionMode()) {
+                this._appendOperand(text);
+                return;
+            }
+            
+            if (this.isStackMode()) {
+                this._commitEntry();
+                this.stack.push(value);
+                return;
+            }
+            
+            this.currentInput = value.toString();
+            this.currentValue = value;
+            this.currentUnit = null;
+            this.shouldResetDisplay = true;
+            this.awaitingOperand = false;
+        }
+        
+        /**
+         * Convert the displayed value between two units of one dimension
+         * ("km" to "mi"), as if "<value> km to mi" had been calculated. A
+         * typed expression becomes the value ("(2+3) km to mi"); in RPN mode
+         * level 1 is replaced.
+         */
+        convertValue(from, to) {
+            const typing = this.isExpressionMode() && !this.shouldResetDisplay && this.expression !== '';
+            const operand = this._asOperand(typing ? this._closeExpression() : this._displayedValue().toString());
+            const expression = `${operand} ${from} ${CONFIG.CONVERSION_KEYWORDS[0]} ${to}`;
+            const { value: result, unit } = this._evaluate(expression);
+            
+            this._recordCalculation(expression, result);
+            if (this.isStackMode()) {
+                this.stack.splice(-1, 1, result);
+                return;
+            }
+            
+            if (this.isExpressionMode()) {
+                this.expression = expression;
+            }
+            this.currentInput = result.toString();
+            this.currentValue = result;
+            this.currentUnit = unit;
+            this.shouldResetDisplay = true;
+            this.awaitingOperand = false;
+        }
+        
+        /**
+         * Use the result of a history entry as the next operand, converted
+         * to the current number mode
+         */
+        recallHistoryEntry(id) {
+            const entry = this.history.get(id);
+            if (!entry) {
+                throw new CalculatorError(
+                    'History entry not found',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            const value = this._createEngine().calculate(entry.result);
+            this.recallValue(value.toString(), value);
+        }
+        
+        /**
+         * Use a variable (or `ans`) as the next operand
+         */
+        recallVariable(name) {
+            if (!this.variables.has(name)) {
+                throw new CalculatorError(
+                    name === CONFIG.ANSWER_VARIABLE ? 'No previous result for ans yet' : `Unknown variable: ${name}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            this.recallValue(name, this.variables.get(name));
+        }
+        
+        /**
+         * Expression mode: type a letter of a variable or function name. An
+         * "e" right after a number's digits starts its exponent instead, and
+         * "a" to "f" inside a 0x literal are hex digits.
+         */
+        appendLetter(letter) {
+            if (!this.isExpressionMode()) {
+                throw new CalculatorError(
+                    'Names are only available in expression mode',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            const name = letter.toLowerCase();
+            if (/^[a-f]$/.test(name) && this._inHexLiteral()) {
+                this.appendHexDigit(name);
+                return;
+            }
+            if (name === CONFIG.EXPONENT_MARKER && this._canStartExponent()) {
+                this.appendExponent();
+                return;
+            }
+            this._startNewExpressionIfNeeded();
+            this._appendText(name);
+        }
+        
+        /**
+         * Expression mode: type a space, e.g. between a value and its unit
+         * in "5 km to mi"; ignored at the start and after another space
+         */
+        appendSpace() {
+            if (!this.isExpressionMode()) {
+                throw new CalculatorError(
+                    'Spaces are only available in expression mode',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            if (!this.shouldResetDisplay && this.expression !== '' && !this.expression.endsWith(' ')) {
+                this._appendText(' ');
+            }
+        }
+        
+        /**
+         * Expression mode: whether "=" would make the expression an
+         * assignment, i.e. it is a bare variable name so far
+         */
+        canAssign() {
+            if (!this.isExpressionMode() || this.shouldResetDisplay) {
+                return false;
+            }
+            const name = this.expression.trim();
+            return /^[a-z][a-z0-9]*$/.test(name) &&
+                name !== CONFIG.ANSWER_VARIABLE &&
+                !FunctionRegistry.has(name);
+        }
+        
+        /**
+         * Expression mode: turn "x" into "x=" to start an assignment
+         */
+        appendAssignment() {
+            if (!this.canAssign()) {
+                throw new CalculatorError(
+                    'Type a variable name before "="',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            this._appendText(CONFIG.ASSIGNMENT_OPERATOR);
+        }
+        
+        /**
+         * The value on display, evaluating a typed expression first
+         * @private
+         */
+        _displayedValue() {
+            if (this.isStackMode()) {
+                this._commitEntry();
+                this._requireStackDepth(1);
+                return this.stack[this.stack.length - 1];
+            }
+            
+            if (this.isExpressionMode() && !this.shouldResetDisplay && this.expression !== '') {
+                this.calculate();
+            }
+            if (this.currentValue !== null) {
+                return this.currentValue;
+            }
+            
+            const engine = this._createEngine();
+            this.shouldResetDisplay = true;
+            return engine.parseNumber(this.isExpressionMode() ? CONFIG.DEFAULT_DISPLAY_VALUE : this.currentInput);
+        }
+        
+        /**
+         * Expression mode: add a complete operand (number or name) where one
+         * can start; ignored after another operand
+         * @private
+         */
+        _appendOperand(text) {
+            this._startNewExpressionIfNeeded();
+            if (this._expectsOperand()) {
+                this._appendText(/^[a-z0-9.]+$/.test(text) ? text : `(${text})`);
+            }
+        }
+        
+        /**
+         * Expression mode: whether the expression ends with the digits of a
+         * number that has no exponent yet
+         * @private
+         */
+        _canStartExponent() {
+            const currentNumber = this._currentNumber();
+            const before = this.expression.slice(0, this.expression.length - currentNumber.length);
+            return /[0-9]/.test(currentNumber) &&
+                !currentNumber.includes(CONFIG.EXPONENT_MARKER) &&
+                !/[a-z]$/i.test(before);
+        }
+        
+        /**
+         * Expression mode: whether the expression ends inside a 0x literal
+         * @private
+         */
+        _inHexLiteral() {
+            return /(?:^|[^0-9a-z.])0x[0-9a-f]*$/i.test(this.expression);
+        }
+        
+        /**
+         * Expression mode: add a hex digit A to F. Outside a 0x literal it
+         * starts one where an operand can start; after another operand it
+         * is ignored.
+         */
+        appendHexDigit(digit) {
+            if (!this.isExpressionMode()) {
+                throw new CalculatorError(
+                    'Hex digits are only available in expression mode',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            const text = String(digit).toUpperCase();
+            if (!/^[A-F]$/.test(text)) {
+                throw new CalculatorError(
+                    `Invalid hex digit: ${digit}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            this._startNewExpressionIfNeeded();
+            if (this._inHexLiteral()) {
+                this._appendText(text);
+            } else if (this._expectsOperand()) {
+                this._appendText(`0x${text}`);
+            }
+        }
+        
+        /**
+         * Expression mode: start a hex, octal or binary literal ("0x", "0o"
+         * or "0b") where an operand can start
+         */
+        appendBasePrefix(prefix) {
+            if (!this.isExpressionMode()) {
+                throw new CalculatorError(
+                    'Base prefixes are only available in expression mode',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            const text = String(prefix).toLowerCase();
+            if (!/^0[xob]$/.test(text)) {
+                throw new CalculatorError(
+                    `Invalid base prefix: ${prefix}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            this._startNewExpressionIfNeeded();
+            if (this._expectsOperand()) {
+                this._appendText(text);
+            }
+        }
+        
+        /**
+         * Expression mode: add '(' or ')' to the expression. A closing
+         * parenthesis is only accepted where it closes a complete group.
+         */
+        appendParenthesis(paren) {
+            if (!this.isExpressionMode()) {
+                throw new CalculatorError(
+                    'Parentheses are only available in expression mode',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            if (paren === CONFIG.ACTIONS.OPEN_PAREN) {
+                this._startNewExpressionIfNeeded();
+                this._appendText('(');
+                return;
+            }
+            
+            const last = this.expression.slice(-1);
+            if (this._countOpenParentheses() > 0 && last !== '(' && !this._endsWithOperator()) {
+                this._appendText(')');
+            }
+        }
+        
+        /**
+         * Expression mode: add a named function call such as "sqrt("
+         */
+        appendFunction(name) {
+            if (!this.isExpressionMode()) {
+                throw new CalculatorError(
+                    'Functions are only available in expression mode',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            FunctionRegistry.get(name);
+            this._startNewExpressionIfNeeded();
+            this._appendText(`${name}(`);
+        }
+        
+        /**
+         * Expression mode: add a digit or decimal point to the number being
+         * typed at the end of the expression
+         * @private
+         */
+        _appendToExpression(value) {
+            this._startNewExpressionIfNeeded();
+            const currentNumber = this._currentNumber();
+            
+            if (value === CONFIG.ACTIONS.DECIMAL) {
+                if (!currentNumber.includes('.') && !currentNumber.includes(CONFIG.EXPONENT_MARKER)) {
+                    this._appendText(currentNumber === '' ? '0.' : '.');
+                }
+                return;
+            }
+            
+            if (currentNumber === '0') {
+                this.expression = this.expression.slice(0, -1);
+            } else if (currentNumber.length >= CONFIG.MAX_DISPLAY_LENGTH) {
+                return;
+            }
+            this._appendText(value);
+        }
+        
+        /**
+         * Expression mode: start the exponent of the number being typed
+         * ("6.02" becomes "6.02e"); ignored when there is no mantissa yet or
+         * it already has an exponent
+         */
+        appendExponent() {
+            if (!this.isExpressionMode()) {
+                throw new CalculatorError(
+                    'Exponent entry is only available in expression mode',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            this._startNewExpressionIfNeeded();
+            if (this._canStartExponent()) {
+                this._appendText(CONFIG.EXPONENT_MARKER);
+            }
+        }
+        
+        /**
+         * Expression mode: the number literal at the end of the expression,
+         * including a partly typed exponent ("6.02e-")
+         * @private
+         */
+        _currentNumber() {
+            return /[0-9.]*(?:e[+-]?[0-9]*)?$/.exec(this.expression)[0];
+        }
+        
+        /**
+         * Expression mode: add a binary operator. Pressing another operator
+         * replaces the previous one, except that '-' after an operator or
+         * '(' starts a negative number.
+         * @private
+         */
+        _appendOperator(op) {
+            this._continueFromResult();
+            
+            const isMinus = op === CONFIG.OPERATORS.SUBTRACT;
+            
+            if (this.expression === '') {
+                this._appendText(isMinus ? op : CONFIG.DEFAULT_DISPLAY_VALUE + this._operatorText(op));
+                return;
+            }
+            
+            if (this.expression.endsWith('(') || this.expression.endsWith(CONFIG.ASSIGNMENT_OPERATOR)) {
+                if (isMinus) this._appendText(op);
+                return;
+            }
+            
+            if (this.expression.endsWith(CONFIG.EXPONENT_MARKER)) {
+                // A sign right after "e" belongs to the exponent; any other
+                // operator drops the unfinished exponent
+                if (isMinus || op === CONFIG.OPERATORS.ADD) {
+                    this._appendText(op);
+                    return;
+                }
+                this.expression = this.expression.slice(0, -1);
+            }
+            
+            if (this._endsWithOperator()) {
+                if (isMinus && !this.expression.endsWith(op)) {
+                    this._appendText(op);
+                    return;
+                }
+                
+                const trimmed = this._stripTrailingOperators();
+                if (trimmed === '' || trimmed.endsWith('(')) {
+                    return;
+                }
+                this.expression = trimmed;
+            }
+            
+            this._appendText(this._operatorText(op));
+        }
+        
+        /**
+         * Expression mode: after a result is shown, make it the start of the
+         * next expression
+         * @private
+         */
+        _continueFromResult() {
+            if (this.shouldResetDisplay) {
+                this.expression = this.currentValue !== null ? this._asOperand(this.currentInput) : '';
+                this.shouldResetDisplay = false;
+                this.currentValue = null;
+            }
+        }
+        
+        /**
+         * Expression mode: add a postfix operator after a complete operand
+         * ("10%"); ignored where an operand must start
+         * @private
+         */
+        _appendPostfixOperator(op) {
+            this._continueFromResult();
+            if (!this._expectsOperand() && !this.expression.endsWith(CONFIG.EXPONENT_MARKER)) {
+                this._appendText(op);
+            }
+        }
+        
+        /**
+         * Expression mode: add a prefix operator where an operand can start;
+         * ignored after a complete operand
+         * @private
+         */
+        _appendPrefixOperator(op) {
+            this._startNewExpressionIfNeeded();
+            if (this._expectsOperand()) {
+                this._appendText(op);
+            }
+        }
+        
+        /**
+         * Basic mode: apply a prefix operator to the displayed number at once
+         * @private
+         */
+        _applyPrefixOperator(op) {
+            try {
+                const expression = op + this._asOperand(this.currentInput);
+                const result = this._createEngine().calculate(expression);
+                
+                this._recordCalculation(expression, result);
+                this.currentInput = result.toString();
+                this.currentValue = result;
+                this.currentUnit = null;
+                this.shouldResetDisplay = true;
+            } catch (error) {
+                this.currentInput = CONFIG.ERROR_MESSAGE;
+                this.shouldResetDisplay = true;
+                throw error;
+            }
+        }
+        
+        /**
+         * Basic mode: apply a postfix operator at once, to the pending
+         * calculation when its second number has been typed ("200 + 10 %"
+         * shows 220) and otherwise to the displayed number
+         * @private
+         */
+        _applyPostfixOperator(op) {
+            if (this.operator && this.awaitingOperand) {
+                return;
+            }
+            
+            try {
+                const pending = this.operator
+                    ? this._asOperand(this.previousInput) + this._operatorText(this.operator)
+                    : '';
+                const expression = pending + this._asOperand(this.currentInput) + op;
+                const result = this._createEngine().calculate(expression);
+                
+                this._recordCalculation(expression, result);
+                this.currentInput = result.toString();
+                this.currentValue = result;
+                this.currentUnit = null;
+                this.operator = null;
+                this.previousInput = '';
+                this.shouldResetDisplay = true;
+            } catch (error) {
+                this.currentInput = CONFIG.ERROR_MESSAGE;
+                this.operator = null;
+                this.previousInput = '';
+                this.shouldResetDisplay = true;
+                throw error;
+            }
+        }
+        
+        /**
+         * Expression mode: whether the next token must start an operand
+         * @private
+         */
+        _expectsOperand() {
+            return this.expression === '' ||
+                this.expression.endsWith('(') ||
+                this.expression.endsWith(CONFIG.ASSIGNMENT_OPERATOR) ||
+                this._endsWithOperator();
+        }
+        
+        /**
+         * Expression mode: start over after a result or error is shown
+         * @private
+         */
+        _startNewExpressionIfNeeded() {
+            if (this.shouldResetDisplay) {
+                this.expression = '';
+                this.shouldResetDisplay = false;
+                this.currentValue = null;
+            }
+        }
+        
+        /**
+         * @private
+         */
+        _appendText(text) {
+            if (this.expression.length + text.length > CONFIG.MAX_EXPRESSION_LENGTH) {
+                throw new CalculatorError(
+                    `Expression is limited to ${CONFIG.MAX_EXPRESSION_LENGTH} characters`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            this.expression += text;
+        }
+        
+        /**
+         * @private
+         */
+        _endsWithOperator() {
+            return this._trailingOperator(this.expression) !== null;
+        }
+        
+        /**
+         * The operator the text ends with, longest match first, as it was
+         * written (word operators with their spaces). A postfix operator
+         * completes its operand ("10%"), so it does not count.
+         * @private
+         */
+        _trailingOperator(text) {
+            for (const symbol of OperationFactory.getSymbols()) {
+                if (OperationFactory.isPostfixOperator(symbol)) {
+                    continue;
+                }
+                const written = this._operatorText(symbol);
+                if (text.endsWith(written)) {
+                    return written;
+                }
+            }
+            return null;
+        }
+        
+        /**
+         * An operator as it is written into an expression: word operators
+         * get spaces so they stay apart from names ("5 xor 3")
+         * @private
+         */
+        _operatorText(op) {
+            return OperationFactory.isWordOperator(op) ? ` ${op} ` : op;
+        }
+        
+        /**
+         * The expression without its trailing operators or exponent sign
+         * ("2*-" and "6e-" become "2" and "6")
+         * @private
+         */
+        _stripTrailingOperators() {
+            let text = this.expression.replace(/e[+-]$/, '');
+            let symbol = this._trailingOperator(text);
+            while (symbol !== null) {
+                text = text.slice(0, -symbol.length);
+                symbol = this._trailingOperator(text);
+            }
+            return text;
+        }
+        
+        /**
+         * @private
+         */
+        _countOpenParentheses() {
+            let open = 0;
+            for (const char of this.expression) {
+                if (char === '(') open++;
+                if (char === ')') open--;
+            }
+            return open;
+        }
+        
+        /**
+         * The typed expression with any unclosed parentheses closed
+         * @private
+         */
+        _closeExpression() {
+            return this.expression + ')'.repeat(Math.max(0, this._countOpenParentheses()));
+        }
+        
+        /**
+         * Parenthesize previous results such as "-5" or "1/2" so they stay
+         * a single operand next to the operator
+         * @private
+         */
+        _asOperand(input) {
+            return /^[0-9.]+$/.test(input) ? input : `(${input})`;
+        }
+        
+        /**
+         * Record a finished calculation in history
+         * @private
+         */
+        _recordCalculation(expression, result) {
+            this.variables.setAnswer(result);
+            this.history.add(expression, result, this.mode);
+            
+            this.lastCalculation = {
+                expression,
+                result
+            };
+        }
+        
+        /**
+         * RPN ENTER: push the typed number, or duplicate level 1 when
+         * nothing is being typed (HP calculator behaviour)
+         */
+        enter() {
+            if (this.entryActive) {
+                this._commitEntry();
+            } else {
+                this.duplicate();
+            }
+        }
+        
+        /**
+         * RPN: exchange levels 1 and 2
+         */
+        swap() {
+            this._commitEntry();
+            this._requireStackDepth(2);
+            const x = this.stack.pop();
+            const y = this.stack.pop();
+            this.stack.push(x, y);
+        }
+        
+        /**
+         * RPN: roll the stack down, moving level 1 to the deepest level
+         */
+        roll() {
+            this._commitEntry();
+            this._requireStackDepth(1);
+            this.stack.unshift(this.stack.pop());
+        }
+        
+        /**
+         * RPN: discard the number being typed, or level 1 of the stack
+         */
+        drop() {
+            if (this.entryActive) {
+                this._resetEntry();
+                return;
+            }
+            this._requireStackDepth(1);
+            this.stack.pop();
+        }
+        
+        /**
+         * RPN: push a copy of level 1
+         */
+        duplicate() {
+            this._commitEntry();
+            this._requireStackDepth(1);
+            this.stack.push(this.stack[this.stack.length - 1]);
+        }
+        
+        /**
+         * RPN: apply an operator straight to the top of the stack.
+         * The stack is only changed once the operation has succeeded.
+         * @private
+         */
+        _applyStackOperator(op) {
+            this._commitEntry();
+            
+            if (OperationFactory.isPostfixOperator(op)) {
+                this._applyStackPercent(op);
+                return;
+            }
+            
+            const operation = OperationFactory.createOperation(op);
+            this._requireStackDepth(operation.arity);
+            
+            const operands = this.stack.slice(-operation.arity);
+            const engine = this._createEngine();
+            const result = engine.evaluateRPN([...operands, op]);
+            
+            this.stack.splice(-operation.arity, operation.arity, result);
+            this._recordCalculation([...operands, op].join(' '), result);
+        }
+        
+        /**
+         * RPN percent as on desk calculators: level 1 percent of level 2
+         * (x·y/100) replaces level 1, and the base stays on level 2, so
+         * 200 ENTER 10 % leaves 200 and 20
+         * @private
+         */
+        _applyStackPercent(op) {
+            this._requireStackDepth(2);
+            
+            const [base, percent] = this.stack.slice(-2);
+            const result = this._createEngine().evaluateRPN([base, percent, op, CONFIG.OPERATORS.MULTIPLY]);
+            
+            this.stack.splice(-1, 1, result);
+            this._recordCalculation([base, percent, op].join(' '), result);
+        }
+        
+        /**
+         * Push the number being typed onto the stack
+         * @private
+         */
+        _commitEntry() {
+            if (!this.entryActive) {
+                return;
+            }
+            
+            this.stack.push(this._createEngine().parseNumber(this.currentInput));
+            this._resetEntry();
+        }
+        
+        /**
+         * @private
+         */
+        _resetEntry() {
+            this.currentInput = CONFIG.DEFAULT_DISPLAY_VALUE;
+            this.entryActive = false;
+        }
+        
+        /**
+         * @private
+         */
+        _requireStackDepth(depth) {
+            if (this.stack.length < depth) {
+                throw new CalculatorError(
+                    'Insufficient operands',
+                    CalculatorError.ERROR_TYPES.SYNTAX_ERROR
+                );
+            }
+        }
+        
+        backspace() {
+            if (this.isExpressionMode()) {
+                if (this.shouldResetDisplay) {
+                    this._startNewExpressionIfNeeded();
+                    return;
+                }
+                // A word operator goes as a whole
+                const trailing = this._trailingOperator(this.expression);
+                const length = trailing !== null && trailing.endsWith(' ') ? trailing.length : 1;
+                this.expression = this.expression.slice(0, -length);
+                return;
+            }
+            
+            this.currentValue = null;
+            if (this.currentInput.length > 1) {
+                this.currentInput = this.currentInput.slice(0, -1);
+            } else {
+                this.currentInput = CONFIG.DEFAULT_DISPLAY_VALUE;
+            }
+        }
+        
+        clear() {
+            this.reset();
+        }
+        
+        getDisplayValue() {
+            if (this.isStackMode() && !this.entryActive) {
+                return this.stack.length > 0
+                    ? this.formatValue(this.stack[this.stack.length - 1])
+                    : CONFIG.DEFAULT_DISPLAY_VALUE;
+            }
+            if (this.currentValue !== null) {
+                const text = this.formatValue(this.currentValue);
+                return this.currentUnit ? `${text} ${this.currentUnit}` : text;
+            }
+            if (this.isExpressionMode() && !this.shouldResetDisplay) {
+                return this.expression || CONFIG.DEFAULT_DISPLAY_VALUE;
+            }
+            return this.currentInput;
+        }
+        
+        /**
+         * Format a value of any number type for display
+         */
+        formatValue(value) {
+            if (typeof value === 'bigint') {
+                // Machine integers are always shown with every digit
+                return value.toString();
+            }
+            if (value instanceof Fraction) {
+                switch (this.fractionDisplay) {
+                    case CONFIG.FRACTION_DISPLAYS.MIXED:
+                        return value.toMixedString();
+                    case CONFIG.FRACTION_DISPLAYS.DECIMAL:
+                        return this._formatNumber(value.toDecimal(CONFIG.MAX_DISPLAY_LENGTH));
+                    default:
+                        return value.toString();
+                }
+            }
+            return this._formatNumber(value);
+        }
+        
+        /**
+         * @private
+         */
+        _formatNumber(value) {
+            return new DisplayFormatter(this.displayFormat).formatValue(value);
+        }
+        
+        /**
+         * Get RPN stack levels, level 1 first
+         */
+        getStack() {
+            return [...this.stack].reverse();
+        }
+        
+        /**
+         * Programmer mode: the displayed value in hex, decimal, octal and
+         * binary, or null outside programmer mode or while the display holds
+         * no complete number
+         * @returns {{hex: string, dec: string, oct: string, bin: string}|null}
+         */
+        getIntegerBases() {
+            if (!this.isProgrammerMode()) {
+                return null;
+            }
+            
+            const math = this._createEngine().arithmetic;
+            let value;
+            try {
+                value = this._peekIntegerValue(math);
+            } catch (error) {
+                return null;
+            }
+            if (value === null) {
+                return null;
+            }
+            
+            const bases = CONFIG.INTEGER_BASES;
+            return {
+                hex: math.formatInBase(value, bases.HEX),
+                dec: math.formatInBase(value, bases.DEC),
+                oct: math.formatInBase(value, bases.OCT),
+                bin: math.formatInBase(value, bases.BIN)
+            };
+        }
+        
+        /**
+         * The value on display without evaluating anything; in expression
+         * mode the number literal being typed
+         * @private
+         */
+        _peekIntegerValue(math) {
+            if (this.isStackMode() && !this.entryActive) {
+                return this.stack.length > 0 ? this.stack[this.stack.length - 1] : math.fromInteger(0n);
+            }
+            if (this.currentValue !== null) {
+                return this.currentValue;
+            }
+            if (this.isExpressionMode() && !this.shouldResetDisplay) {
+                if (this.expression === '') {
+                    return math.fromInteger(0n);
+                }
+                const literal = /(?:^|[^0-9a-z.])(0[xob][0-9a-f]+|[0-9]+)$/i.exec(this.expression);
+                return literal ? math.parse(literal[1]) : null;
+            }
+            return math.parse(this.currentInput);
+        }
+        
+        getHistory() {
+            return this.history.getEntries();
+        }
+        
+        getLastCalculation() {
+            return this.lastCalculation ? { ...this.lastCalculation } : null;
+        }
+    }
+    
+    /**
+     * =========================================================================
+     * 10. CALCULATOR UI CONTROLLER
+     * =========================================================================
+     */
+    
+    /**
+     * Handlers for the calculator's events (CONFIG.CALCULATOR_EVENTS). A
+     * failing handler is logged and does not stop the others or the
+     * calculator.
+     */
+    class CalculatorEventEmitter {
+        constructor() {
+            this.handlers = new Map();
+        }
+        
+        static validateEvent(event) {
+            if (!Object.values(CONFIG.CALCULATOR_EVENTS).includes(event)) {
+                throw new CalculatorError(
+                    `Unknown calculator event: ${event}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+        }
+        
+        /**
+         * @param {string} event - One of CONFIG.CALCULATOR_EVENTS
+         * @param {Function} handler - Called with the event's detail object
+         * @returns {Function} - Unsubscribes the handler
+         */
+        on(event, handler) {
+            CalculatorEventEmitter.validateEvent(event);
+            if (typeof handler !== 'function') {
+                throw new CalculatorError(
+                    'Event handler must be a function',
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            
+            if (!this.handlers.has(event)) {
+                this.handlers.set(event, new Set());
+            }
+            // Wrapped so the same function can be subscribed twice and each
+            // handle removes only its own subscription
+            const subscription = (detail) => handler(detail);
+            this.handlers.get(event).add(subscription);
+            return () => this.handlers.get(event).delete(subscription);
+        }
+        
+        emit(event, detail) {
+            // A copy, so handlers may unsubscribe while being called
+            for (const handler of Array.from(this.handlers.get(event) || [])) {
+                try {
+                    handler({ type: event, ...detail });
+                } catch (error) {
+                    console.error(`Calculator ${event} handler failed:`, error);
+                }
+            }
+        }
+        
+        /**
+         * Number of handlers for an event, or for all events
+         */
+        count(event) {
+            if (event !== undefined) {
+                return this.handlers.get(event)?.size || 0;
+            }
+            return Array.from(this.handlers.values()).reduce((sum, handlers) => sum + handlers.size, 0);
+        }
+    }
+    
+    // Module-level so handlers subscribed before the calculator starts
+    // (OnionForgeCalculator.on) are already in place when it does
+    const calculatorEvents = new CalculatorEventEmitter();
+    
+    class CalculatorUIController {
+        constructor() {
+            this.state = new CalculatorState();
+            this.engine = new CalculationEngine();
+            
+            // DOM Elements
+            this.displayElement = null;
+            this.historyElement = null;
+            this.statusElement = null;
+            this.stackElement = null;
+            this.modeButtons = [];
+            this.stackKeysElement = null;
+            this.expressionKeysElement = null;
+            this.customKeysElement = null;
+            this.memoryIndicator = null;
+            this.variablesElement = null;
+            this.equalsButton = null;
+            this.numberModeSelect = null;
+            this.fractionDisplaySelect = null;
+            this.displayFormatSelect = null;
+            this.syntaxModeSelect = null;
+            this.wordSizeSelect = null;
+            this.signednessSelect = null;
+            this.basesElement = null;
+            this.programmerKeysElement = null;
+            this.hexKeysElement = null;
+            this.converterElement = null;
+            this.unitDimensionSelect = null;
+            this.unitFromSelect = null;
+            this.unitToSelect = null;
+            this.historyPanel = null;
+            this.historyList = null;
+            this.historySearch = null;
+            this.historyPersistToggle = null;
+            this.historyClearButton = null;
+            this.historyEmptyMessage = null;
+            this.historyFormula = null;
+            this.undoButton = null;
+            this.redoButton = null;
+            this.explainToggle = null;
+            this.explainBody = null;
+            this.explainSteps = null;
+            this.explainMessage = null;
+            this.explainButtons = [];
+            
+            // Explain mode playback: the trace on screen, the highlighted
+            // step and the Play timer
+            this.explainTrace = null;
+            this.explainIndex = 0;
+            this.explainTimer = null;
+            
+            // Background evaluation: the worker client when it is on, the
+            // calculation waiting for it and the timeout it uses
+            this.evaluationSelect = null;
+            this.engineWorker = null;
+            this.backgroundRequest = null;
+            this.evaluationTimeout = CONFIG.EVALUATION_TIMEOUT;
+            
+            // Subscriptions of other page components (see on()) and the
+            // calculation last reported to them as a result
+            this.events = calculatorEvents;
+            this.reportedCalculation = null;
+            
+            // Event handling
+            this.buttonHandlers = new Map();
+            this.keyboardHandlers = new Map();
+            // Ctrl (Cmd on macOS) shortcuts, keyed like "Shift+z"
+            this.shortcutHandlers = new Map();
+            
+            this.initialize();
+        }
+        
+        /**
+         * Initialize calculator UI
+         */
+        initialize() {
+            this.cacheDomElements();
+            this.bindEventListeners();
+            this.setupKeyboardSupport();
+            this.connectPreferences();
+            this.registerWithApp();
+            this.renderCustomOperators();
+            this.renderUnitPicker();
+            this.renderHistoryPanel();
+            this.updateModeControls();
+            this.updateDisplay();
+            this.updateStatus('Ready. All calculations happen locally in your browser.');
+        }
+        
+        /**
+         * Cache DOM elements for performance
+         */
+        cacheDomElements() {
+            this.displayElement = document.getElementById('display');
+            this.historyElement = document.getElementById('calc-history');
+            this.statusElement = document.getElementById('calc-status');
+            this.stackElement = document.getElementById('calc-stack');
+            this.modeButtons = Array.from(document.querySelectorAll('.calc-mode-btn'));
+            this.stackKeysElement = document.querySelector('.calc-stack-keys');
+            this.expressionKeysElement = document.querySelector('.calc-expression-keys');
+            this.customKeysElement = document.querySelector('.calc-custom-keys');
+            this.memoryIndicator = document.getElementById('calc-memory');
+            this.variablesElement = document.getElementById('calc-variables');
+            this.equalsButton = document.querySelector('.calc-btn[data-action="="]');
+            this.numberModeSelect = document.getElementById('calc-number-mode');
+            this.fractionDisplaySelect = document.getElementById('calc-fraction-display');
+            this.displayFormatSelect = document.getElementById('calc-display-format');
+            this.syntaxModeSelect = document.getElementById('calc-syntax-mode');
+            this.evaluationSelect = document.getElementById('calc-evaluation');
+            this.wordSizeSelect = document.getElementById('calc-word-size');
+            this.signednessSelect = document.getElementById('calc-signedness');
+            this.basesElement = document.getElementById('calc-bases');
+            this.programmerKeysElement = document.querySelector('.calc-programmer-keys');
+            this.hexKeysElement = document.querySelector('.calc-hex-keys');
+            this.converterElement = document.getElementById('calc-converter');
+            this.unitDimensionSelect = document.getElementById('calc-unit-dimension');
+            this.unitFromSelect = document.getElementById('calc-unit-from');
+            this.unitToSelect = document.getElementById('calc-unit-to');
+            this.historyPanel = document.getElementById('calc-history-panel');
+            this.historyList = document.getElementById('calc-history-list');
+            this.historySearch = document.getElementById('calc-history-search');
+            this.historyPersistToggle = document.getElementById('calc-history-persist');
+            this.historyClearButton = document.getElementById('calc-history-clear');
+            this.historyEmptyMessage = document.getElementById('calc-history-empty');
+            this.historyFormula = document.getElementById('calc-history-formula');
+            this.undoButton = document.querySelector('.calc-btn[data-action="undo"]');
+            this.redoButton = document.querySelector('.calc-btn[data-action="redo"]');
+            this.explainToggle = document.getElementById('calc-explain-toggle');
+            this.explainBody = document.getElementById('calc-explain-body');
+            this.explainSteps = document.getElementById('calc-explain-steps');
+            this.explainMessage = document.getElementById('calc-explain-step');
+            this.explainButtons = Array.from(document.querySelectorAll('.calc-explain-btn'));
+            
+            if (!this.displayElement) {
+                throw new Error('Display element not found');
+            }
+        }
+        
+        /**
+         * Bind button event listeners
+         */
+        bindEventListeners() {
+            document.addEventListener('click', (event) => {
+                const button = event.target.closest('.calc-btn');
+                if (!button) return;
+                
+                event.preventDefault();
+                this.handleButtonClick(button);
+            });
+            
+            if (this.numberModeSelect) {
+                this.numberModeSelect.addEventListener('change', () => {
+                    this.handleNumberModeChange(this.numberModeSelect.value);
+                });
+            }
+            
+            if (this.fractionDisplaySelect) {
+                this.fractionDisplaySelect.addEventListener('change', () => {
+                    this.handleFractionDisplayChange(this.fractionDisplaySelect.value);
+                });
+            }
+            
+            if (this.displayFormatSelect) {
+                this.displayFormatSelect.addEventListener('change', () => {
+                    this.handleDisplayFormatChange(this.displayFormatSelect.value);
+                });
+            }
+            
+            if (this.syntaxModeSelect) {
+                this.syntaxModeSelect.addEventListener('change', () => {
+                    this.handleSyntaxModeChange(this.syntaxModeSelect.value);
+                });
+            }
+            
+            if (this.evaluationSelect) {
+                this.evaluationSelect.addEventListener('change', () => {
+                    this.handleEvaluationChange(this.evaluationSelect.value);
+                });
+            }
+            
+            if (this.wordSizeSelect) {
+                this.wordSizeSelect.addEventListener('change', () => {
+                    this.handleWordSizeChange(Number(this.wordSizeSelect.value));
+                });
+            }
+            
+            if (this.signednessSelect) {
+                this.signednessSelect.addEventListener('change', () => {
+                    this.handleSignednessChange(this.signednessSelect.value === 'signed');
+                });
+            }
+            
+            if (this.unitDimensionSelect) {
+                this.unitDimensionSelect.addEventListener('change', () => this.renderUnitPicker());
+            }
+            
+            this.bindHistoryPanel();
+            this.bindExplainPanel();
+        }
+        
+        /**
+         * Bind the history panel: search, recall and delete buttons, arrow
+         * key navigation, clear all and the "remember" switch
+         */
+        bindHistoryPanel() {
+            if (!this.historyList) return;
+            
+            this.historyList.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-history-id]');
+                if (!button) return;
+                
+                const id = Number(button.dataset.historyId);
+                if (button.classList.contains('calc-history-delete')) {
+                    this.handleHistoryDelete(id);
+                } else {
+                    this.handleHistoryRecall(id);
+                }
+            });
+            
+            this.historyList.addEventListener('keydown', (event) => {
+                this.handleHistoryKeydown(event);
+            });
+            
+            // The formula follows the entry being browsed
+            this.historyList.addEventListener('focusin', (event) => {
+                const button = event.target.closest('button[data-history-id]');
+                if (!button) return;
+                this.renderHistoryFormula(this.state.history.get(Number(button.dataset.historyId)));
+            });
+            
+            if (this.historySearch) {
+                this.historySearch.addEventListener('input', () => this.renderHistoryPanel());
+                this.historySearch.addEventListener('keydown', (event) => {
+                    if (event.key === 'ArrowDown') {
+                        event.preventDefault();
+                        this._focusHistoryEntry(0);
+                    }
+                });
+            }
+            
+            if (this.historyClearButton) {
+                this.historyClearButton.addEventListener('click', () => this.handleHistoryClear());
+            }
+            
+            if (this.historyPersistToggle) {
+                this.historyPersistToggle.addEventListener('change', () => {
+                    this.handleHistoryPersistChange(this.historyPersistToggle.checked);
+                });
+            }
+        }
+        
+        /**
+         * Bind the explain panel: the on/off switch, the step buttons and
+         * arrow, Home and End keys inside the panel
+         */
+        bindExplainPanel() {
+            if (!this.explainToggle || !this.explainBody) return;
+            
+            this.explainToggle.addEventListener('change', () => {
+                this.handleExplainToggle(this.explainToggle.checked);
+            });
+            
+            this.explainBody.addEventListener('click', (event) => {
+                const button = event.target.closest('.calc-explain-btn');
+                if (!button) return;
+                this.handleExplainStep(button.dataset.step);
+            });
+            
+            this.explainBody.addEventListener('keydown', (event) => {
+                const steps = {
+                    ArrowLeft: 'previous',
+                    ArrowUp: 'previous',
+                    ArrowRight: 'next',
+                    ArrowDown: 'next',
+                    Home: 'first',
+                    End: 'last'
+                };
+                if (!steps[event.key]) return;
+                event.preventDefault();
+                this.handleExplainStep(steps[event.key]);
+            });
+        }
+        
+        /**
+         * Call `attach` with the OnionForgeApp instance (main.js) now, or
+         * once it has started
+         */
+        whenAppReady(attach) {
+            const app = window.OnionForgeApp?.getInstance?.();
+            if (app) {
+                attach(app);
+            } else {
+                document.addEventListener('appReady', (event) => attach(event.detail?.app), { once: true });
+            }
+        }
+        
+        /**
+         * Store history through the application's PreferenceManager once
+         * main.js has started; until then it only lives in this page
+         */
+        connectPreferences() {
+            this.whenAppReady((app) => {
+                const preferences = app?.getComponent?.('preferences');
+                if (!preferences) return;
+                
+                this.state.history.attachStorage(preferences);
+                this.updateHistory();
+            });
+        }
+        
+        /**
+         * Make the calculator's events available to other components as
+         * OnionForgeApp.getInstance().getComponent('calculator')
+         */
+        registerWithApp() {
+            this.whenAppReady((app) => {
+                app?.registerComponent?.('calculator', {
+                    on: (event, handler) => this.on(event, handler),
+                    getDiagnostics: () => this.getDiagnostics()
+                });
+            });
+        }
+        
+        /**
+         * Subscribe to a calculator event, e.g.
+         *   const stop = on('result', ({ expression, value }) => ...); stop();
+         * @param {string} event - One of CONFIG.CALCULATOR_EVENTS
+         * @returns {Function} - Unsubscribes the handler
+         */
+        on(event, handler) {
+            return this.events.on(event, handler);
+        }
+        
+        /**
+         * Tell subscribers about typed input, with the display after it
+         */
+        emitInput(input) {
+            this.events.emit(CONFIG.CALCULATOR_EVENTS.INPUT, { input, display: this.state.getDisplayValue() });
+        }
+        
+        /**
+         * Tell subscribers about a calculation that has just been committed
+         * to the display: by "=", a chained operator in basic mode, an RPN
+         * operator or a conversion. Each calculation is reported once.
+         */
+        emitResult() {
+            const lastCalc = this.state.lastCalculation;
+            if (!lastCalc || lastCalc === this.reportedCalculation) return;
+            this.reportedCalculation = lastCalc;
+            
+            this.events.emit(CONFIG.CALCULATOR_EVENTS.RESULT, {
+                expression: lastCalc.expression,
+                value: lastCalc.result,
+                display: this.state.getDisplayValue(),
+                mode: this.state.mode
+            });
+        }
+        
+        /**
+         * Setup keyboard accessibility
+         */
+        setupKeyboardSupport() {
+            document.addEventListener('keydown', (event) => {
+                this.handleKeyboardInput(event);
+            });
+            
+            // Set up keyboard mappings
+            this.keyboardHandlers.set('0', () => this.handleNumberInput('0'));
+            this.keyboardHandlers.set('1', () => this.handleNumberInput('1'));
+            this.keyboardHandlers.set('2', () => this.handleNumberInput('2'));
+            this.keyboardHandlers.set('3', () => this.handleNumberInput('3'));
+            this.keyboardHandlers.set('4', () => this.handleNumberInput('4'));
+            this.keyboardHandlers.set('5', () => this.handleNumberInput('5'));
+            this.keyboardHandlers.set('6', () => this.handleNumberInput('6'));
+            this.keyboardHandlers.set('7', () => this.handleNumberInput('7'));
+            this.keyboardHandlers.set('8', () => this.handleNumberInput('8'));
+            this.keyboardHandlers.set('9', () => this.handleNumberInput('9'));
+            this.keyboardHandlers.set('.', () => this.handleDecimalInput());
+            this.keyboardHandlers.set('+', () => this.handleOperatorInput('+'));
+            this.keyboardHandlers.set('-', () => this.handleOperatorInput('-'));
+            this.keyboardHandlers.set('*', () => this.handleOperatorInput('*'));
+            this.keyboardHandlers.set('/', (event) => {
+                event.preventDefault();
+                this.handleOperatorInput('/');
+            });
+            this.keyboardHandlers.set('%', () => this.handleOperatorInput('%'));
+            this.keyboardHandlers.set('^', () => this.handleOperatorInput('^'));
+            this.keyboardHandlers.set('&', () => this.handleOperatorInput('&'));
+            this.keyboardHandlers.set('|', () => this.handleOperatorInput('|'));
+            this.keyboardHandlers.set('~', () => this.handleOperatorInput('~'));
+            this.keyboardHandlers.set('<', () => this.handleOperatorInput('<<'));
+            this.keyboardHandlers.set('>', () => this.handleOperatorInput('>>'));
+            this.keyboardHandlers.set('(', () => this.handleParenthesisInput('('));
+            this.keyboardHandlers.set(')', () => this.handleParenthesisInput(')'));
+            this.keyboardHandlers.set('Enter', () => this.handleEquals());
+            this.keyboardHandlers.set('=', () => {
+                // "=" after a bare name starts an assignment ("x=")
+                if (this.state.canAssign()) {
+                    this.handleAssignmentInput();
+                } else {
+                    this.handleEquals();
+                }
+            });
+            this.keyboardHandlers.set('Escape', () => this.handleClear());
+            this.keyboardHandlers.set('Delete', () => this.handleClear());
+            this.keyboardHandlers.set('Backspace', () => this.handleBackspace());
+            
+            this.shortcutHandlers.set('z', () => this.handleUndo());
+            this.shortcutHandlers.set('Shift+z', () => this.handleRedo());
+        }
+        
+        /**
+         * Handle button clicks
+         */
+        handleButtonClick(button) {
+            const action = button.dataset.action;
+            const number = button.dataset.number;
+            
+            button.classList.add('active');
+            setTimeout(() => button.classList.remove('active'), 150);
+            
+            if (number !== undefined) {
+                this.handleNumberInput(number);
+            } else if (action === CONFIG.ACTIONS.MODE) {
+                this.handleModeChange(button.dataset.mode);
+            } else if (action === CONFIG.ACTIONS.FUNCTION) {
+                this.handleFunctionInput(button.dataset.function);
+            } else if (action === CONFIG.ACTIONS.VARIABLE) {
+                this.handleVariableInput(button.dataset.variable);
+            } else if (action === CONFIG.ACTIONS.HEX_DIGIT) {
+                this.handleHexDigitInput(button.dataset.digit);
+            } else if (action === CONFIG.ACTIONS.BASE_PREFIX) {
+                this.handleBasePrefixInput(button.dataset.prefix);
+            } else if (action) {
+                this.handleAction(action);
+            }
+        }
+        
+        /**
+         * Handle keyboard input
+         */
+        handleKeyboardInput(event) {
+            const key = event.key;
+            
+            // Typing a search, choosing from a list or moving through the
+            // history list or the explain steps is not calculator input
+            if (event.target instanceof Element && event.target.closest('input, textarea, select, .calc-history-panel, .calc-explain')) {
+                return;
+            }
+            
+            // Leave browser shortcuts such as Ctrl+C alone
+            if (event.ctrlKey || event.metaKey) {
+                const shortcut = `${event.shiftKey ? 'Shift+' : ''}${key.toLowerCase()}`;
+                if (!event.altKey && this.shortcutHandlers.has(shortcut)) {
+                    event.preventDefault();
+                    this.shortcutHandlers.get(shortcut)(event);
+                }
+                return;
+            }
+            if (event.altKey) {
+                return;
+            }
+            
+            if (this.keyboardHandlers.has(key)) {
+                event.preventDefault();
+                this.keyboardHandlers.get(key)(event);
+            } else if (OperationFactory.isRegistered(key)) {
+                // Single-character registered operators are typed directly
+                event.preventDefault();
+                this.handleOperatorInput(key);
+            } else if (/^[a-zA-Z]$/.test(key) && this.state.isExpressionMode()) {
+                // Letters spell variable and function names
+                event.preventDefault();
+                this.handleLetterInput(key);
+            } else if (key === ' ' && this.state.isExpressionMode() &&
+                !(event.target instanceof Element && event.target.closest('button'))) {
+                // Spaces separate units: "5 km to mi"
+                event.preventDefault();
+                this.handleSpaceInput();
+            }
+        }
+        
+        /**
+         * Handle number input
+         */
+        handleNumberInput(number) {
+            try {
+                this.state.updateInput(number);
+                this.updateDisplay();
+                this.updateStatus(`Input: ${number}`);
+                this.emitInput(number);
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle decimal point input
+         */
+        handleDecimalInput() {
+            try {
+                this.state.updateInput(CONFIG.ACTIONS.DECIMAL);
+                this.updateDisplay();
+                this.updateStatus('Decimal point added');
+                this.emitInput(CONFIG.ACTIONS.DECIMAL);
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle operator input
+         */
+        handleOperatorInput(operator) {
+            try {
+                this.state.applyOperator(operator);
+                this.updateDisplay();
+                this.updateHistory();
+                this.updateStatus(`Operator: ${operator}`);
+                this.events.emit(CONFIG.CALCULATOR_EVENTS.OPERATOR, { operator, display: this.state.getDisplayValue() });
+                this.emitResult();
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle parenthesis input (expression mode)
+         */
+        handleParenthesisInput(paren) {
+            try {
+                this.state.appendParenthesis(paren);
+                this.updateDisplay();
+                this.updateStatus(`Parenthesis: ${paren}`);
+                this.emitInput(paren);
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle a typed letter of a name (expression mode); "e" after a
+         * number's digits starts its exponent
+         */
+        handleLetterInput(letter) {
+            try {
+                this.state.appendLetter(letter);
+                this.updateDisplay();
+                this.updateStatus(`Input: ${letter}`);
+                this.emitInput(letter);
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle the hex digit keys A to F (programmer mode)
+         */
+        handleHexDigitInput(digit) {
+            try {
+                this.state.appendHexDigit(digit);
+                this.updateDisplay();
+                this.updateStatus(`Input: ${digit}`);
+                this.emitInput(digit);
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle the 0x, 0o and 0b keys (programmer mode)
+         */
+        handleBasePrefixInput(prefix) {
+            try {
+                this.state.appendBasePrefix(prefix);
+                this.updateDisplay();
+                this.updateStatus(`Base prefix: ${prefix}`);
+                this.emitInput(prefix);
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle a typed space (expression mode)
+         */
+        handleSpaceInput() {
+            try {
+                this.state.appendSpace();
+                this.updateDisplay();
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle the unit picker's Convert button
+         */
+        handleUnitConversion() {
+            if (!this.unitFromSelect || !this.unitToSelect) return;
+            
+            const from = this.unitFromSelect.value;
+            const to = this.unitToSelect.value;
+            try {
+                this.state.convertValue(from, to);
+                this.updateDisplay();
+                this.updateHistory();
+                this.updateStatus(`Converted ${from} to ${to}`);
+                this.emitResult();
+            } catch (error) {
+                this.handleError(error);
+            }
+            this.renderExplainTrace();
+        }
+        
+        /**
+         * Handle "=" typed after a variable name (expression mode)
+         */
+        handleAssignmentInput() {
+            try {
+                this.state.appendAssignment();
+                this.updateDisplay();
+                this.updateStatus('Assign: type the value, then press Enter');
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle memory keys (MC, MR, M+, M−)
+         */
+        handleMemoryAction(action) {
+            const memoryActions = {
+                [CONFIG.ACTIONS.MEMORY_CLEAR]: ['memoryClear', 'Memory cleared'],
+                [CONFIG.ACTIONS.MEMORY_RECALL]: ['memoryRecall', 'Memory recalled'],
+                [CONFIG.ACTIONS.MEMORY_ADD]: ['memoryAdd', 'Added to memory'],
+                [CONFIG.ACTIONS.MEMORY_SUBTRACT]: ['memorySubtract', 'Subtracted from memory']
+            };
+            
+            try {
+                const [method, message] = memoryActions[action];
+                this.state[method]();
+                this.updateDisplay();
+                this.updateHistory();
+                this.updateStatus(message);
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle a click (or Enter) on a history entry
+         */
+        handleHistoryRecall(id) {
+            try {
+                this.state.recallHistoryEntry(id);
+                this.updateDisplay();
+                this.updateStatus(`Recalled ${this.state.history.get(id).result} from history`);
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Delete one history entry, keeping focus in the list
+         */
+        handleHistoryDelete(id) {
+            const entry = this.state.history.get(id);
+            if (!entry || !this.state.history.remove(id)) return;
+            
+            const focusIndex = this._historyEntryButtons().findIndex(button => Number(button.dataset.historyId) === id);
+            this.updateHistory();
+            this._focusHistoryEntry(focusIndex);
+            this.updateStatus(`Deleted ${entry.expression} from history`);
+        }
+        
+        /**
+         * Clear all history, stored copy included
+         */
+        handleHistoryClear() {
+            this.state.history.clear();
+            this.updateHistory();
+            this.updateStatus('History cleared');
+        }
+        
+        /**
+         * Opt in to (or out of) keeping history on this device
+         */
+        handleHistoryPersistChange(enabled) {
+            try {
+                this.state.history.setPersistent(enabled);
+                this.updateStatus(enabled
+                    ? 'History will be remembered on this device'
+                    : 'History is no longer stored on this device');
+            } catch (error) {
+                if (this.historyPersistToggle) {
+                    this.historyPersistToggle.checked = this.state.history.persistent;
+                }
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * History list keys: arrows, Home and End move between entries,
+         * Delete removes the focused entry, Escape returns to the search box
+         */
+        handleHistoryKeydown(event) {
+            const buttons = this._historyEntryButtons();
+            const button = event.target.closest('button[data-history-id]');
+            const index = button ? buttons.findIndex(candidate => candidate.dataset.historyId === button.dataset.historyId) : -1;
             
-            // Event handling
-            this.buttonHandlers = new Map();
-            this.keyboardHandlers = new Map();
+            switch (event.key) {
+                case 'ArrowDown':
+                    this._focusHistoryEntry(index + 1);
+                    break;
+                case 'ArrowUp':
+                    this._focusHistoryEntry(Math.max(index - 1, 0));
+                    break;
+                case 'Home':
+                    this._focusHistoryEntry(0);
+                    break;
+                case 'End':
+                    this._focusHistoryEntry(buttons.length - 1);
+                    break;
+                case 'Delete':
+                    if (!button) return;
+                    this.handleHistoryDelete(Number(button.dataset.historyId));
+                    break;
+                case 'Escape':
+                    if (!this.historySearch) return;
+                    this.historySearch.focus();
+                    break;
+                default:
+                    return;
+            }
+            event.preventDefault();
+        }
+        
+        /**
+         * @private
+         */
+        _historyEntryButtons() {
+            return this.historyList
+                ? Array.from(this.historyList.querySelectorAll('.calc-history-entry'))
+                : [];
+        }
+        
+        /**
+         * Focus the entry at `index`, clamped to the list. Only the focused
+         * entry is in the tab order, so Tab leaves the list in one step.
+         * @private
+         */
+        _focusHistoryEntry(index) {
+            const buttons = this._historyEntryButtons();
+            if (buttons.length === 0) {
+                this.historySearch?.focus();
+                return;
+            }
             
-            this.initialize();
+            const target = Math.min(Math.max(index, 0), buttons.length - 1);
+            buttons.forEach((button, position) => {
+                button.tabIndex = position === target ? 0 : -1;
+            });
+            buttons[target].focus();
         }
         
         /**
-         * Initialize calculator UI
+         * Turn explain mode on or off
          */
-        initialize() {
-            this.cacheDomElements();
-            this.bindEventListeners();
-            this.setupKeyboardSupport();
-            this.updateDisplay();
-            this.updateStatus('Ready. All calculations happen locally in your browser.');
+        handleExplainToggle(enabled) {
+            this.state.setExplainCalculations(enabled);
+            if (this.explainBody) {
+                this.explainBody.hidden = !enabled;
+            }
+            this.renderExplainTrace();
+            this.updateStatus(enabled
+                ? 'Explain mode on: press = to see each step of the calculation'
+                : 'Explain mode off');
         }
         
         /**
-         * Cache DOM elements for performance
+         * Step buttons and keys: "first", "previous", "next", "last" or
+         * "play" (which also pauses)
          */
-        cacheDomElements() {
-            this.displayElement = document.getElementById('display');
-            this.historyElement = document.getElementById('calc-history');
-            this.statusElement = document.getElementById('calc-status');
+        handleExplainStep(step) {
+            if (!this.explainTrace) return;
             
-            if (!this.displayElement) {
-                throw new Error('Display element not found');
+            if (step === 'play') {
+                this.toggleExplainPlayback();
+                return;
+            }
+            
+            this.stopExplainPlayback();
+            const last = this.explainTrace.steps.length - 1;
+            const targets = {
+                first: 0,
+                previous: this.explainIndex - 1,
+                next: this.explainIndex + 1,
+                last
+            };
+            if (step in targets) {
+                this.showExplainStep(targets[step]);
             }
         }
         
         /**
-         * Bind button event listeners
+         * Fill the step table from the last explained calculation. Does
+         * nothing if that trace is already on screen.
          */
-        bindEventListeners() {
-            document.addEventListener('click', (event) => {
-                const button = event.target.closest('.calc-btn');
-                if (!button) return;
-                
-                event.preventDefault();
-                this.handleButtonClick(button);
-            });
+        renderExplainTrace() {
+            if (!this.explainSteps) return;
+            
+            const trace = this.state.getLastTrace();
+            if (trace === this.explainTrace) return;
+            
+            this.stopExplainPlayback();
+            this.explainTrace = trace;
+            this.explainSteps.textContent = '';
+            
+            if (!trace) {
+                this._setExplainMessage('Press = to explain a calculation');
+                this._updateExplainButtons();
+                return;
+            }
+            
+            for (const step of trace.steps) {
+                const row = document.createElement('tr');
+                row.dataset.step = String(step.step);
+                const cells = [
+                    step.step,
+                    step.phase,
+                    step.token ?? '',
+                    step.action,
+                    step.operators.join(' '),
+                    step.output.join(' '),
+                    step.stack.join(' ')
+                ];
+                for (const text of cells) {
+                    const cell = document.createElement('td');
+                    cell.textContent = String(text);
+                    row.append(cell);
+                }
+                this.explainSteps.append(row);
+            }
+            
+            this.showExplainStep(0);
         }
         
         /**
-         * Setup keyboard accessibility
+         * Highlight one step: earlier rows stay lit, later rows are dimmed,
+         * and the live region reads the step out
          */
-        setupKeyboardSupport() {
-            document.addEventListener('keydown', (event) => {
-                this.handleKeyboardInput(event);
-            });
+        showExplainStep(index) {
+            if (!this.explainTrace || !this.explainSteps) return;
             
-            // Set up keyboard mappings
-            this.keyboardHandlers.set('0', () => this.handleNumberInput('0'));
-            this.keyboardHandlers.set('1', () => this.handleNumberInput('1'));
-            this.keyboardHandlers.set('2', () => this.handleNumberInput('2'));
-            this.keyboardHandlers.set('3', () => this.handleNumberInput('3'));
-            this.keyboardHandlers.set('4', () => this.handleNumberInput('4'));
-            this.keyboardHandlers.set('5', () => this.handleNumberInput('5'));
-            this.keyboardHandlers.set('6', () => this.handleNumberInput('6'));
-            this.keyboardHandlers.set('7', () => this.handleNumberInput('7'));
-            this.keyboardHandlers.set('8', () => this.handleNumberInput('8'));
-            this.keyboardHandlers.set('9', () => this.handleNumberInput('9'));
-            this.keyboardHandlers.set('.', () => this.handleDecimalInput());
-            this.keyboardHandlers.set('+', () => this.handleOperatorInput('+'));
-            this.keyboardHandlers.set('-', () => this.handleOperatorInput('-'));
-            this.keyboardHandlers.set('*', () => this.handleOperatorInput('*'));
-            this.keyboardHandlers.set('/', (event) => {
-                event.preventDefault();
-                this.handleOperatorInput('/');
+            const { steps } = this.explainTrace;
+            if (steps.length === 0) {
+                this._setExplainMessage(this._explainOutcome());
+                this._updateExplainButtons();
+                return;
+            }
+            
+            this.explainIndex = Math.min(Math.max(index, 0), steps.length - 1);
+            const rows = Array.from(this.explainSteps.rows);
+            rows.forEach((row, position) => {
+                const current = position === this.explainIndex;
+                row.classList.toggle('is-current', current);
+                row.classList.toggle('is-done', position < this.explainIndex);
+                if (current) {
+                    row.setAttribute('aria-current', 'step');
+                } else {
+                    row.removeAttribute('aria-current');
+                }
             });
-            this.keyboardHandlers.set('%', () => this.handleOperatorInput('%'));
-            this.keyboardHandlers.set('Enter', () => this.handleEquals());
-            this.keyboardHandlers.set('=', () => this.handleEquals());
-            this.keyboardHandlers.set('Escape', () => this.handleClear());
-            this.keyboardHandlers.set('Delete', () => this.handleClear());
-            this.keyboardHandlers.set('Backspace', () => this.handleBackspace());
+            rows[this.explainIndex]?.scrollIntoView?.({ block: 'nearest' });
+            
+            const step = steps[this.explainIndex];
+            let message = `Step ${step.step} of ${steps.length}, ${step.phase}: ${step.action}`;
+            if (this.explainIndex === steps.length - 1) {
+                message += `. ${this._explainOutcome()}`;
+            }
+            this._setExplainMessage(message);
+            this._updateExplainButtons();
         }
         
         /**
-         * Handle button clicks
+         * Play the steps one after another from the highlighted one (from
+         * the start if the last step is showing), or pause
          */
-        handleButtonClick(button) {
-            const action = button.dataset.action;
-            const number = button.dataset.number;
+        toggleExplainPlayback() {
+            if (this.explainTimer !== null) {
+                this.stopExplainPlayback();
+                return;
+            }
             
-            button.classList.add('active');
-            setTimeout(() => button.classList.remove('active'), 150);
+            const last = this.explainTrace.steps.length - 1;
+            if (last < 1) return;
+            if (this.explainIndex >= last) {
+                this.showExplainStep(0);
+            }
             
-            if (number !== undefined) {
-                this.handleNumberInput(number);
-            } else if (action) {
-                this.handleAction(action);
+            this.explainTimer = setInterval(() => {
+                this.showExplainStep(this.explainIndex + 1);
+                if (this.explainIndex >= last) {
+                    this.stopExplainPlayback();
+                }
+            }, CONFIG.EXPLAIN_STEP_DELAY);
+            this._updateExplainButtons();
+        }
+        
+        stopExplainPlayback() {
+            if (this.explainTimer === null) return;
+            clearInterval(this.explainTimer);
+            this.explainTimer = null;
+            this._updateExplainButtons();
+        }
+        
+        /**
+         * @private
+         */
+        _explainOutcome() {
+            const trace = this.explainTrace;
+            if (trace.error) {
+                return `Stopped with an error: ${trace.error.message}`;
             }
+            const value = this.state.formatValue(trace.value);
+            return `Result: ${trace.unit ? `${value} ${trace.unit}` : value}`;
         }
         
         /**
-         * Handle keyboard input
+         * @private
          */
-        handleKeyboardInput(event) {
-            const key = event.key;
-            
-            if (this.keyboardHandlers.has(key)) {
-                event.preventDefault();
-                this.keyboardHandlers.get(key)(event);
+        _setExplainMessage(message) {
+            if (this.explainMessage) {
+                this.explainMessage.textContent = message;
             }
         }
         
         /**
-         * Handle number input
+         * @private
          */
-        handleNumberInput(number) {
+        _updateExplainButtons() {
+            const count = this.explainTrace ? this.explainTrace.steps.length : 0;
+            const playing = this.explainTimer !== null;
+            for (const button of this.explainButtons) {
+                const step = button.dataset.step;
+                if (step === 'play') {
+                    button.disabled = count < 2;
+                    button.setAttribute('aria-pressed', String(playing));
+                    button.textContent = playing ? 'Pause' : 'Play';
+                } else {
+                    // Stepping past either end stays put, so these keep
+                    // focus rather than becoming disabled under it
+                    button.disabled = count === 0;
+                }
+            }
+        }
+        
+        /**
+         * Handle the ans key and variable buttons
+         */
+        handleVariableInput(name) {
             try {
-                this.state.updateInput(number);
+                this.state.recallVariable(name);
                 this.updateDisplay();
-                this.updateStatus(`Input: ${number}`);
+                this.updateStatus(`Variable: ${name}`);
+                this.emitInput(name);
             } catch (error) {
                 this.handleError(error);
             }
         }
         
         /**
-         * Handle decimal point input
+         * Handle the exponent key, e.g. 6.02 EE 23 (expression mode)
          */
-        handleDecimalInput() {
+        handleExponentInput() {
             try {
-                this.state.updateInput(CONFIG.ACTIONS.DECIMAL);
+                this.state.appendExponent();
                 this.updateDisplay();
-                this.updateStatus('Decimal point added');
+                this.updateStatus('Exponent: times ten to the power of');
+                this.emitInput(CONFIG.EXPONENT_MARKER);
             } catch (error) {
                 this.handleError(error);
             }
         }
         
         /**
-         * Handle operator input
+         * Handle function keys such as square root (expression mode)
          */
-        handleOperatorInput(operator) {
+        handleFunctionInput(name) {
             try {
-                this.state.applyOperator(operator);
+                this.state.appendFunction(name);
                 this.updateDisplay();
-                this.updateStatus(`Operator: ${operator}`);
+                this.updateStatus(`Function: ${name}`);
+                this.emitInput(name);
             } catch (error) {
                 this.handleError(error);
             }
@@ -751,6 +7325,37 @@
                         case CONFIG.ACTIONS.EQUALS:
                             this.handleEquals();
                             break;
+                        case CONFIG.ACTIONS.OPEN_PAREN:
+                        case CONFIG.ACTIONS.CLOSE_PAREN:
+                            this.handleParenthesisInput(action);
+                            break;
+                        case CONFIG.ACTIONS.EXPONENT:
+                            this.handleExponentInput();
+                            break;
+                        case CONFIG.ACTIONS.MEMORY_CLEAR:
+                        case CONFIG.ACTIONS.MEMORY_RECALL:
+                        case CONFIG.ACTIONS.MEMORY_ADD:
+                        case CONFIG.ACTIONS.MEMORY_SUBTRACT:
+                            this.handleMemoryAction(action);
+                            break;
+                        case CONFIG.ACTIONS.ANSWER:
+                            this.handleVariableInput(CONFIG.ANSWER_VARIABLE);
+                            break;
+                        case CONFIG.ACTIONS.CONVERT:
+                            this.handleUnitConversion();
+                            break;
+                        case CONFIG.ACTIONS.UNDO:
+                            this.handleUndo();
+                            break;
+                        case CONFIG.ACTIONS.REDO:
+                            this.handleRedo();
+                            break;
+                        case CONFIG.ACTIONS.SWAP:
+                        case CONFIG.ACTIONS.ROLL:
+                        case CONFIG.ACTIONS.DROP:
+                        case CONFIG.ACTIONS.DUPLICATE:
+                            this.handleStackAction(action);
+                            break;
                         default:
                             console.warn(`Unknown action: ${action}`);
                     }
@@ -760,14 +7365,285 @@
             }
         }
         
+        /**
+         * Handle entry mode switch (basic / RPN)
+         */
+        handleModeChange(mode) {
+            try {
+                this.state.setMode(mode);
+                this.updateModeControls();
+                this.updateDisplay();
+                this.updateHistory();
+                const messages = {
+                    [CONFIG.MODES.BASIC]: 'Basic mode: each operator is applied immediately',
+                    [CONFIG.MODES.EXPRESSION]: 'Expression mode: type the whole expression, then press =',
+                    [CONFIG.MODES.RPN]: 'RPN mode: type a number, press ENTER, then apply operators to the stack'
+                };
+                this.updateStatus(messages[mode]);
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle number type switch (floating point / exact decimal)
+         */
+        handleNumberModeChange(numberMode) {
+            try {
+                this.state.setNumberMode(numberMode);
+                this.updateModeControls();
+                this.updateDisplay();
+                this.updateHistory();
+                
+                const messages = {
+                    [CONFIG.NUMBER_MODES.FLOAT]: 'Floating-point arithmetic',
+                    [CONFIG.NUMBER_MODES.DECIMAL]: `Exact decimal arithmetic (${CONFIG.DECIMAL_PRECISION} significant digits)`,
+                    [CONFIG.NUMBER_MODES.RATIONAL]: 'Exact fraction arithmetic',
+                    [CONFIG.NUMBER_MODES.PROGRAMMER]: `Programmer mode: ${this.state.wordSize}-bit ${this.state.signedIntegers ? 'signed' : 'unsigned'} integers`
+                };
+                this.updateStatus(messages[numberMode]);
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle fraction display switch (fraction / mixed number / decimal)
+         */
+        handleFractionDisplayChange(display) {
+            try {
+                this.state.setFractionDisplay(display);
+                this.updateDisplay();
+                this.updateStatus(`Fractions shown as ${display === CONFIG.FRACTION_DISPLAYS.MIXED ? 'mixed numbers' : display}`);
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle result notation switch (auto / fixed / scientific / engineering)
+         */
+        handleDisplayFormatChange(format) {
+            try {
+                this.state.setDisplayFormat(format);
+                this.updateDisplay();
+                this.updateStatus(`Results shown in ${format} notation`);
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle implicit multiplication / strict syntax switch
+         */
+        handleSyntaxModeChange(mode) {
+            try {
+                this.state.setSyntaxMode(mode);
+                this.updateStatus(mode === CONFIG.SYNTAX_MODES.STRICT
+                    ? 'Strict syntax: write every operator, e.g. 2*(3+4)'
+                    : 'Implicit multiplication on: 2(3+4) means 2*(3+4)');
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle the evaluation switch: on the page or in the engine worker
+         */
+        handleEvaluationChange(mode) {
+            try {
+                this.configureEvaluation({ worker: mode === CONFIG.EVALUATION_MODES.WORKER });
+                this.updateStatus(this.engineWorker
+                    ? `Calculating in the background; anything over ${this.evaluationTimeout} ms is stopped`
+                    : 'Calculating on the page');
+            } catch (error) {
+                this.handleError(error);
+            }
+            if (this.evaluationSelect) {
+                this.evaluationSelect.value = this.engineWorker
+                    ? CONFIG.EVALUATION_MODES.WORKER
+                    : CONFIG.EVALUATION_MODES.MAIN;
+            }
+        }
+        
+        /**
+         * Turn background evaluation on or off and set its timeout
+         * @param {Object} options - { worker: boolean, timeout: milliseconds }
+         * @returns {{worker: boolean, timeout: number}} - The settings now in use
+         */
+        configureEvaluation({ worker = Boolean(this.engineWorker), timeout = this.evaluationTimeout } = {}) {
+            this.evaluationTimeout = EngineWorkerClient.validateTimeout(timeout);
+            
+            if (worker && !this.engineWorker) {
+                this.engineWorker = new EngineWorkerClient(SCRIPT_URL, { timeout: this.evaluationTimeout });
+            } else if (!worker && this.engineWorker) {
+                this.backgroundRequest = null;
+                this.engineWorker.terminate();
+                this.engineWorker = null;
+            }
+            this.engineWorker?.configure({ timeout: this.evaluationTimeout });
+            
+            return { worker: Boolean(this.engineWorker), timeout: this.evaluationTimeout };
+        }
+        
+        /**
+         * Whether "=" can go to the engine worker: explain mode needs the
+         * trace on the page, and registered operators cannot be sent there
+         */
+        canCalculateInBackground() {
+            return this.engineWorker !== null &&
+                !this.state.explainCalculations &&
+                OperationFactory.getRegisteredOperations().length === 0 &&
+                this.state.getPendingCalculation() !== null;
+        }
+        
+        /**
+         * "=" with background evaluation: send the pending expression to
+         * the worker and show the answer when it comes back, unless the
+         * input changed meanwhile. A newer "=" or C cancels it.
+         */
+        calculateInBackground() {
+            const expression = this.state.getPendingCalculation();
+            this.cancelBackgroundCalculation();
+            
+            const request = this.engineWorker.calculate(expression, this.state.getEngineOptions(), this.state.variables);
+            this.backgroundRequest = request;
+            this.updateStatus('Calculating…');
+            
+            const settle = (apply) => {
+                if (this.backgroundRequest !== request) {
+                    return; // Cancelled or replaced by a newer calculation
+                }
+                this.backgroundRequest = null;
+                if (this.state.getPendingCalculation() === expression) {
+                    apply();
+                }
+            };
+            
+            request.promise.then(
+                (outcome) => settle(() => {
+                    this.state.completeCalculation(expression, outcome);
+                    this.updateDisplay();
+                    this.updateHistory();
+                    
+                    const lastCalc = this.state.getLastCalculation();
+                    this.updateStatus(`Calculated: ${lastCalc.expression} = ${lastCalc.result}`);
+                    this.emitResult();
+                }),
+                (error) => settle(() => {
+                    this.state.failCalculation();
+                    this.handleError(error);
+                })
+            );
+        }
+        
+        /**
+         * @returns {boolean} - Whether a background calculation was waiting
+         */
+        cancelBackgroundCalculation() {
+            const request = this.backgroundRequest;
+            if (!request) {
+                return false;
+            }
+            this.backgroundRequest = null;
+            return this.engineWorker.cancel(request.id);
+        }
+        
+        /**
+         * Handle integer width switch (programmer mode)
+         */
+        handleWordSizeChange(bits) {
+            try {
+                this.state.setWordSize(bits);
+                this.updateDisplay();
+                this.updateStatus(`${bits}-bit integers`);
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle signed / unsigned switch (programmer mode)
+         */
+        handleSignednessChange(signed) {
+            try {
+                this.state.setSignedIntegers(signed);
+                this.updateDisplay();
+                this.updateStatus(signed ? 'Signed integers (two\'s complement)' : 'Unsigned integers');
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
+        /**
+         * Handle RPN stack keys (ENTER, swap, roll, drop, duplicate)
+         */
+        handleStackAction(action) {
+            const stackActions = {
+                [CONFIG.ACTIONS.ENTER]: ['enter', 'Entered onto the stack'],
+                [CONFIG.ACTIONS.SWAP]: ['swap', 'Swapped levels 1 and 2'],
+                [CONFIG.ACTIONS.ROLL]: ['roll', 'Rolled the stack down'],
+                [CONFIG.ACTIONS.DROP]: ['drop', 'Dropped level 1'],
+                [CONFIG.ACTIONS.DUPLICATE]: ['duplicate', 'Duplicated level 1']
+            };
+            
+            try {
+                if (!this.state.isStackMode()) {
+                    throw new CalculatorError(
+                        'Stack keys are only available in RPN mode',
+                        CalculatorError.ERROR_TYPES.INVALID_INPUT
+                    );
+                }
+                
+                const [method, message] = stackActions[action];
+                this.state[method]();
+                this.updateDisplay();
+                this.updateStatus(message);
+                this.emitResult();
+            } catch (error) {
+                this.handleError(error);
+            }
+        }
+        
         /**
          * Handle clear action
          */
         handleClear() {
+            const cancelled = this.cancelBackgroundCalculation();
             this.state.clear();
             this.updateDisplay();
             this.updateHistory();
-            this.updateStatus('Calculator cleared');
+            this.updateStatus(cancelled ? 'Calculation cancelled' : 'Calculator cleared');
+            this.events.emit(CONFIG.CALCULATOR_EVENTS.CLEAR, { cancelled });
+        }
+        
+        /**
+         * Undo the last change (Ctrl+Z)
+         */
+        handleUndo() {
+            const label = this.state.undo();
+            this.refreshAfterUndo();
+            this.updateStatus(label ? `Undone: ${label}` : 'Nothing to undo');
+        }
+        
+        /**
+         * Redo the last undone change (Ctrl+Shift+Z)
+         */
+        handleRedo() {
+            const label = this.state.redo();
+            this.refreshAfterUndo();
+            this.updateStatus(label ? `Redone: ${label}` : 'Nothing to redo');
+        }
+        
+        /**
+         * Undo can switch modes and options, so redraw all of them
+         */
+        refreshAfterUndo() {
+            // A restored calculation is not a new result
+            this.reportedCalculation = this.state.lastCalculation;
+            this.updateModeControls();
+            this.updateDisplay();
+            this.updateHistory();
         }
         
         /**
@@ -783,6 +7659,16 @@
          * Handle equals action
          */
         handleEquals() {
+            if (this.state.isStackMode()) {
+                this.handleStackAction(CONFIG.ACTIONS.ENTER);
+                return;
+            }
+            
+            if (this.canCalculateInBackground()) {
+                this.calculateInBackground();
+                return;
+            }
+            
             try {
                 this.state.calculate();
                 this.updateDisplay();
@@ -791,10 +7677,12 @@
                 const lastCalc = this.state.getLastCalculation();
                 if (lastCalc) {
                     this.updateStatus(`Calculated: ${lastCalc.expression} = ${lastCalc.result}`);
+                    this.emitResult();
                 }
             } catch (error) {
                 this.handleError(error);
             }
+            this.renderExplainTrace();
         }
         
         /**
@@ -816,22 +7704,79 @@
                     case CalculatorError.ERROR_TYPES.INVALID_INPUT:
                         errorMessage = 'Invalid input';
                         break;
+                    case CalculatorError.ERROR_TYPES.DOMAIN_ERROR:
+                        errorMessage = 'Outside the function domain';
+                        break;
+                    case CalculatorError.ERROR_TYPES.INCOMPATIBLE_UNITS:
+                        errorMessage = 'Incompatible units';
+                        break;
+                    case CalculatorError.ERROR_TYPES.TIMEOUT:
+                        errorMessage = 'Calculation took too long';
+                        break;
+                    case CalculatorError.ERROR_TYPES.LENGTH_LIMIT:
+                        errorMessage = 'Expression too long';
+                        break;
+                    case CalculatorError.ERROR_TYPES.NESTING_LIMIT:
+                        errorMessage = 'Too many nested parentheses';
+                        break;
+                    case CalculatorError.ERROR_TYPES.TOKEN_LIMIT:
+                        errorMessage = 'Expression too complex';
+                        break;
+                    case CalculatorError.ERROR_TYPES.MAGNITUDE_LIMIT:
+                        errorMessage = 'Number too large';
+                        break;
                     default:
                         errorMessage = 'Calculation error';
                 }
+                
+                if (error.hasLocation() && error.expression !== null) {
+                    errorMessage += ` at position ${error.getPosition()}`;
+                    this.showErrorLocation(error);
+                }
             }
             
             this.updateStatus(`Error: ${errorMessage}`);
             this.updateDisplay();
+            this.events.emit(CONFIG.CALCULATOR_EVENTS.ERROR, {
+                message: errorMessage,
+                error: error instanceof CalculatorError ? error.toJSON() : { message: error.message }
+            });
             
-            // Reset after error display
+            // Reset after error display; a failed RPN step leaves the stack
+            // untouched, so there is nothing to recover from
             setTimeout(() => {
+                if (this.state.isStackMode()) {
+                    this.updateStatus('Stack unchanged. Please try again.');
+                    return;
+                }
                 this.state.clear();
                 this.updateDisplay();
+                this.updateHistory();
                 this.updateStatus('Ready. Please try again.');
             }, 2000);
         }
         
+        /**
+         * Show the failed expression above the display with the offending
+         * part underlined
+         */
+        showErrorLocation(error) {
+            if (!this.historyElement) return;
+            
+            const { expression } = error;
+            const { start, end } = error.span;
+            const mark = document.createElement('mark');
+            mark.className = 'calc-error-span';
+            mark.textContent = expression.slice(start, end);
+            
+            this.historyElement.textContent = '';
+            this.historyElement.append(expression.slice(0, start), mark, expression.slice(end));
+            this.historyElement.setAttribute(
+                'aria-label',
+                `Error in ${expression} at position ${error.getPosition()}, near ${mark.textContent}`
+            );
+        }
+        
         /**
          * Update calculator display
          */
@@ -847,16 +7792,206 @@
                     this.displayElement.classList.remove('display-update');
                 }, 100);
             }
+            
+            this.updateStack();
+            this.updateBases();
+            this.updateMemory();
+            this.updateUndoControls();
+        }
+        
+        /**
+         * Show the displayed value in hex, decimal, octal and binary
+         * (programmer mode)
+         */
+        updateBases() {
+            if (!this.basesElement) return;
+            
+            const bases = this.state.getIntegerBases();
+            this.basesElement.querySelectorAll('[data-base]').forEach(element => {
+                element.textContent = bases ? bases[element.dataset.base] : '';
+            });
+        }
+        
+        /**
+         * Render the visible RPN stack levels (deepest first, level 1 last)
+         */
+        updateStack() {
+            if (!this.stackElement) return;
+            
+            this.stackElement.textContent = '';
+            if (!this.state.isStackMode()) return;
+            
+            const levels = this.state.getStack();
+            for (let level = CONFIG.RPN_VISIBLE_LEVELS; level >= 1; level--) {
+                const value = levels[level - 1];
+                const item = document.createElement('li');
+                item.className = 'calc-stack-level';
+                
+                const label = document.createElement('span');
+                label.textContent = `${level}:`;
+                const content = document.createElement('span');
+                content.textContent = value !== undefined ? this.state.formatValue(value) : '';
+                
+                item.append(label, content);
+                this.stackElement.appendChild(item);
+            }
+            
+            const hiddenLevels = levels.length - CONFIG.RPN_VISIBLE_LEVELS;
+            this.stackElement.setAttribute('aria-label', hiddenLevels > 0
+                ? `RPN stack, ${levels.length} levels (${hiddenLevels} not shown)`
+                : `RPN stack, ${levels.length} levels`);
+        }
+        
+        /**
+         * Reflect the current mode in the mode switch and mode-specific keys
+         */
+        updateModeControls() {
+            const stackMode = this.state.isStackMode();
+            
+            this.modeButtons.forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.mode === this.state.mode));
+            });
+            
+            if (this.numberModeSelect) this.numberModeSelect.value = this.state.numberMode;
+            if (this.fractionDisplaySelect) this.fractionDisplaySelect.value = this.state.fractionDisplay;
+            if (this.displayFormatSelect) this.displayFormatSelect.value = this.state.displayFormat;
+            if (this.syntaxModeSelect) this.syntaxModeSelect.value = this.state.syntaxMode;
+            if (this.wordSizeSelect) this.wordSizeSelect.value = String(this.state.wordSize);
+            if (this.signednessSelect) this.signednessSelect.value = this.state.signedIntegers ? 'signed' : 'unsigned';
+            
+            if (this.stackElement) this.stackElement.hidden = !stackMode;
+            if (this.stackKeysElement) this.stackKeysElement.hidden = !stackMode;
+            if (this.expressionKeysElement) this.expressionKeysElement.hidden = !this.state.isExpressionMode();
+            
+            if (this.fractionDisplaySelect) {
+                const fractionControl = this.fractionDisplaySelect.closest('.calc-option') || this.fractionDisplaySelect;
+                fractionControl.hidden = this.state.numberMode !== CONFIG.NUMBER_MODES.RATIONAL;
+            }
+            
+            const programmerMode = this.state.isProgrammerMode();
+            [this.wordSizeSelect, this.signednessSelect].forEach(select => {
+                if (select) (select.closest('.calc-option') || select).hidden = !programmerMode;
+            });
+            if (this.basesElement) this.basesElement.hidden = !programmerMode;
+            if (this.programmerKeysElement) this.programmerKeysElement.hidden = !programmerMode;
+            // Base literals are typed into an expression
+            if (this.hexKeysElement) this.hexKeysElement.hidden = !programmerMode || !this.state.isExpressionMode();
+            // Units need fractional values
+            if (this.converterElement) this.converterElement.hidden = programmerMode;
+            
+            if (this.equalsButton) {
+                this.equalsButton.textContent = stackMode ? 'ENTER' : '=';
+                this.equalsButton.setAttribute('aria-label', stackMode ? 'Enter onto stack' : 'Equals');
+            }
+        }
+        
+        /**
+         * Enable the undo and redo buttons when there is something to undo
+         * or redo, naming the change in their labels
+         */
+        updateUndoControls() {
+            const undoStack = this.state.undoStack;
+            const controls = [
+                [this.undoButton, 'Undo', undoStack.nextUndo()],
+                [this.redoButton, 'Redo', undoStack.nextRedo()]
+            ];
+            
+            for (const [button, verb, label] of controls) {
+                if (!button) continue;
+                button.disabled = label === null;
+                button.setAttribute('aria-label', label === null ? verb : `${verb} ${label}`);
+            }
+        }
+        
+        /**
+         * Show the memory indicator and a button per variable that inserts it
+         */
+        updateMemory() {
+            if (this.memoryIndicator) {
+                this.memoryIndicator.hidden = !this.state.hasMemory();
+            }
+            
+            if (!this.variablesElement) return;
+            
+            const entries = this.state.variables.entries();
+            this.variablesElement.textContent = '';
+            for (const [name, value] of entries) {
+                const item = document.createElement('li');
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'calc-btn calc-variable';
+                button.dataset.action = CONFIG.ACTIONS.VARIABLE;
+                button.dataset.variable = name;
+                button.textContent = `${name} = ${this.state.formatValue(value)}`;
+                button.setAttribute('aria-label', `Insert ${name}, currently ${this.state.formatValue(value)}`);
+                item.appendChild(button);
+                this.variablesElement.appendChild(item);
+            }
+            this.variablesElement.hidden = entries.length === 0;
+        }
+        
+        /**
+         * Show a keypad button for each registered operator; those that
+         * replace a built-in keep the built-in's button
+         */
+        renderCustomOperators() {
+            if (!this.customKeysElement) return;
+            
+            const operations = OperationFactory.getRegisteredOperations()
+                .filter(operation => !OperationFactory.isBuiltIn(operation.symbol));
+            
+            this.customKeysElement.textContent = '';
+            for (const operation of operations) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'calc-btn operator';
+                button.dataset.action = operation.symbol;
+                button.setAttribute('aria-label', operation.label);
+                button.textContent = operation.symbol;
+                this.customKeysElement.appendChild(button);
+            }
+            this.customKeysElement.hidden = operations.length === 0;
+        }
+        
+        /**
+         * Fill the unit picker from UnitRegistry: the dimensions, then the
+         * units of the chosen dimension, keeping the current choices
+         */
+        renderUnitPicker() {
+            if (!this.unitDimensionSelect || !this.unitFromSelect || !this.unitToSelect) return;
+            
+            const fill = (select, items, fallback) => {
+                const previous = select.value;
+                select.textContent = '';
+                for (const [value, label] of items) {
+                    select.add(new Option(label, value));
+                }
+                const values = items.map(([value]) => value);
+                select.value = values.includes(previous) ? previous : values[fallback] || values[0] || '';
+            };
+            
+            const dimensions = UnitRegistry.getDimensions();
+            fill(this.unitDimensionSelect, dimensions.map(dimension =>
+                [dimension, dimension.charAt(0).toUpperCase() + dimension.slice(1)]
+            ), 0);
+            
+            const units = UnitRegistry.getUnits(this.unitDimensionSelect.value)
+                .map(unit => [unit.symbol, `${unit.name} (${unit.symbol})`]);
+            fill(this.unitFromSelect, units, 0);
+            fill(this.unitToSelect, units, 1);
         }
         
         /**
          * Update calculation history display
          */
         updateHistory() {
+            this.renderHistoryPanel();
+            
+            // The line above the display shows the calculation just made;
+            // clearing blanks it while the panel keeps the full history
             if (this.historyElement) {
-                const history = this.state.getHistory();
-                if (history.length > 0) {
-                    const lastEntry = history[history.length - 1];
+                const lastEntry = this.state.getLastCalculation();
+                if (lastEntry) {
                     this.historyElement.textContent = lastEntry.expression;
                     this.historyElement.setAttribute('aria-label', `Previous: ${lastEntry.expression}`);
                 } else {
@@ -866,6 +8001,116 @@
             }
         }
         
+        /**
+         * List the history entries matching the search box, newest first,
+         * each with a recall button and a delete button
+         */
+        renderHistoryPanel() {
+            if (!this.historyList) return;
+            
+            const history = this.state.history;
+            const query = this.historySearch ? this.historySearch.value : '';
+            const entries = history.search(query).reverse();
+            
+            this.historyList.textContent = '';
+            entries.forEach((entry, index) => {
+                const item = document.createElement('li');
+                item.className = 'calc-history-item';
+                
+                const recall = document.createElement('button');
+                recall.type = 'button';
+                recall.className = 'calc-history-entry';
+                recall.dataset.historyId = String(entry.id);
+                recall.textContent = `${entry.expression} = ${entry.result}`;
+                recall.setAttribute('aria-label', `Recall ${entry.result}, the result of ${entry.expression}`);
+                recall.setAttribute('aria-keyshortcuts', 'Delete');
+                recall.tabIndex = index === 0 ? 0 : -1;
+                
+                // Keyboard users press Delete on the entry instead, so this stays
+                // out of the tab order
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'calc-history-delete';
+                remove.dataset.historyId = String(entry.id);
+                remove.tabIndex = -1;
+                remove.textContent = '×';
+                remove.setAttribute('aria-label', `Delete ${entry.expression} from history`);
+                
+                item.append(recall, remove);
+                this.historyList.appendChild(item);
+            });
+            
+            this.renderHistoryFormula(entries[0] || null);
+            
+            if (this.historyEmptyMessage) {
+                this.historyEmptyMessage.hidden = entries.length > 0;
+                this.historyEmptyMessage.textContent = history.length > 0
+                    ? 'No matching calculations'
+                    : 'No calculations yet';
+            }
+            if (this.historyClearButton) {
+                this.historyClearButton.disabled = history.length === 0;
+            }
+            if (this.historyPersistToggle) {
+                this.historyPersistToggle.disabled = !history.hasStorage();
+                this.historyPersistToggle.checked = history.persistent;
+            }
+        }
+        
+        /**
+         * Show a history entry as typeset maths (MathML), so screen readers
+         * get the structure of the expression rather than its symbols. The
+         * LaTeX form is kept in data-latex for other page components.
+         * Entries that are not infix (RPN keystrokes) are not shown.
+         */
+        renderHistoryFormula(entry) {
+            if (!this.historyFormula) return;
+            
+            let tree = null;
+            if (entry) {
+                try {
+                    tree = this.engine.parse(entry.expression);
+                } catch (error) {
+                    tree = null;
+                }
+            }
+            
+            this.historyFormula.textContent = '';
+            this.historyFormula.hidden = tree === null;
+            if (tree === null) {
+                delete this.historyFormula.dataset.latex;
+                return;
+            }
+            
+            const label = document.createElement('span');
+            label.className = 'visually-hidden';
+            label.textContent = 'Formula: ';
+            this.historyFormula.append(
+                label,
+                this._createMathElement(ExpressionPrinter.toMathMLTree(tree)),
+                ` = ${entry.result}`
+            );
+            this.historyFormula.dataset.latex = ExpressionPrinter.toLatex(tree);
+        }
+        
+        /**
+         * Build DOM nodes from an ExpressionPrinter MathML element tree
+         * @private
+         */
+        _createMathElement(element) {
+            if (typeof element === 'string') {
+                return document.createTextNode(element);
+            }
+            
+            const node = document.createElementNS(CONFIG.MATHML_NAMESPACE, element.tag);
+            for (const [name, value] of Object.entries(element.attributes)) {
+                // The namespace comes from createElementNS
+                if (name !== 'xmlns') node.setAttribute(name, value);
+            }
+            node.append(...element.children.map(child => this._createMathElement(child)));
+            return node;
+        }
+        
         /**
          * Update status message
          */
@@ -898,17 +8143,229 @@
                 historyLength: this.state.history.length,
                 lastCalculation: this.state.getLastCalculation(),
                 currentInput: this.state.currentInput,
-                hasOperator: !!this.state.operator
+                hasOperator: !!this.state.operator,
+                expression: this.state.expression,
+                mode: this.state.mode,
+                numberMode: this.state.numberMode,
+                fractionDisplay: this.state.fractionDisplay,
+                displayFormat: this.state.displayFormat,
+                syntaxMode: this.state.syntaxMode,
+                wordSize: this.state.wordSize,
+                signedIntegers: this.state.signedIntegers,
+                explainCalculations: this.state.explainCalculations,
+                backgroundEvaluation: this.engineWorker !== null,
+                evaluationTimeout: this.evaluationTimeout,
+                calculating: this.backgroundRequest !== null,
+                eventHandlers: this.events.count(),
+                variables: this.state.variables.names(),
+                hasMemory: this.state.hasMemory(),
+                canUndo: this.state.undoStack.canUndo(),
+                canRedo: this.state.undoStack.canRedo(),
+                stackDepth: this.state.stack.length
             };
         }
     }
     
     /**
      * =========================================================================
-     * 9. PUBLIC API & INITIALIZATION
+     * 11. PUBLIC API & INITIALIZATION
      * =========================================================================
      */
     
+    /**
+     * Times the engine over a fixed corpus of expressions. Each case builds
+     * its expression from the iteration number so every call is parsed
+     * afresh rather than read from the compile cache; "compiled function"
+     * is the exception and measures CompiledExpression.evaluate.
+     */
+    class CalculatorBenchmark {
+        constructor(options = {}) {
+            this.iterations = CalculatorBenchmark.validateCount(
+                options.iterations ?? CONFIG.BENCHMARK.ITERATIONS, 'iterations', 1);
+            this.warmup = CalculatorBenchmark.validateCount(
+                options.warmup ?? CONFIG.BENCHMARK.WARMUP, 'warmup', 0);
+            this.baseline = options.baseline || CONFIG.BENCHMARK_BASELINE;
+        }
+        
+        static validateCount(value, name, minimum) {
+            if (!Number.isInteger(value) || value < minimum) {
+                throw new CalculatorError(
+                    `Benchmark ${name} must be an integer of at least ${minimum}`,
+                    CalculatorError.ERROR_TYPES.INVALID_INPUT
+                );
+            }
+            return value;
+        }
+        
+        /**
+         * The cases run, in order. expectError is the error type a case
+         * should fail with; any other outcome counts as unexpected.
+         */
+        static get CORPUS() {
+            const ERRORS = CalculatorError.ERROR_TYPES;
+            return [
+                { name: 'simple', category: 'arithmetic', expression: (i) => `${i}+${i * 2}` },
+                { name: 'deep nesting', category: 'nesting',
+                    expression: (i) => '('.repeat(50) + i + ')'.repeat(50) },
+                { name: 'long chain', category: 'chain',
+                    expression: (i) => Array.from({ length: 100 }, (_, k) => i + k).join('+') },
+                { name: 'decimals', category: 'decimal',
+                    expression: (i) => `${i}.5+0.2*3.75-1.5/0.3` },
+                { name: 'functions', category: 'function',
+                    expression: (i) => `sqrt(${i})+sin(${i})*abs(-${i})` },
+                { name: 'percent and mod', category: 'operator',
+                    expression: (i) => `200+${i}%-${i} mod 7` },
+                { name: 'compiled function', category: 'compiled', compiled: 'i+i*2' },
+                { name: 'division by zero', category: 'error',
+                    expression: (i) => `${i}/0`, expectError: ERRORS.DIVISION_BY_ZERO },
+                { name: 'syntax error', category: 'error',
+                    expression: (i) => `${i}+*3`, expectError: ERRORS.SYNTAX_ERROR }
+            ];
+        }
+        
+        /**
+         * Nearest-rank percentile of ascending samples
+         */
+        static percentile(sorted, p) {
+            const rank = Math.ceil((p / 100) * sorted.length);
+            return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+        }
+        
+        /**
+         * How many times faster the second case ran than the first, from
+         * their medians, which a GC pause does not move. A coarse clock
+         * (browsers) can round single fast calls to 0; then only the means
+         * are left to compare.
+         */
+        static speedup(slower, faster) {
+            return slower.p50 > 0 && faster.p50 > 0
+                ? slower.p50 / faster.p50
+                : slower.mean / Math.max(faster.mean, Number.EPSILON);
+        }
+        
+        /**
+         * How a median compares with the baseline one: ratio above 1 is
+         * faster. Null when the baseline has no figure for the case.
+         */
+        compare(p50, baselineP50) {
+            if (!(baselineP50 > 0)) {
+                return null;
+            }
+            const ratio = baselineP50 / Math.max(p50, Number.EPSILON);
+            const tolerance = CONFIG.BENCHMARK.TOLERANCE;
+            const status = ratio > 1 + tolerance ? 'faster'
+                : ratio < 1 - tolerance ? 'slower' : 'similar';
+            return { p50: baselineP50, ratio, status };
+        }
+        
+        run() {
+            const cases = CalculatorBenchmark.CORPUS.map((benchmarkCase) => this.runCase(benchmarkCase));
+            const samples = cases.flatMap((result) => result.samples).sort((a, b) => a - b);
+            const totalTime = cases.reduce((sum, result) => sum + result.totalTime, 0);
+            const operations = cases.length * this.iterations;
+            
+            // Overall change is the geometric mean of the per-case ratios
+            const compared = cases.filter((result) => result.baseline);
+            const ratio = compared.length
+                ? Math.exp(compared.reduce((sum, result) => sum + Math.log(result.baseline.ratio), 0) / compared.length)
+                : null;
+            const baseline = ratio === null ? null : {
+                recorded: this.baseline.recorded || null,
+                ratio,
+                status: this.compare(1 / ratio, 1).status
+            };
+            const byName = Object.fromEntries(cases.map((result) => [result.name, result]));
+            
+            cases.forEach((result) => delete result.samples);
+            return {
+                iterations: this.iterations,
+                warmup: this.warmup,
+                operations,
+                totalTime,
+                averageTime: totalTime / operations,
+                opsPerSecond: operations / Math.max(totalTime, Number.EPSILON) * 1000,
+                p50: CalculatorBenchmark.percentile(samples, 50),
+                p95: CalculatorBenchmark.percentile(samples, 95),
+                p99: CalculatorBenchmark.percentile(samples, 99),
+                errors: cases.reduce((sum, result) => sum + result.errors, 0),
+                unexpected: cases.reduce((sum, result) => sum + result.unexpected, 0),
+                compiledSpeedup: CalculatorBenchmark.speedup(byName['simple'], byName['compiled function']),
+                baseline,
+                performance: baseline === null ? 'unknown'
+                    : { faster: 'excellent', similar: 'good', slower: 'degraded' }[baseline.status],
+                cases
+            };
+        }
+        
+        /**
+         * Time one case: warm-up calls first, then each call timed on its
+         * own so the percentiles are of single calls. Browsers coarsen
+         * performance.now, so there the fastest cases can round to 0.
+         */
+        runCase(benchmarkCase) {
+            // Expressions built per iteration would only crowd the page's
+            // programs out of the shared compile cache
+            const engine = new CalculationEngine({ cache: false });
+            const compiled = benchmarkCase.compiled ? engine.compile(benchmarkCase.compiled) : null;
+            const outcome = { errors: 0, unexpected: 0, lastUnexpected: null };
+            const call = (i) => {
+                let errorType = null;
+                try {
+                    if (compiled) {
+                        compiled.evaluate({ i });
+                    } else {
+                        engine.calculate(benchmarkCase.expression(i));
+                    }
+                } catch (error) {
+                    errorType = error instanceof CalculatorError ? error.type : error.name;
+                    outcome.errors++;
+                    if (errorType !== benchmarkCase.expectError) {
+                        outcome.lastUnexpected = error.message;
+                    }
+                }
+                if (errorType !== (benchmarkCase.expectError || null)) {
+                    outcome.unexpected++;
+                }
+            };
+            
+            for (let i = 0; i < this.warmup; i++) {
+                call(i);
+            }
+            outcome.errors = 0;
+            outcome.unexpected = 0;
+            outcome.lastUnexpected = null;
+            
+            const samples = [];
+            let totalTime = 0;
+            for (let i = 0; i < this.iterations; i++) {
+                const start = performance.now();
+                call(this.warmup + i);
+                const elapsed = performance.now() - start;
+                totalTime += elapsed;
+                samples.push(elapsed);
+            }
+            
+            const sorted = samples.slice().sort((a, b) => a - b);
+            const p50 = CalculatorBenchmark.percentile(sorted, 50);
+            return {
+                name: benchmarkCase.name,
+                category: benchmarkCase.category,
+                iterations: this.iterations,
+                totalTime,
+                mean: totalTime / this.iterations,
+                p50,
+                p95: CalculatorBenchmark.percentile(sorted, 95),
+                p99: CalculatorBenchmark.percentile(sorted, 99),
+                opsPerSecond: this.iterations / Math.max(totalTime, Number.EPSILON) * 1000,
+                errors: outcome.errors,
+                unexpected: outcome.unexpected,
+                lastUnexpected: outcome.lastUnexpected,
+                baseline: this.compare(p50, (this.baseline.cases || {})[benchmarkCase.name]),
+                samples
+            };
+        }
+    }
+    
     // Global calculator instance
     let calculatorInstance = null;
     
@@ -942,9 +8399,13 @@
                             const engine = new CalculationEngine();
                             return engine.calculate(expr);
                         } catch (error) {
-                            return error.message;
+                            return error.hasLocation?.()
+                                ? `${error.message} at position ${error.getPosition()}`
+                                : error.message;
                         }
-                    }
+                    },
+                    // Step-by-step trace as plain data; errors are part of it
+                    explain: (expr) => new CalculationEngine().explain(expr).toJSON()
                 };
             }
             
@@ -962,7 +8423,114 @@
         init: initCalculator,
         version: '2.0.0',
         
-        // Security verification method
+        /**
+         * Add an operator to the engine and the keypad, e.g.
+         *   registerOperation({ symbol: '<>', precedence: 1, execute: (a, b) => Math.abs(a - b) })
+         * See OperationFactory.register for the definition fields. execute
+         * works in floating point, even in decimal and rational modes.
+         * @param {Object} definition - { symbol, precedence, associativity, arity, execute, label }
+         * @param {Object} options - { override: true } to replace an existing operator
+         */
+        registerOperation: function(definition, options = {}) {
+            const operation = OperationFactory.register(definition, options);
+            calculatorInstance?.renderCustomOperators();
+            return { symbol: operation.symbol, precedence: operation.precedence,
+                arity: operation.arity, associativity: operation.associativity };
+        },
+        
+        /**
+         * Remove a registered operator (restoring a built-in it replaced)
+         */
+        unregisterOperation: function(symbol) {
+            const removed = OperationFactory.unregister(symbol);
+            calculatorInstance?.renderCustomOperators();
+            return removed;
+        },
+        
+        /**
+         * Add a unit for conversions and the unit picker, e.g.
+         *   registerUnit({ symbol: 'ly', name: 'light year', dimension: 'length', factor: '9460730472580800' })
+         * See UnitRegistry.register for the definition fields.
+         * @param {Object} definition - { symbol, name, dimension, factor, offset }
+         * @param {Object} options - { override: true } to replace an existing unit
+         */
+        registerUnit: function(definition, options = {}) {
+            const unit = UnitRegistry.register(definition, options);
+            calculatorInstance?.renderUnitPicker();
+            return { symbol: unit.symbol, name: unit.name, dimension: unit.dimension,
+                factor: unit.factor, offset: unit.offset };
+        },
+        
+        /**
+         * Remove a registered unit (restoring a built-in it replaced)
+         */
+        unregisterUnit: function(symbol) {
+            const removed = UnitRegistry.unregister(symbol);
+            calculatorInstance?.renderUnitPicker();
+            return removed;
+        },
+        
+        /**
+         * Parse an expression into its syntax tree without evaluating it,
+         * e.g. parse('2*(x+1)') gives a 'binary' node for '*'
+         * @returns {ExpressionNode} - Nodes typed by CONFIG.NODE_TYPES
+         * @throws {CalculatorError} - For syntax errors, with their position
+         */
+        parse: function(expression) {
+            return new CalculationEngine().parse(expression);
+        },
+        
+        /**
+         * Write an expression (or a tree from parse) as normalised infix,
+         * LaTeX or MathML markup
+         * @param {string|ExpressionNode} expression
+         * @param {string} format - 'infix' (default), 'latex' or 'mathml'
+         */
+        format: function(expression, format = CONFIG.EXPRESSION_FORMATS.INFIX) {
+            const tree = expression instanceof ExpressionNode
+                ? expression
+                : new CalculationEngine().parse(expression);
+            return ExpressionPrinter.format(tree, format);
+        },
+        
+        /**
+         * Subscribe to calculator events: 'input', 'operator', 'result',
+         * 'error' or 'clear'. Works before the calculator has started. e.g.
+         *   const stop = on('result', ({ expression, value, display }) => ...)
+         * @param {string} event - One of CONFIG.CALCULATOR_EVENTS
+         * @param {Function} handler - Called with { type, ...detail }
+         * @returns {Function} - Call it to unsubscribe
+         */
+        on: function(event, handler) {
+            return calculatorEvents.on(event, handler);
+        },
+        
+        /**
+         * Run "=" in a background worker with a time limit, e.g.
+         *   configureEvaluation({ worker: true, timeout: 2000 })
+         * @param {Object} options - { worker: boolean, timeout: milliseconds }
+         * @returns {{worker: boolean, timeout: number}|null} - The settings
+         *   in use, or null before the calculator is initialized
+         */
+        configureEvaluation: function(options = {}) {
+            return calculatorInstance ? calculatorInstance.configureEvaluation(options) : null;
+        },
+        
+        /**
+         * Compile an expression for repeated evaluation, e.g.
+         *   const f = compile('x^2 + 1'); f.evaluate({ x: 3 }) // 10
+         * @param {string} expression
+         * @param {Object} options - Engine settings: { numberMode, precision,
+         *   wordSize, signed, syntaxMode }
+         * @returns {CompiledExpression}
+         * @throws {CalculatorError} - For syntax errors, with their position
+         */
+        compile: function(expression, options = {}) {
+            return new CalculationEngine(options).compile(expression);
+        },
+        
+        // Security verification method; limits are the resource bounds
+        // every expression is held to (CONFIG.LIMITS)
         verifySecurity: function() {
             return {
                 hasEval: typeof eval === 'function',
@@ -970,34 +8538,38 @@
                 hasExternalDeps: false,
                 hasNetworkAccess: false,
                 dataCollection: false,
+                limits: { ...CONFIG.LIMITS },
                 timestamp: new Date().toISOString(),
                 securityLevel: 'MAXIMUM'
             };
         },
         
-        // Performance test
-        benchmark: function(iterations = 1000) {
-            const start = performance.now();
-            const engine = new CalculationEngine();
-            
-            for (let i = 0; i < iterations; i++) {
-                try {
-                    engine.calculate(`${i}+${i * 2}`);
-                } catch (e) {
-                    // Ignore for benchmark
-                }
-            }
-            
-            const end = performance.now();
-            return {
-                iterations,
-                totalTime: end - start,
-                averageTime: (end - start) / iterations,
-                performance: 'excellent'
-            };
+        /**
+         * Time the engine over the benchmark corpus (deep nesting, long
+         * chains, decimals, functions, error paths...) and compare with
+         * CONFIG.BENCHMARK_BASELINE, e.g. benchmark({ iterations: 500 })
+         * @param {number|Object} options - Iterations per case, or
+         *   { iterations, warmup, baseline } where baseline has the shape
+         *   of CONFIG.BENCHMARK_BASELINE
+         * @returns {Object} - Percentiles and means in milliseconds per
+         *   call, ops/sec, error counts, the baseline verdict and a report
+         *   for each case
+         */
+        benchmark: function(options = {}) {
+            const settings = typeof options === 'number' ? { iterations: options } : options;
+            return new CalculatorBenchmark(settings).run();
         }
     };
     
+    // Loaded as the engine worker (see EngineWorkerClient): answer requests
+    if (typeof importScripts === 'function' && typeof document === 'undefined') {
+        self.addEventListener('message', (event) => {
+            if (event.data && event.data.type === CONFIG.WORKER_MESSAGES.CALCULATE) {
+                self.postMessage(runEngineRequest(event.data));
+            }
+        });
+    }
+    
     // Auto-initialize when script loads
     if (typeof window !== 'undefined' && typeof document !== 'undefined') {
         // Use requestAnimationFrame for smooth initialization
@@ -1006,9 +8578,19 @@
         });
     }
     
-    // Export for module systems
+    // Export for module systems: the page API plus the engine, its errors
+    // and registries for headless use (bin/onionforge-calc.js)
     if (typeof module !== 'undefined' && module.exports) {
-        module.exports = OnionForgeCalculator;
+        module.exports = {
+            ...OnionForgeCalculator,
+            CONFIG,
+            CalculationEngine,
+            CalculatorError,
+            OperationFactory,
+            FunctionRegistry,
+            UnitRegistry,
+            VariableStore
+        };
     } else if (typeof window !== 'undefined') {
         window.OnionForgeCalculator = OnionForgeCalculator;
     }
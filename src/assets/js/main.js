@@ -771,8 +771,9 @@
             this.setupServiceWorker();
             this.logSecurityVerification();
             
-            // Dispatch app ready event
-            document.dispatchEvent(new CustomEvent('appReady'));
+            // Dispatch app ready event; window.OnionForgeApp is not set yet,
+            // so listeners get the instance in the event detail
+            document.dispatchEvent(new CustomEvent('appReady', { detail: { app: this } }));
         }
         
         /**
@@ -78,6 +78,22 @@ describe('🧮 Calculator End-to-End Tests', () => {
     }
   }, TEST_CONFIG.TIMEOUT);
   
+  // Calculate through the page's test hook; errors come back as their message
+  const calculate = (expression) => page.evaluate(
+    (expr) => window.__ONIONFORGE_CALCULATOR.testCalculation(expr),
+    expression
+  );
+  
+  // Click keypad buttons: digits and the point by number, the rest by action
+  const press = async (keys) => {
+    for (const key of keys) {
+      const selector = /^[0-9.]$/.test(key) ? `[data-number="${key}"]` : `[data-action="${key}"]`;
+      await page.click(`.calc-btn${selector}`);
+    }
+  };
+  
+  const display = () => page.$eval('#display', el => el.textContent);
+  
   describe('Calculator Basic Functionality', () => {
     beforeEach(async () => {
       // Clear calculator before each test
@@ -227,9 +243,10 @@ describe('🧮 Calculator End-to-End Tests', () => {
       await page.click('.calc-btn[data-number="2"]');
       await page.click('.calc-btn[data-number="0"]');
       await page.click('.calc-btn[data-number="0"]');
-      await page.click('.calc-btn[data-action="%"]');
+      await page.click('.calc-btn[data-action="*"]');
       await page.click('.calc-btn[data-number="1"]');
       await page.click('.calc-btn[data-number="0"]');
+      await page.click('.calc-btn[data-action="%"]');
       await page.click('.calc-btn[data-action="="]');
       
       const displayValue = await page.$eval('#display', el => el.textContent);
@@ -262,6 +279,1198 @@ describe('🧮 Calculator End-to-End Tests', () => {
     });
   });
   
+  describe('Calculator Engine Expressions', () => {
+    test('should handle unary minus and plus', async () => {
+      expect(await calculate('-5+3')).toBe(-2);
+      expect(await calculate('2*-4')).toBe(-8);
+      expect(await calculate('(-1)')).toBe(-1);
+      expect(await calculate('+3-+2')).toBe(1);
+      expect(await calculate('3--2')).toBe(5);
+    });
+    
+    test('should bind unary minus tighter than multiplication', async () => {
+      expect(await calculate('-2*3')).toBe(-6);
+      expect(await calculate('-(2+3)*2')).toBe(-10);
+    });
+    
+    test('should evaluate right-associative exponentiation', async () => {
+      expect(await calculate('2^3^2')).toBe(512);
+      expect(await calculate('2**3**2')).toBe(512);
+      expect(await calculate('-2^2')).toBe(-4);
+      expect(await calculate('2*3^2')).toBe(18);
+    });
+    
+    test('should keep left associativity for other operators', async () => {
+      expect(await calculate('1-2-3')).toBe(-4);
+      expect(await calculate('8/2/2')).toBe(2);
+    });
+    
+    test('should report overflow from exponentiation', async () => {
+      expect(await calculate('10^400')).toBe('Numerical overflow at position 3');
+    });
+    
+    test('should evaluate named math functions', async () => {
+      expect(await calculate('sqrt(2)*sin(0.5)')).toBeCloseTo(0.6780100988, 9);
+      expect(await calculate('log(100)+ln(1)')).toBe(2);
+      expect(await calculate('log(8,2)')).toBe(3);
+      expect(await calculate('abs(-3)*round(2.345,2)')).toBe(7.05);
+    });
+    
+    test('should reject domain errors and wrong arity', async () => {
+      expect(await calculate('sqrt(-1)')).toBe('Square root of a negative number at position 1');
+      expect(await calculate('log(0)')).toBe('Logarithm of a non-positive number at position 1');
+      expect(await calculate('sqrt(1,2)')).toBe('sqrt() expects 1 argument, got 2 at position 1');
+      expect(await calculate('alert(1)')).toBe('Unknown function: alert at position 1');
+    });
+    
+    test('should report where syntax errors are', async () => {
+      expect(await calculate('2*(3+4')).toBe('Mismatched parentheses at position 3');
+      expect(await calculate('(1+2))')).toBe('Mismatched parentheses at position 6');
+      expect(await calculate('5+')).toBe('Insufficient operands at position 2');
+      expect(await calculate('2 3')).toBe('Invalid expression format at position 3');
+      expect(await calculate('1.2.3+1')).toBe('Invalid number: 1.2.3 at position 1');
+      expect(await calculate('round(1,)')).toBe('Unexpected argument separator at position 8');
+    });
+    
+    test('should expose the error span and a caret diagram', async () => {
+      const error = await page.evaluate(() => {
+        try {
+          window.__ONIONFORGE_CALCULATOR.getInstance().engine.calculate('1+5/0');
+        } catch (e) {
+          return { span: e.span, token: e.token, expression: e.expression, caret: e.describeLocation() };
+        }
+        return null;
+      });
+      
+      expect(error.span).toEqual({ start: 3, end: 4 });
+      expect(error.token).toBe('/');
+      expect(error.expression).toBe('1+5/0');
+      expect(error.caret.split('\n')[2]).toBe('   ^');
+    });
+  });
+  
+  describe('Calculator Expression Mode', () => {
+    beforeEach(async () => {
+      await page.click('.calc-mode-btn[data-mode="expression"]');
+      await page.waitForTimeout(100);
+    });
+    
+    test('should be the default entry mode', async () => {
+      const pressed = await page.$eval('.calc-mode-btn[data-mode="expression"]', el =>
+        el.getAttribute('aria-pressed')
+      );
+      expect(pressed).toBe('true');
+    });
+    
+    test('should show the whole expression while typing', async () => {
+      await press(['2', '+', '3', '*', '4']);
+      
+      expect(await page.$eval('#display', el => el.textContent)).toBe('2+3*4');
+    });
+    
+    test('should respect precedence and parentheses', async () => {
+      await press(['2', '+', '3', '*', '4', '=']);
+      expect(await page.$eval('#display', el => el.textContent)).toBe('14');
+      
+      await press(['(', '2', '+', '3', ')', '*', '4', '=']);
+      expect(await page.$eval('#display', el => el.textContent)).toBe('20');
+      expect(await page.$eval('#calc-history', el => el.textContent)).toBe('(2+3)*4');
+    });
+    
+    test('should underline the part of the expression that failed', async () => {
+      await press(['1', '+', '5', '/', '0', '=']);
+      
+      expect(await page.$eval('#calc-history .calc-error-span', el => el.textContent)).toBe('/');
+      expect(await page.$eval('#calc-status', el => el.textContent)).toContain('at position 4');
+      await page.click('.calc-btn[data-action="clear"]');
+    });
+    
+    test('should close open parentheses on equals', async () => {
+      await press(['2', '*', '(', '3', '+', '4', '=']);
+      
+      expect(await page.$eval('#display', el => el.textContent)).toBe('14');
+    });
+    
+    test('should keep immediate execution in basic mode', async () => {
+      await page.click('.calc-mode-btn[data-mode="basic"]');
+      await press(['2', '+', '3', '*', '4', '=']);
+      
+      expect(await page.$eval('#display', el => el.textContent)).toBe('20');
+      await page.click('.calc-mode-btn[data-mode="expression"]');
+    });
+  });
+  
+  describe('Calculator RPN Mode', () => {
+    beforeEach(async () => {
+      await page.click('.calc-mode-btn[data-mode="rpn"]');
+      await page.waitForTimeout(100);
+    });
+    
+    afterAll(async () => {
+      await page.click('.calc-mode-btn[data-mode="expression"]');
+    });
+    
+    const stackLevels = () => page.$$eval('#calc-stack .calc-stack-level', items =>
+      items.map(item => item.lastElementChild.textContent)
+    );
+    
+    test('should show the stack and stack keys', async () => {
+      const stackHidden = await page.$eval('#calc-stack', el => el.hidden);
+      const keysHidden = await page.$eval('.calc-stack-keys', el => el.hidden);
+      
+      expect(stackHidden).toBe(false);
+      expect(keysHidden).toBe(false);
+    });
+    
+    test('should apply operators straight to the stack', async () => {
+      await page.click('.calc-btn[data-number="3"]');
+      await page.click('.calc-btn[data-action="="]');
+      await page.click('.calc-btn[data-number="4"]');
+      await page.click('.calc-btn[data-action="+"]');
+      
+      expect(await page.$eval('#display', el => el.textContent)).toBe('7');
+      expect(await page.$eval('#calc-history', el => el.textContent)).toBe('3 4 +');
+    });
+    
+    test('should swap, duplicate and drop stack levels', async () => {
+      await page.click('.calc-btn[data-number="8"]');
+      await page.click('.calc-btn[data-action="="]');
+      await page.click('.calc-btn[data-number="2"]');
+      await page.click('.calc-btn[data-action="swap"]');
+      
+      expect(await stackLevels()).toEqual(['', '', '2', '8']);
+      
+      await page.click('.calc-btn[data-action="dup"]');
+      expect(await stackLevels()).toEqual(['', '2', '8', '8']);
+      
+      await page.click('.calc-btn[data-action="drop"]');
+      await page.click('.calc-btn[data-action="/"]');
+      expect(await page.$eval('#display', el => el.textContent)).toBe('0.25');
+    });
+  });
+  
+  describe('Calculator Exact Decimal Mode', () => {
+    beforeEach(async () => {
+      await page.select('#calc-number-mode', 'decimal');
+      await page.waitForTimeout(100);
+    });
+    
+    afterAll(async () => {
+      await page.select('#calc-number-mode', 'float');
+    });
+    
+    test('should keep every digit of a division', async () => {
+      await page.click('.calc-btn[data-number="1"]');
+      await page.click('.calc-btn[data-action="/"]');
+      await page.click('.calc-btn[data-number="3"]');
+      await page.click('.calc-btn[data-action="="]');
+      
+      // Auto notation rounds to fit the display; fixed shows every digit
+      expect(await page.$eval('#display', el => el.textContent)).toBe('0.33333333333333');
+      
+      await page.select('#calc-display-format', 'fixed');
+      expect(await page.$eval('#display', el => el.textContent)).toBe('0.3333333333333333333333333333333333');
+      await page.select('#calc-display-format', 'auto');
+    });
+    
+    test('should not round very small results away', async () => {
+      await press([...'0.000000000001', '*', '3', '=']);
+      
+      const displayValue = await page.$eval('#display', el => el.textContent);
+      expect(displayValue).toBe('0.000000000003');
+    });
+  });
+  
+  describe('Calculator Fraction Mode', () => {
+    beforeEach(async () => {
+      await page.select('#calc-number-mode', 'rational');
+      await page.select('#calc-fraction-display', 'fraction');
+      await page.waitForTimeout(100);
+    });
+    
+    afterAll(async () => {
+      await page.select('#calc-number-mode', 'float');
+    });
+    
+    test('should evaluate fractions exactly', async () => {
+      // 1/3 + 1/6 entered on the RPN stack
+      await page.click('.calc-mode-btn[data-mode="rpn"]');
+      await press(['1', '=', '3', '/', '1', '=', '6', '/', '+']);
+      
+      expect(await page.$eval('#display', el => el.textContent)).toBe('1/2');
+      await page.click('.calc-mode-btn[data-mode="expression"]');
+    });
+    
+    test('should toggle between fraction, mixed number and decimal', async () => {
+      await page.click('.calc-btn[data-number="7"]');
+      await page.click('.calc-btn[data-action="/"]');
+      await page.click('.calc-btn[data-number="4"]');
+      await page.click('.calc-btn[data-action="="]');
+      
+      expect(await page.$eval('#display', el => el.textContent)).toBe('7/4');
+      
+      await page.select('#calc-fraction-display', 'mixed');
+      expect(await page.$eval('#display', el => el.textContent)).toBe('1 3/4');
+      
+      await page.select('#calc-fraction-display', 'decimal');
+      expect(await page.$eval('#display', el => el.textContent)).toBe('1.75');
+    });
+  });
+  
+  describe('Calculator Scientific Notation', () => {
+    beforeEach(async () => {
+      await page.click('.calc-btn[data-action="clear"]');
+      await page.waitForTimeout(100);
+    });
+    
+    afterAll(async () => {
+      await page.select('#calc-display-format', 'auto');
+    });
+    
+    test('should accept exponent literals', async () => {
+      expect(await calculate('6.02e23*2')).toBe(1.204e24);
+      expect(await calculate('1.6E-19*2')).toBe(3.2e-19);
+      expect(await calculate('2e+3+1')).toBe(2001);
+      expect(await calculate('1e')).toBe('Unknown function: e at position 2');
+    });
+    
+    test('should keep whole numbers exact and remove only binary noise', async () => {
+      expect(await calculate('2^53')).toBe(9007199254740992);
+      expect(await calculate('123456789012')).toBe(123456789012);
+      expect(await calculate('0.1+0.2')).toBe(0.3);
+      
+      await page.select('#calc-display-format', 'fixed');
+      await press(['1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '1', '2', '+', '0', '=']);
+      expect(await page.$eval('#display', el => el.textContent)).toBe('123456789012');
+    });
+    
+    test('should enter exponents with the EE key', async () => {
+      await press(['6', '.', '0', '2', 'exp', '2', '3', '*', '2', '=']);
+      
+      expect(await page.$eval('#display', el => el.textContent)).toBe('1.204e24');
+    });
+    
+    test('should switch to scientific notation when a result does not fit', async () => {
+      await press(['2', '^', '1', '0', '0', '=']);
+      
+      const displayValue = await page.$eval('#display', el => el.textContent);
+      expect(displayValue).toBe('1.26765060023e30');
+      expect(displayValue.length).toBeLessThanOrEqual(16);
+    });
+    
+    test('should format results in the chosen notation', async () => {
+      await press(['1', '2', '3', '4', '5', '*', '1', '0', '=']);
+      expect(await page.$eval('#display', el => el.textContent)).toBe('123450');
+      
+      await page.select('#calc-display-format', 'scientific');
+      expect(await page.$eval('#display', el => el.textContent)).toBe('1.2345e5');
+      
+      await page.select('#calc-display-format', 'engineering');
+      expect(await page.$eval('#display', el => el.textContent)).toBe('123.45e3');
+    });
+  });
+  
+  describe('Calculator Custom Operations', () => {
+    const register = (definition, options) => page.evaluate((source, opts) => {
+      try {
+        const { symbol, precedence, arity, associativity, body } = source;
+        const execute = body === 'distance' ? (a, b) => Math.abs(a - b) : (a) => a * 2;
+        return window.OnionForgeCalculator.registerOperation({ symbol, precedence, arity, associativity, execute }, opts);
+      } catch (error) {
+        return error.message;
+      }
+    }, definition, options);
+    
+    beforeEach(async () => {
+      await page.click('.calc-btn[data-action="clear"]');
+    });
+    
+    afterAll(async () => {
+      await page.evaluate(() => {
+        window.OnionForgeCalculator.unregisterOperation('<>');
+        window.OnionForgeCalculator.unregisterOperation('!');
+      });
+    });
+    
+    test('should register an infix operator for the engine and keypad', async () => {
+      const result = await register({ symbol: '<>', precedence: 1, body: 'distance' });
+      expect(result.symbol).toBe('<>');
+      
+      expect(await calculate('7<>10')).toBe(3);
+      expect(await calculate('1+7<>10*2')).toBe(12);
+      
+      await page.click('.calc-btn[data-number="7"]');
+      await page.click('.calc-custom-keys .calc-btn[data-action="<>"]');
+      await page.click('.calc-btn[data-number="1"]');
+      await page.click('.calc-btn[data-number="0"]');
+      await page.click('.calc-btn[data-action="="]');
+      expect(await page.$eval('#display', el => el.textContent)).toBe('3');
+    });
+    
+    test('should register prefix operators', async () => {
+      await register({ symbol: '!', precedence: 3, arity: 1, body: 'double' });
+      
+      expect(await calculate('2*!3')).toBe(12);
+      expect(await calculate('2!3')).toBe('Operator ! must come before its operand at position 2');
+    });
+    
+    test('should validate definitions against the tokenizer', async () => {
+      expect(await register({ symbol: 'x', precedence: 1, body: 'distance' }))
+        .toContain('symbol must be 1 to 3 of the characters');
+      expect(await register({ symbol: '<>', precedence: 'high', body: 'distance' }))
+        .toBe('Invalid operation definition: precedence must be a finite number');
+    });
+    
+    test('should refuse to shadow built-ins unless asked', async () => {
+      expect(await register({ symbol: '-', precedence: 1, body: 'distance' }))
+        .toBe('Operator - is already defined; pass { override: true } to replace it');
+      
+      await register({ symbol: '-', precedence: 1, body: 'distance' }, { override: true });
+      expect(await calculate('3-10')).toBe(7);
+      
+      await page.evaluate(() => window.OnionForgeCalculator.unregisterOperation('-'));
+      expect(await calculate('3-10')).toBe(-7);
+    });
+    
+    test('should refuse symbols that would change an operator followed by a sign', async () => {
+      for (const symbol of ['*-', '--', '^-']) {
+        expect(await register({ symbol, precedence: 1, body: 'distance' }))
+          .toBe(`Invalid operation definition: symbol must not start with the built-in operator ${symbol[0]}`);
+      }
+      expect(await calculate('2*-3')).toBe(-6);
+      expect(await calculate('3--2')).toBe(5);
+      expect(await calculate('2^-1')).toBe(0.5);
+    });
+  });
+  
+  describe('Calculator Memory and Variables', () => {
+    beforeEach(async () => {
+      await page.click('.calc-btn[data-action="clear"]');
+      await page.focus('body');
+    });
+    
+    afterAll(async () => {
+      await press(['mc']);
+    });
+    
+    test('should add to, subtract from and recall memory', async () => {
+      await press(['5', 'm+', '3', 'm+']);
+      expect(await page.$eval('#calc-memory', el => el.hidden)).toBe(false);
+      
+      await press(['clear', 'mr', '*', '2', '=']);
+      expect(await display()).toBe('16');
+      
+      await press(['m-', 'clear', 'mr']);
+      expect(await display()).toBe('(-8)');
+      
+      await press(['mc']);
+      expect(await page.$eval('#calc-memory', el => el.hidden)).toBe(true);
+    });
+    
+    test('should keep memory through clear in basic mode', async () => {
+      await page.click('.calc-mode-btn[data-mode="basic"]');
+      await press(['7', 'm+', 'clear', '1', '0', '-', 'mr', '=']);
+      
+      expect(await display()).toBe('3');
+      await press(['mc']);
+      await page.click('.calc-mode-btn[data-mode="expression"]');
+    });
+    
+    test('should assign and use named variables', async () => {
+      await page.keyboard.type('x=3');
+      await page.keyboard.press('Enter');
+      await page.keyboard.type('2*x+1');
+      await page.keyboard.press('Enter');
+      
+      expect(await display()).toBe('7');
+      expect(await page.$eval('.calc-variable[data-variable="x"]', el => el.textContent)).toBe('x = 3');
+    });
+    
+    test('should hold the previous result in ans', async () => {
+      await press(['6', '*', '7', '=', 'ans', '/', '2', '=']);
+      expect(await display()).toBe('21');
+      
+      expect(await page.$eval('.calc-variable[data-variable="ans"]', el => el.textContent)).toBe('ans = 21');
+    });
+    
+    test('should report variables and memory in diagnostics', async () => {
+      await press(['4', 'm+']);
+      const diagnostics = await page.evaluate(() => window.__ONIONFORGE_CALCULATOR.getDiagnostics());
+      
+      expect(diagnostics.variables).toEqual(expect.arrayContaining(['x', 'ans']));
+      expect(diagnostics.hasMemory).toBe(true);
+    });
+    
+    test('should point at unknown variables', async () => {
+      expect(await calculate('2*y')).toBe('Unknown variable: y at position 3');
+    });
+    
+    test('should not assign to unit names or conversion keywords', async () => {
+      expect(await calculate('km=5')).toBe('Cannot assign to unit km at position 1');
+      expect(await calculate('c=3')).toBe('Cannot assign to unit C at position 1');
+      expect(await calculate('to=1')).toBe('Cannot assign to keyword to at position 1');
+      expect(await calculate('tom=4')).toBe(4);
+    });
+  });
+  
+  describe('Calculator History Panel', () => {
+    const evaluate = async (expression) => {
+      await page.click('.calc-btn[data-action="clear"]');
+      await page.focus('body');
+      await page.keyboard.type(expression);
+      await page.keyboard.press('Enter');
+    };
+    
+    const entries = () => page.$$eval('.calc-history-entry', els => els.map(el => el.textContent));
+    
+    beforeAll(async () => {
+      await page.click('#calc-history-clear');
+      await evaluate('2+3');
+      await evaluate('6*7');
+      await evaluate('10/4');
+    });
+    
+    test('should list calculations newest first and survive clear', async () => {
+      await page.click('.calc-btn[data-action="clear"]');
+      
+      expect(await entries()).toEqual(['10/4 = 2.5', '6*7 = 42', '2+3 = 5']);
+    });
+    
+    test('should filter entries by search', async () => {
+      await page.type('#calc-history-search', '*7');
+      expect(await entries()).toEqual(['6*7 = 42']);
+      
+      await page.$eval('#calc-history-search', el => {
+        el.value = '';
+        el.dispatchEvent(new Event('input'));
+      });
+      expect(await entries()).toHaveLength(3);
+    });
+    
+    test('should recall an entry into the display on click', async () => {
+      await page.click('.calc-btn[data-action="clear"]');
+      await page.click('.calc-history-entry');
+      
+      expect(await page.$eval('#display', el => el.textContent)).toBe('2.5');
+    });
+    
+    test('should navigate entries with arrow keys without typing into the calculator', async () => {
+      await page.click('.calc-btn[data-action="clear"]');
+      await page.focus('#calc-history-search');
+      await page.keyboard.press('ArrowDown');
+      await page.keyboard.press('ArrowDown');
+      
+      const focused = await page.evaluate(() => document.activeElement.textContent);
+      expect(focused).toBe('6*7 = 42');
+      
+      await page.keyboard.press('Enter');
+      expect(await page.$eval('#display', el => el.textContent)).toBe('42');
+    });
+    
+    test('should delete a single entry', async () => {
+      await page.click('.calc-history-item:nth-child(2) .calc-history-delete');
+      
+      expect(await entries()).toEqual(['10/4 = 2.5', '2+3 = 5']);
+    });
+    
+    test('should remember history only after opting in', async () => {
+      const stored = () => page.evaluate(() =>
+        JSON.parse(localStorage.getItem('onionforge_preferences') || '{}').calculatorHistory);
+      
+      expect(await stored()).toBeUndefined();
+      
+      await page.click('#calc-history-persist');
+      expect(await stored()).toHaveLength(2);
+      
+      await page.reload({ waitUntil: 'networkidle2' });
+      await page.waitForFunction(() => !document.getElementById('calc-history-persist').disabled);
+      expect(await entries()).toEqual(['10/4 = 2.5', '2+3 = 5']);
+      
+      await page.click('#calc-history-persist');
+      expect(await stored()).toBeUndefined();
+    });
+    
+    test('should clear all history', async () => {
+      await page.click('#calc-history-clear');
+      
+      expect(await entries()).toEqual([]);
+      expect(await page.$eval('#calc-history-empty', el => el.hidden)).toBe(false);
+    });
+  });
+  
+  describe('Calculator Undo and Redo', () => {
+    const shortcut = async (...keys) => {
+      for (const key of keys) await page.keyboard.down(key);
+      for (const key of keys.reverse()) await page.keyboard.up(key);
+    };
+    
+    beforeEach(async () => {
+      await page.click('.calc-btn[data-action="clear"]');
+      await page.focus('body');
+    });
+    
+    test('should recover from an accidental clear with Ctrl+Z', async () => {
+      await page.keyboard.type('12+3');
+      await page.click('.calc-btn[data-action="clear"]');
+      expect(await display()).toBe('0');
+      
+      await shortcut('Control', 'z');
+      expect(await display()).toBe('12+3');
+      
+      await shortcut('Control', 'Shift', 'Z');
+      expect(await display()).toBe('0');
+    });
+    
+    test('should undo and redo from the toolbar', async () => {
+      await page.keyboard.type('7*6');
+      await page.click('.calc-btn[data-action="undo"]');
+      expect(await display()).toBe('7*');
+      
+      expect(await page.$eval('.calc-btn[data-action="redo"]', el => el.disabled)).toBe(false);
+      await page.click('.calc-btn[data-action="redo"]');
+      expect(await display()).toBe('7*6');
+    });
+    
+    test('should keep the history entry when a calculation is undone', async () => {
+      await page.keyboard.type('4*5');
+      await page.keyboard.press('Enter');
+      await shortcut('Control', 'z');
+      
+      expect(await display()).toBe('4*5');
+      const entries = await page.$$eval('.calc-history-entry', els => els.map(el => el.textContent));
+      expect(entries).toContain('4*5 = 20');
+    });
+    
+    test('should undo a mode switch', async () => {
+      await page.click('.calc-mode-btn[data-mode="rpn"]');
+      await page.click('.calc-btn[data-action="undo"]');
+      
+      expect(await page.$eval('.calc-mode-btn[data-mode="expression"]', el => el.getAttribute('aria-pressed')))
+        .toBe('true');
+    });
+  });
+  
+  describe('Calculator Programmer Mode', () => {
+    const bases = () => page.$$eval('#calc-bases dd', els => els.map(el => el.textContent));
+    
+    beforeEach(async () => {
+      await page.select('#calc-number-mode', 'programmer');
+      await page.select('#calc-word-size', '32');
+      await page.select('#calc-signedness', 'signed');
+      await page.click('.calc-btn[data-action="clear"]');
+    });
+    
+    afterAll(async () => {
+      await page.select('#calc-number-mode', 'float');
+    });
+    
+    test('should show the result in all four bases', async () => {
+      await page.click('.calc-btn[data-prefix="0x"]');
+      await page.click('.calc-btn[data-digit="F"]');
+      await press(['0', '&', '2', '0', '0', '=']);
+      
+      expect(await display()).toBe('192');
+      expect(await bases()).toEqual(['C0', '192', '300', '1100 0000']);
+    });
+    
+    test('should apply XOR, NOT and shifts', async () => {
+      await press(['6', 'xor', '3', '=']);
+      expect(await display()).toBe('5');
+      
+      await press(['~', '0', '=']);
+      expect(await display()).toBe('-1');
+      expect((await bases())[0]).toBe('FFFFFFFF');
+      
+      await press(['1', '<<', '4', '=']);
+      expect(await display()).toBe('16');
+    });
+    
+    test('should wrap around at the selected word size', async () => {
+      await page.select('#calc-word-size', '8');
+      await press(['1', '2', '7', '+', '1', '=']);
+      expect(await display()).toBe('-128');
+      
+      await page.select('#calc-signedness', 'unsigned');
+      expect(await display()).toBe('128');
+    });
+    
+    test('should keep 64-bit values exact', async () => {
+      await page.select('#calc-word-size', '64');
+      await page.click('.calc-btn[data-action="~"]');
+      await press(['0', '=']);
+      await page.select('#calc-signedness', 'unsigned');
+      
+      expect(await display()).toBe('18446744073709551615');
+    });
+    
+    test('should reject fractions in bitwise operations', async () => {
+      expect(await calculate('1.5&1')).toBe('Bitwise operations need whole numbers at position 4');
+    });
+    
+    test('should refuse constants and function results that are not whole', async () => {
+      const results = await page.evaluate(() => ['0.5', '3pi', 'sqrt(2)', 'sqrt(4)'].map(expression => {
+        try {
+          return String(window.OnionForgeCalculator.compile(expression, { numberMode: 'programmer' }).evaluate());
+        } catch (error) {
+          return `${error.type}: ${error.message}`;
+        }
+      }));
+      expect(results).toEqual([
+        'INVALID_INPUT: Programmer mode only takes whole numbers: 0.5',
+        'INVALID_INPUT: Programmer mode only takes whole numbers: 3.141592653589793',
+        'INVALID_INPUT: Programmer mode only takes whole numbers: 1.4142135623730951',
+        '2'
+      ]);
+    });
+  });
+  
+  describe('Calculator Unit Conversion', () => {
+    beforeEach(async () => {
+      await page.click('.calc-btn[data-action="clear"]');
+      await page.focus('body');
+    });
+    
+    afterAll(async () => {
+      await page.evaluate(() => window.OnionForgeCalculator.unregisterUnit('ly'));
+    });
+    
+    test('should convert with "to" and "in"', async () => {
+      expect(await calculate('5 km to mi')).toBe(3.10685596118667);
+      expect(await calculate('1.5 GiB in MB')).toBe(1610.612736);
+      expect(await calculate('100 C to F')).toBe(212);
+      expect(await calculate('100 km/h to m/s')).toBe(27.7777777777778);
+    });
+    
+    test('should convert temperatures without rounding noise', async () => {
+      expect(await calculate('-40 C in F')).toBe(-40);
+      expect(await calculate('32 F to C')).toBe(0);
+      expect(await calculate('98.6 F to C')).toBe(37);
+      expect(await calculate('0 K to F')).toBe(-459.67);
+      
+      const decimal = await page.evaluate(() => String(
+        window.OnionForgeCalculator.compile('-40 C in F', { numberMode: 'decimal' }).evaluate()
+      ));
+      expect(decimal).toBe('-40');
+    });
+    
+    test('should reject incompatible units', async () => {
+      expect(await calculate('5 km to kg')).toBe('Cannot convert km (length) to kg (mass) at position 9');
+      expect(await calculate('5 km to parsec')).toBe('Unknown unit: parsec at position 9');
+    });
+    
+    test('should point out units used outside a conversion', async () => {
+      expect(await calculate('5 km')).toBe('Unit km can only be used in a conversion, e.g. 5 km to mm at position 3');
+      
+      const message = await page.evaluate(() => {
+        try {
+          window.OnionForgeCalculator.compile('5 km', { numberMode: 'programmer' }).evaluate();
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      });
+      expect(message).toBe('Units are not available in programmer mode: km');
+    });
+    
+    test('should show the unit of a typed conversion', async () => {
+      await page.keyboard.type('3 ft to in');
+      await page.keyboard.press('Enter');
+      
+      expect(await display()).toBe('36 in');
+    });
+    
+    test('should convert the displayed value from the picker', async () => {
+      await page.click('.calc-btn[data-number="2"]');
+      await page.select('#calc-unit-dimension', 'mass');
+      await page.select('#calc-unit-from', 'kg');
+      await page.select('#calc-unit-to', 'g');
+      await page.click('.calc-btn[data-action="convert"]');
+      
+      expect(await display()).toBe('2000 g');
+      const entries = await page.$$eval('.calc-history-entry', els => els.map(el => el.textContent));
+      expect(entries).toContain('2 kg to g = 2000');
+    });
+    
+    test('should accept units registered at runtime', async () => {
+      await page.evaluate(() => window.OnionForgeCalculator.registerUnit({
+        symbol: 'ly', name: 'light year', dimension: 'length', factor: '9460730472580800'
+      }));
+      
+      expect(await calculate('1 ly to km')).toBe(9460730472580.8);
+      await page.select('#calc-unit-dimension', 'length');
+      const options = await page.$$eval('#calc-unit-from option', els => els.map(el => el.value));
+      expect(options).toContain('ly');
+    });
+  });
+  
+  describe('Calculator Explain Mode', () => {
+    const explain = (expression) => page.evaluate(
+      (expr) => window.__ONIONFORGE_CALCULATOR.explain(expr),
+      expression
+    );
+    
+    const currentStep = () => page.$eval('#calc-explain-steps tr[aria-current="step"]', el => el.dataset.step);
+    
+    beforeEach(async () => {
+      await page.click('.calc-btn[data-action="clear"]');
+      await page.focus('body');
+    });
+    
+    afterAll(async () => {
+      await page.$eval('#calc-explain-toggle', el => el.checked && el.click());
+    });
+    
+    test('should trace the operator stack and output queue', async () => {
+      const trace = await explain('2+3*4');
+      
+      expect(trace.result).toBe('14');
+      expect(trace.steps.map(step => step.phase)).toEqual([
+        ...Array(5).fill('tokenize'),
+        ...Array(7).fill('parse'),
+        ...Array(6).fill('evaluate')
+      ]);
+      const lastParse = trace.steps.filter(step => step.phase === 'parse').pop();
+      expect(lastParse.output).toEqual(['2', '3', '4', '*', '+']);
+      expect(lastParse.operators).toEqual([]);
+      expect(trace.steps.pop().stack).toEqual(['14']);
+    });
+    
+    test('should include the error in the trace', async () => {
+      const trace = await explain('1/0');
+      
+      expect(trace.result).toBeNull();
+      expect(trace.error).toEqual({
+        message: 'Division by zero is not allowed',
+        type: 'DIVISION_BY_ZERO',
+        position: 2
+      });
+    });
+    
+    test('should step through the table after a calculation', async () => {
+      await page.click('#calc-explain-toggle');
+      await page.keyboard.type('8-3-1');
+      await page.keyboard.press('Enter');
+      
+      const rows = await page.$$eval('#calc-explain-steps tr', els => els.length);
+      expect(rows).toBeGreaterThan(10);
+      expect(await currentStep()).toBe('1');
+      
+      await page.click('.calc-explain-btn[data-step="next"]');
+      expect(await currentStep()).toBe('2');
+      await page.keyboard.press('End');
+      expect(await currentStep()).toBe(String(rows));
+      
+      const message = await page.$eval('#calc-explain-step', el => el.textContent);
+      expect(message).toContain('Result: 4');
+      // Arrow keys in the panel do not reach the calculator
+      expect(await page.$eval('#display', el => el.textContent)).toBe('4');
+    });
+  });
+  
+  describe('Calculator Expression Tree', () => {
+    const format = (expression, target) => page.evaluate(
+      (expr, form) => window.OnionForgeCalculator.format(expr, form),
+      expression,
+      target
+    );
+    
+    beforeEach(async () => {
+      await page.click('.calc-btn[data-action="clear"]');
+      await page.focus('body');
+    });
+    
+    test('should parse an expression into a typed tree', async () => {
+      const tree = await page.evaluate(() => JSON.parse(JSON.stringify(
+        window.OnionForgeCalculator.parse('2*(x+1)')
+      )));
+      
+      expect(tree.type).toBe('binary');
+      expect(tree.operator).toBe('*');
+      expect(tree.left).toMatchObject({ type: 'number', text: '2', value: '2' });
+      expect(tree.right).toMatchObject({ type: 'binary', operator: '+', start: 3, end: 6 });
+      expect(tree.right.left).toMatchObject({ type: 'variable', name: 'x' });
+    });
+    
+    test('should print infix with only the parentheses it needs', async () => {
+      expect(await format('((2+3))*4')).toBe('(2 + 3) * 4');
+      expect(await format('(8-3)-1')).toBe('8 - 3 - 1');
+      expect(await format('8-(3-1)')).toBe('8 - (3 - 1)');
+      expect(await format('2^(3^2)')).toBe('2 ^ 3 ^ 2');
+      expect(await format('(2^3)^2')).toBe('(2 ^ 3) ^ 2');
+      expect(await format('x=round( 2.567 ,2)')).toBe('x = round(2.567, 2)');
+    });
+    
+    test('should render LaTeX and MathML', async () => {
+      expect(await format('-(1+2)/sqrt(4)', 'latex')).toBe('\\frac{-\\left(1 + 2\\right)}{\\sqrt{4}}');
+      expect(await format('2^3', 'mathml')).toBe(
+        '<math xmlns="http://www.w3.org/1998/Math/MathML" display="inline"><msup><mn>2</mn><mn>3</mn></msup></math>'
+      );
+    });
+    
+    test('should write exponent notation as a power of ten', async () => {
+      expect(await format('1e3', 'latex')).toBe('1 \\times 10^{3}');
+      expect(await format('1.5E-3^2', 'latex')).toBe('{\\left(1.5 \\times 10^{-3}\\right)}^{2}');
+      expect(await format('2e+05', 'mathml')).toBe(
+        '<math xmlns="http://www.w3.org/1998/Math/MathML" display="inline">' +
+        '<mrow><mn>2</mn><mo>\u00D7</mo><msup><mn>10</mn><mn>5</mn></msup></mrow></math>'
+      );
+    });
+    
+    test('should show the latest history entry as a formula', async () => {
+      await page.keyboard.type('(1+2)/3');
+      await page.keyboard.press('Enter');
+      
+      const formula = await page.$eval('#calc-history-formula', el => ({
+        hidden: el.hidden,
+        fraction: el.querySelector('math mfrac') !== null,
+        latex: el.dataset.latex
+      }));
+      expect(formula).toEqual({ hidden: false, fraction: true, latex: '\\frac{1 + 2}{3}' });
+    });
+  });
+  
+  describe('Calculator Implicit Multiplication', () => {
+    beforeEach(async () => {
+      await page.click('.calc-btn[data-action="clear"]');
+      await page.focus('body');
+    });
+    
+    afterAll(async () => {
+      await page.select('#calc-syntax-mode', 'implicit');
+    });
+    
+    test('should multiply juxtaposed factors', async () => {
+      expect(await calculate('2(3+4)')).toBe(14);
+      expect(await calculate('(1+2)(3+4)')).toBe(21);
+      expect(await calculate('3pi')).toBe(9.42477796076938);
+      expect(await calculate('2sqrt(16)')).toBe(8);
+    });
+    
+    test('should bind implicit multiplication tighter than division', async () => {
+      expect(await calculate('1/2(4)')).toBe(0.125);
+      expect(await calculate('6/2(1+2)')).toBe(1);
+      expect(await calculate('6/2*(1+2)')).toBe(9);
+      expect(await calculate('2(3)^2')).toBe(18);
+    });
+    
+    test('should keep base prefixes, exponents and unit conversions', async () => {
+      expect(await calculate('2e3')).toBe(2000);
+      expect(await calculate('2(3) km to m')).toBe(6000);
+      expect(await calculate('2 3')).toBe('Invalid expression format at position 3');
+    });
+    
+    test('should only read 0x, 0o and 0b as a prefix when digits follow', async () => {
+      expect(await calculate('0x1F+0b1')).toBe(32);
+      expect(await calculate('0xor1')).toBe(1);
+      expect(await calculate('0x')).toBe('Unknown variable: x at position 2');
+      expect(await calculate('0b102')).toBe('Invalid number: 0b102 at position 1');
+    });
+    
+    test('should require every operator in strict mode', async () => {
+      await page.select('#calc-syntax-mode', 'strict');
+      await page.keyboard.type('2(3+4)');
+      await page.keyboard.press('Enter');
+      
+      const status = await page.$eval('#calc-status', el => el.textContent);
+      expect(status).toContain('at position 2');
+      expect(await display()).toBe('Error');
+    });
+  });
+  
+  describe('Calculator Percent Key', () => {
+    beforeEach(async () => {
+      await page.click('.calc-btn[data-action="clear"]');
+      await page.focus('body');
+    });
+    
+    afterAll(async () => {
+      await page.click('.calc-mode-btn[data-mode="expression"]');
+    });
+    
+    test('should read percentages like a desk calculator', async () => {
+      expect(await calculate('200 + 10%')).toBe(220);
+      expect(await calculate('200 - 10%')).toBe(180);
+      expect(await calculate('50 * 10%')).toBe(5);
+      expect(await calculate('10%')).toBe(0.1);
+    });
+    
+    test('should take a negated percent from the left operand', async () => {
+      expect(await calculate('200+-10%')).toBe(180);
+      expect(await calculate('200--10%')).toBe(220);
+    });
+    
+    test('should keep the base when the percent key is used in RPN mode', async () => {
+      await page.click('.calc-mode-btn[data-mode="rpn"]');
+      await press(['2', '0', '0', '=', '1', '0', '%']);
+      
+      expect(await display()).toBe('20');
+      expect(await page.$$eval('#calc-stack .calc-stack-level', items =>
+        items.map(item => item.lastElementChild.textContent)
+      )).toEqual(['', '', '200', '20']);
+      
+      await page.click('.calc-mode-btn[data-mode="expression"]');
+    });
+    
+    test('should keep remainder on the mod operator', async () => {
+      expect(await calculate('7 mod 3')).toBe(1);
+      expect(await calculate('%5')).toBe('Operator % must come after its operand at position 1');
+    });
+    
+    test('should apply the percent key at once in basic mode', async () => {
+      await page.click('.calc-mode-btn[data-mode="basic"]');
+      await page.keyboard.type('200+10%');
+      expect(await display()).toBe('220');
+    });
+    
+    test('should offer mod on the expression keypad', async () => {
+      await page.click('.calc-mode-btn[data-mode="expression"]');
+      await page.keyboard.type('7');
+      await page.click('.calc-btn[data-action="mod"]');
+      await page.keyboard.type('3');
+      await page.keyboard.press('Enter');
+      expect(await display()).toBe('1');
+    });
+  });
+  
+  describe('Calculator Background Evaluation', () => {
+    const status = () => page.$eval('#calc-status', el => el.textContent);
+    
+    beforeEach(async () => {
+      await page.click('.calc-btn[data-action="clear"]');
+      await page.focus('body');
+    });
+    
+    afterAll(async () => {
+      await page.evaluate(() => window.OnionForgeCalculator.configureEvaluation({ worker: false, timeout: 3000 }));
+      await page.select('#calc-evaluation', 'main');
+    });
+    
+    test('should calculate in a worker and apply the answer', async () => {
+      await page.select('#calc-evaluation', 'worker');
+      await page.keyboard.type('x=2+3');
+      await page.keyboard.press('Enter');
+      await page.waitForFunction(() => document.getElementById('display').textContent === '5');
+      
+      await page.keyboard.type('x*2');
+      await page.keyboard.press('Enter');
+      await page.waitForFunction(() => document.getElementById('display').textContent === '10');
+      
+      const diagnostics = await page.evaluate(() => window.__ONIONFORGE_CALCULATOR.getDiagnostics());
+      expect(diagnostics.backgroundEvaluation).toBe(true);
+      expect(diagnostics.calculating).toBe(false);
+    });
+    
+    test('should report errors from the worker with their position', async () => {
+      await page.keyboard.type('5/0');
+      await page.keyboard.press('Enter');
+      await page.waitForFunction(() => document.getElementById('display').textContent === 'Error');
+      expect(await status()).toContain('at position 2');
+    });
+    
+    test('should stop a calculation that runs past the timeout', async () => {
+      const settings = await page.evaluate(() =>
+        window.OnionForgeCalculator.configureEvaluation({ worker: false }) &&
+        window.OnionForgeCalculator.configureEvaluation({ worker: true, timeout: 1 })
+      );
+      expect(settings).toEqual({ worker: true, timeout: 1 });
+      
+      await page.keyboard.type('1+1');
+      await page.keyboard.press('Enter');
+      await page.waitForFunction(() => document.getElementById('display').textContent === 'Error');
+      expect(await status()).toContain('took too long');
+    });
+    
+    test('should cancel a pending calculation on clear', async () => {
+      await page.evaluate(() => window.OnionForgeCalculator.configureEvaluation({ timeout: 3000 }));
+      await page.keyboard.type('2+2');
+      await page.keyboard.press('Enter');
+      await page.keyboard.press('Escape');
+      
+      expect(await display()).toBe('0');
+      expect(await status()).toContain('cancelled');
+    });
+  });
+  
+  describe('Calculator Compiled Expressions', () => {
+    test('should evaluate a compiled expression for many values', async () => {
+      const table = await page.evaluate(() => {
+        const square = window.OnionForgeCalculator.compile('x^2 + 1');
+        return [0, 1, 2, 3].map(x => square.evaluate({ x }));
+      });
+      expect(table).toEqual([1, 2, 5, 10]);
+    });
+    
+    test('should report errors in the spelling that was evaluated', async () => {
+      const positions = await page.evaluate(() => ['1 / 0', '1  /  0'].map(expression => {
+        try {
+          window.OnionForgeCalculator.compile(expression).evaluate();
+          return null;
+        } catch (error) {
+          return error.getPosition();
+        }
+      }));
+      expect(positions).toEqual([3, 4]);
+    });
+    
+    test('should name a scope value that is not a number', async () => {
+      const error = await page.evaluate(() => {
+        try {
+          window.OnionForgeCalculator.compile('x + 1').evaluate({ x: 'a' });
+          return null;
+        } catch (error) {
+          return { type: error.type, message: error.message };
+        }
+      });
+      expect(error).toEqual({ type: 'INVALID_INPUT', message: "Variable x must be a number, got 'a'" });
+    });
+    
+    test('should report a gain for compiled evaluation in the benchmark', async () => {
+      const result = await page.evaluate(() => window.OnionForgeCalculator.benchmark(500));
+      expect(result.compiledSpeedup).toBeGreaterThan(1);
+    });
+  });
+  
+  describe('Calculator Benchmark', () => {
+    test('should report percentiles and ops/sec for every case', async () => {
+      const result = await page.evaluate(() => window.OnionForgeCalculator.benchmark({ iterations: 50, warmup: 5 }));
+      expect(result.operations).toBe(50 * result.cases.length);
+      expect(result.p50).toBeLessThanOrEqual(result.p95);
+      expect(result.p95).toBeLessThanOrEqual(result.p99);
+      expect(result.opsPerSecond).toBeGreaterThan(0);
+      expect(result.cases.map(c => c.name)).toEqual(expect.arrayContaining(['deep nesting', 'long chain', 'decimals']));
+    });
+    
+    test('should count expected errors without hiding unexpected ones', async () => {
+      const result = await page.evaluate(() => window.OnionForgeCalculator.benchmark(20));
+      const errorCases = result.cases.filter(c => c.category === 'error');
+      expect(errorCases.every(c => c.errors === 20)).toBe(true);
+      expect(result.errors).toBe(20 * errorCases.length);
+      expect(result.unexpected).toBe(0);
+    });
+    
+    test('should compare against the stored baseline', async () => {
+      const result = await page.evaluate(() => window.OnionForgeCalculator.benchmark(20));
+      expect(['faster', 'similar', 'slower']).toContain(result.baseline.status);
+      expect(['excellent', 'good', 'degraded']).toContain(result.performance);
+      expect(result.cases.every(c => c.baseline && c.baseline.ratio > 0)).toBe(true);
+    });
+  });
+  
+  describe('Calculator Resource Limits', () => {
+    const limitError = (expression, options) => page.evaluate((expr, opts) => {
+      try {
+        window.OnionForgeCalculator.compile(expr, opts).evaluate();
+        return null;
+      } catch (error) {
+        return error.type;
+      }
+    }, expression, options);
+    
+    test('should reject oversized, deeply nested and long expressions', async () => {
+      expect(await limitError('1+'.repeat(6000) + '1')).toBe('LENGTH_LIMIT');
+      expect(await limitError('('.repeat(101) + '1' + ')'.repeat(101))).toBe('NESTING_LIMIT');
+      expect(await limitError(Array(1100).fill('1').join('+'))).toBe('TOKEN_LIMIT');
+    });
+    
+    test('should bound intermediate magnitudes in exact modes', async () => {
+      expect(await limitError('10^1000', { numberMode: 'decimal' })).toBe(null);
+      expect(await limitError('10^1001', { numberMode: 'decimal' })).toBe('MAGNITUDE_LIMIT');
+      expect(await limitError('1e-1000', { numberMode: 'decimal' })).toBe(null);
+    });
+    
+    test('should report float literals out of range as magnitude errors', async () => {
+      expect(await limitError('1e400')).toBe('MAGNITUDE_LIMIT');
+      expect(await limitError('1e-400')).toBe('MAGNITUDE_LIMIT');
+      expect(await limitError('0e-400')).toBe(null);
+    });
+    
+    test('should bound huge negative exponents before expanding them', async () => {
+      const started = Date.now();
+      expect(await limitError('1e-999999', { numberMode: 'decimal' })).toBe('MAGNITUDE_LIMIT');
+      expect(await limitError('1+1e-9999999', { numberMode: 'rational' })).toBe('MAGNITUDE_LIMIT');
+      expect(await limitError('1e-999', { numberMode: 'decimal' })).toBe(null);
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+    
+    test('should accept limits per engine and report the defaults', async () => {
+      expect(await limitError('(((1)))', { limits: { maxDepth: 2 } })).toBe('NESTING_LIMIT');
+      const report = await page.evaluate(() => window.OnionForgeCalculator.verifySecurity());
+      expect(report.limits).toEqual({ maxLength: 10000, maxDepth: 100, maxTokens: 2000, maxMagnitude: 1000 });
+    });
+  });
+  
+  describe('Calculator Events', () => {
+    const recorded = () => page.evaluate(() => window.__calculatorEvents);
+    
+    beforeEach(async () => {
+      await page.click('.calc-btn[data-action="clear"]');
+      await page.focus('body');
+      await page.evaluate(() => {
+        window.__calculatorEvents = [];
+        window.__stopCalculatorEvents = ['input', 'operator', 'result', 'error', 'clear'].map(type =>
+          window.OnionForgeCalculator.on(type, (detail) => window.__calculatorEvents.push(detail))
+        );
+      });
+    });
+    
+    afterEach(async () => {
+      await page.evaluate(() => window.__stopCalculatorEvents.forEach(stop => stop()));
+    });
+    
+    test('should report input, operators and results in order', async () => {
+      await page.keyboard.type('2+3');
+      await page.keyboard.press('Enter');
+      
+      const events = await recorded();
+      expect(events.map(event => event.type)).toEqual(['input', 'operator', 'input', 'result']);
+      expect(events[1].operator).toBe('+');
+      expect(events[3]).toMatchObject({ expression: '2+3', value: 5, display: '5' });
+    });
+    
+    test('should report results of RPN operators', async () => {
+      await page.click('.calc-mode-btn[data-mode="rpn"]');
+      await press(['2', '=', '3', '+']);
+      await page.click('.calc-mode-btn[data-mode="expression"]');
+      
+      const results = (await recorded()).filter(event => event.type === 'result');
+      expect(results).toEqual([expect.objectContaining({ expression: '2 3 +', value: 5, mode: 'rpn' })]);
+    });
+    
+    test('should report intermediate results of chained operators', async () => {
+      await page.click('.calc-mode-btn[data-mode="basic"]');
+      await press(['2', '+', '3', '+']);
+      await page.click('.calc-mode-btn[data-mode="expression"]');
+      
+      const results = (await recorded()).filter(event => event.type === 'result');
+      expect(results.map(event => event.value)).toEqual([5]);
+    });
+    
+    test('should report errors and clearing', async () => {
+      await page.keyboard.type('5/0');
+      await page.keyboard.press('Enter');
+      await page.click('.calc-btn[data-action="clear"]');
+      
+      const events = (await recorded()).filter(event => event.type === 'error' || event.type === 'clear');
+      expect(events[0].error).toMatchObject({ type: 'DIVISION_BY_ZERO', position: 2 });
+      expect(events[1]).toMatchObject({ type: 'clear', cancelled: false });
+    });
+    
+    test('should stop calling a handler once unsubscribed', async () => {
+      await page.evaluate(() => window.__stopCalculatorEvents.forEach(stop => stop()));
+      await page.keyboard.type('7');
+      expect(await recorded()).toEqual([]);
+    });
+    
+    test('should be registered as an application component', async () => {
+      const registered = await page.evaluate(() => {
+        const calculator = window.OnionForgeApp.getInstance().getComponent('calculator');
+        const stop = calculator.on('result', () => {});
+        return typeof stop === 'function' && calculator.getDiagnostics().eventHandlers > 0 && stop() === true;
+      });
+      expect(registered).toBe(true);
+    });
+  });
+  
   describe('Calculator Keyboard Support', () => {
     beforeEach(async () => {
       await page.click('.calc-btn[data-action="clear"]');
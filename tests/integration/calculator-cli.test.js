@@ -0,0 +1,61 @@
+/**
+ * Calculator Command Line Tests
+ * Tests the headless engine exports and the onionforge-calc command
+ *
+ * @version 1.0.0
+ * @author CodeWithBotinaOficial
+ * @license MIT
+ */
+
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', '..', 'bin', 'onionforge-calc.js');
+const calculator = require('../../src/assets/js/calculator.js');
+
+/**
+ * Run the command with the given arguments and stdin
+ */
+function runCli(args, input = '') {
+  const result = spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 10000 });
+  return { status: result.status, lines: result.stdout.trimEnd().split('\n'), stderr: result.stderr };
+}
+
+describe('Calculator Command Line', () => {
+  describe('Module Exports', () => {
+    test('should export the engine, errors and operation registry', () => {
+      const engine = new calculator.CalculationEngine({ numberMode: 'rational' });
+      expect(String(engine.calculate('1/3 + 1/6'))).toBe('1/2');
+      expect(calculator.OperationFactory.isOperator('+')).toBe(true);
+      expect(() => engine.calculate('1/0')).toThrow(calculator.CalculatorError);
+    });
+  });
+
+  describe('One-shot Mode', () => {
+    test('should print each -e result with ans carried over', () => {
+      const { status, lines } = runCli(['-e', '2*(3+4)', '-e', 'ans+1']);
+      expect(status).toBe(0);
+      expect(lines).toEqual(['14', '15']);
+    });
+
+    test('should print errors as JSON and exit with status 1', () => {
+      const { status, lines } = runCli(['-e', '5/0']);
+      expect(status).toBe(1);
+      expect(JSON.parse(lines[0]).error).toMatchObject({ type: 'DIVISION_BY_ZERO', position: 2, token: '/' });
+    });
+
+    test('should reject unknown options and number modes', () => {
+      expect(runCli(['--bogus']).status).toBe(2);
+      expect(runCli(['-m', 'hex', '-e', '1']).stderr).toMatch(/Unknown number mode/);
+    });
+  });
+
+  describe('Batch Mode', () => {
+    test('should answer stdin line by line in the chosen number mode', () => {
+      const { status, lines } = runCli(['-m', 'rational'], 'x = 3\n2x\n\n1/3\n2+*3\n');
+      expect(status).toBe(1);
+      expect(lines.slice(0, 4)).toEqual(['3', '6', '', '1/3']);
+      expect(JSON.parse(lines[4]).error.type).toBe('SYNTAX_ERROR');
+    });
+  });
+});